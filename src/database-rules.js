@@ -0,0 +1,442 @@
+'use strict';
+
+var _ = require('./lodash');
+var expression = require('./rules-expression');
+var FirestoreRules = require('./firestore-rules');
+var utils = require('./utils');
+
+var evaluationError = expression.evaluationError;
+
+var RULE_KEYS = ['.read', '.write', '.validate', '.indexOn'];
+
+/**
+ * Parsed Realtime Database security rules, as found in a database.rules.json
+ * file. Throws an error naming the rule on invalid rules.
+ * @param {Object} rules either the whole file (`{rules: {...}}`) or the
+ *   value of its `rules` key
+ */
+function MockDatabaseRules(rules) {
+  if (_.isPlainObject(rules) && _.keys(rules).length === 1 && _.isPlainObject(rules.rules)) {
+    rules = rules.rules;
+  }
+  this._root = parseNode(rules, '');
+}
+
+/**
+ * Decides whether the rules allow reading a location: a `.read` rule at the
+ * location or at one of its parents must be true
+ * @param {string} path the path of the location, relative to the root
+ * @param {Object} context
+ * @param {Object|null} context.auth the value of `auth`
+ * @param {*} context.data the data of the whole database
+ * @param {number} context.time the value of `now`
+ * @returns {boolean}
+ */
+MockDatabaseRules.prototype.allowsRead = function (path, context) {
+  var segments = splitPath(path);
+  return cascades(this._root, segments, '.read', createEnvFactory(context));
+};
+
+/**
+ * Decides whether the rules allow a write: a `.write` rule at every written
+ * location or at one of its parents must be true, and every `.validate` rule
+ * for the new, non-null data must be true
+ * @param {Object} writes the new value of every written location, keyed by
+ *   its path relative to the root
+ * @param {Object} context
+ * @param {Object|null} context.auth the value of `auth`
+ * @param {*} context.data the data of the whole database
+ * @param {number} context.time the value of `now`
+ * @returns {boolean}
+ */
+MockDatabaseRules.prototype.allowsWrite = function (writes, context) {
+  var self = this;
+  var newData = normalize(context.data, context.time);
+  _.forEach(_.keys(writes), function (path) {
+    var segments = splitPath(path);
+    newData = setValueAt(newData, segments, normalize(writes[path], context.time, valueAt(newData, segments)));
+  });
+  var envFor = createEnvFactory(context, newData);
+  return _.every(_.keys(writes), function (path) {
+    var segments = splitPath(path);
+    return cascades(self._root, segments, '.write', envFor) &&
+      validates(self._root, segments, newData, envFor);
+  });
+};
+
+/**
+ * Returns the children indexed with `.indexOn` at a location
+ * @param {string} path
+ * @returns {Array<string>}
+ */
+MockDatabaseRules.prototype.indexOn = function (path) {
+  var found = [];
+  walk(this._root, splitPath(path), {}, function (node, depth, bindings, isLast) {
+    if (isLast) found = node.indexOn;
+  });
+  return found;
+};
+
+function splitPath(path) {
+  return _.compact(String(path).split('/'));
+}
+
+function parseNode(rules, path) {
+  if (!_.isPlainObject(rules)) {
+    throw new Error('Invalid rules at ' + (path || '/') + ': expected an object');
+  }
+  var node = { children: {}, wildcard: null, indexOn: [] };
+  _.forEach(_.keys(rules), function (key) {
+    var value = rules[key];
+    var location = path + '/' + key;
+    if (key[0] === '.') {
+      if (!_.includes(RULE_KEYS, key)) {
+        throw new Error('Invalid rules at ' + location + ': unknown rule');
+      }
+      if (key === '.indexOn') {
+        node.indexOn = parseIndexOn(value, location);
+      } else {
+        node[key] = parseRule(value, location);
+      }
+    } else if (key[0] === '$') {
+      if (node.wildcard) {
+        throw new Error('Invalid rules at ' + location + ': only one wildcard is allowed per location');
+      }
+      node.wildcard = { name: key, node: parseNode(value, location) };
+    } else {
+      node.children[key] = parseNode(value, location);
+    }
+  });
+  return node;
+}
+
+function parseRule(value, location) {
+  if (typeof value === 'boolean') {
+    return { type: 'literal', value: value };
+  }
+  if (!_.isString(value)) {
+    throw new Error('Invalid rules at ' + location + ': expected a boolean or a string');
+  }
+  try {
+    return expression.parseExpression(value, { regex: true });
+  } catch (err) {
+    throw new Error('Invalid rules at ' + location + ': ' + err.message);
+  }
+}
+
+function parseIndexOn(value, location) {
+  var children = _.isString(value) ? [value] : value;
+  if (!Array.isArray(children) || !_.every(children, _.isString)) {
+    throw new Error('Invalid rules at ' + location + ': expected a string or an array of strings');
+  }
+  return children;
+}
+
+// calls visit(node, depth, bindings, isLast) for the rules of the root and
+// of every location along the path, until a location has no rules
+function walk(node, segments, bindings, visit) {
+  for (var depth = 0; node; depth++) {
+    visit(node, depth, bindings, depth === segments.length);
+    if (depth === segments.length) return;
+    var next = childNode(node, segments[depth], bindings);
+    node = next.node;
+    bindings = next.bindings;
+  }
+}
+
+function childNode(node, key, bindings) {
+  if (_.has(node.children, key)) {
+    return { node: node.children[key], bindings: bindings };
+  }
+  if (node.wildcard) {
+    var withWildcard = _.assign({}, bindings);
+    withWildcard[node.wildcard.name] = key;
+    return { node: node.wildcard.node, bindings: withWildcard };
+  }
+  return { node: null, bindings: bindings };
+}
+
+function cascades(root, segments, rule, envFor) {
+  var allowed = false;
+  walk(root, segments, {}, function (node, depth, bindings) {
+    if (!allowed && node[rule]) {
+      allowed = check(node[rule], envFor(segments.slice(0, depth), bindings));
+    }
+  });
+  return allowed;
+}
+
+// .validate rules apply to the new data at the written location, at its
+// parents and at every child written below it, but never to deleted data
+function validates(root, segments, newData, envFor) {
+  var valid = true;
+  var last = null;
+  walk(root, segments, {}, function (node, depth, bindings, isLast) {
+    var location = segments.slice(0, depth);
+    if (valid && node['.validate'] && valueAt(newData, location) !== null) {
+      valid = check(node['.validate'], envFor(location, bindings));
+    }
+    if (isLast) last = { node: node, bindings: bindings };
+  });
+  return valid && (!last || validatesChildren(last.node, segments, last.bindings, newData, envFor));
+}
+
+function validatesChildren(node, segments, bindings, newData, envFor) {
+  var value = valueAt(newData, segments);
+  if (!_.isPlainObject(value)) {
+    return true;
+  }
+  return _.every(_.keys(value), function (key) {
+    var next = childNode(node, key, bindings);
+    if (!next.node) {
+      return true;
+    }
+    var location = segments.concat(key);
+    return (!next.node['.validate'] || check(next.node['.validate'], envFor(location, next.bindings))) &&
+      validatesChildren(next.node, location, next.bindings, newData, envFor);
+  });
+}
+
+function check(rule, env) {
+  try {
+    return expression.evaluate(rule, env) === true;
+  } catch (err) {
+    if (!expression.isEvaluationError(err)) throw err;
+    return false;
+  }
+}
+
+// converts data as it is written, e.g. with priorities, server values and
+// arrays, into data as it is stored, given the data currently stored there
+function normalize(value, time, current) {
+  if (utils.isServerValue(value)) {
+    return utils.resolveServerValue(value, current, time);
+  }
+  if (_.isObject(value) && _.has(value, '.value')) {
+    return normalize(value['.value'], time, current);
+  }
+  if (!_.isObject(value)) {
+    return _.isUndefined(value) ? null : value;
+  }
+  var result = {};
+  _.forEach(_.keys(value), function (key) {
+    var child = normalize(value[key], time, _.isPlainObject(current) ? current[key] : null);
+    if (key !== '.priority' && child !== null) {
+      result[key] = child;
+    }
+  });
+  return _.isEmpty(result) ? null : result;
+}
+
+// returns a copy of data with the value at the path replaced
+function setValueAt(data, segments, value) {
+  if (segments.length === 0) {
+    return value;
+  }
+  var result = _.isPlainObject(data) ? _.clone(data) : {};
+  var child = setValueAt(_.has(result, segments[0]) ? result[segments[0]] : null, segments.slice(1), value);
+  if (child === null) {
+    delete result[segments[0]];
+  } else {
+    result[segments[0]] = child;
+  }
+  return _.isEmpty(result) ? null : result;
+}
+
+function valueAt(data, segments) {
+  var value = data;
+  for (var i = 0; i < segments.length; i++) {
+    if (!_.isPlainObject(value) || !_.has(value, segments[i])) {
+      return null;
+    }
+    value = value[segments[i]];
+  }
+  return _.isUndefined(value) ? null : value;
+}
+
+/**
+ * The `data`, `newData` and `root` variables: a read-only view of one
+ * location in a copy of the database
+ */
+function RuleDataSnapshot(data, segments) {
+  this._data = data;
+  this._segments = segments;
+}
+
+RuleDataSnapshot.prototype.val = function () {
+  return valueAt(this._data, this._segments);
+};
+
+RuleDataSnapshot.prototype.child = function (path) {
+  return new RuleDataSnapshot(this._data, this._segments.concat(splitPath(assertString(path, 'child()'))));
+};
+
+RuleDataSnapshot.prototype.parent = function () {
+  if (this._segments.length === 0) {
+    throw evaluationError('parent() cannot be used on the root');
+  }
+  return new RuleDataSnapshot(this._data, this._segments.slice(0, -1));
+};
+
+RuleDataSnapshot.prototype.exists = function () {
+  return valueAt(this._data, this._segments) !== null;
+};
+
+RuleDataSnapshot.prototype.hasChild = function (path) {
+  return this.child(path).exists();
+};
+
+RuleDataSnapshot.prototype.hasChildren = function (children) {
+  var self = this;
+  if (_.isUndefined(children)) {
+    return _.isPlainObject(valueAt(this._data, this._segments));
+  }
+  if (!Array.isArray(children)) {
+    throw evaluationError('hasChildren() expects an array');
+  }
+  return _.every(children, function (path) {
+    return self.hasChild(path);
+  });
+};
+
+RuleDataSnapshot.prototype.isNumber = function () {
+  return typeof valueAt(this._data, this._segments) === 'number';
+};
+
+RuleDataSnapshot.prototype.isString = function () {
+  return _.isString(valueAt(this._data, this._segments));
+};
+
+RuleDataSnapshot.prototype.isBoolean = function () {
+  return typeof valueAt(this._data, this._segments) === 'boolean';
+};
+
+var SNAPSHOT_METHODS = ['val', 'child', 'parent', 'exists', 'hasChild', 'hasChildren', 'isNumber', 'isString', 'isBoolean'];
+
+function assertString(value, description) {
+  if (!_.isString(value)) {
+    throw evaluationError(description + ' expects a string');
+  }
+  return value;
+}
+
+var STRING_METHODS = {
+  contains: function (s, substring) { return s.indexOf(assertString(substring, 'contains()')) !== -1; },
+  beginsWith: function (s, prefix) { return s.indexOf(assertString(prefix, 'beginsWith()')) === 0; },
+  endsWith: function (s, suffix) {
+    assertString(suffix, 'endsWith()');
+    return s.slice(s.length - suffix.length) === suffix;
+  },
+  replace: function (s, substring, replacement) {
+    return s.split(assertString(substring, 'replace()')).join(assertString(replacement, 'replace()'));
+  },
+  toLowerCase: function (s) { return s.toLowerCase(); },
+  toUpperCase: function (s) { return s.toUpperCase(); },
+  matches: function (s, regex) {
+    if (!(regex instanceof RegExp)) {
+      throw evaluationError('matches() expects a regular expression');
+    }
+    return regex.test(s);
+  }
+};
+
+function arithmetic(operator, a, b) {
+  if (operator === '+' && (_.isString(a) || _.isString(b))) {
+    return String(a) + String(b);
+  }
+  if (typeof a !== 'number' || typeof b !== 'number') {
+    throw evaluationError('Invalid arguments for operator \'' + operator + '\'');
+  }
+  if ((operator === '/' || operator === '%') && b === 0) {
+    throw evaluationError('Division by zero');
+  }
+  switch (operator) {
+    case '+': return a + b;
+    case '-': return a - b;
+    case '*': return a * b;
+    case '/': return a / b;
+    default: return a % b;
+  }
+}
+
+// newData is only defined for writes
+function createEnvFactory(context, newData) {
+  return function (segments, bindings) {
+    var variables = _.assign({
+      auth: context.auth,
+      now: context.time,
+      root: new RuleDataSnapshot(context.data, []),
+      data: new RuleDataSnapshot(context.data, segments)
+    }, bindings);
+    if (!_.isUndefined(newData)) {
+      variables.newData = new RuleDataSnapshot(newData, segments);
+    }
+    return {
+      lookup: function (name) {
+        if (_.has(variables, name)) return variables[name];
+        throw evaluationError('Unknown variable ' + name);
+      },
+      member: function (object, name) {
+        if (_.isString(object) && name === 'length') {
+          return object.length;
+        }
+        if (!_.isPlainObject(object)) {
+          throw evaluationError('No such property ' + name);
+        }
+        return _.has(object, name) && !_.isUndefined(object[name]) ? object[name] : null;
+      },
+      index: function (object, key) {
+        return this.member(object, key);
+      },
+      call: function (name) {
+        throw evaluationError('Unknown function ' + name);
+      },
+      method: function (object, name, args) {
+        if (object instanceof RuleDataSnapshot && _.includes(SNAPSHOT_METHODS, name)) {
+          return object[name].apply(object, args);
+        }
+        if (_.isString(object) && _.has(STRING_METHODS, name)) {
+          return STRING_METHODS[name].apply(null, [object].concat(args));
+        }
+        throw evaluationError('Unknown method ' + name);
+      },
+      path: function () {
+        throw evaluationError('Paths are not supported');
+      },
+      equals: function (a, b) {
+        if (a instanceof RuleDataSnapshot || b instanceof RuleDataSnapshot) {
+          throw evaluationError('Snapshots cannot be compared, use val()');
+        }
+        return _.isEqual(a, b);
+      },
+      compare: function (a, b) {
+        if (!(typeof a === 'number' && typeof b === 'number') && !(_.isString(a) && _.isString(b))) {
+          throw evaluationError('Only numbers and strings can be compared');
+        }
+        return a < b ? -1 : a > b ? 1 : 0;
+      },
+      contains: function () {
+        throw evaluationError('Operator in is not supported');
+      },
+      isType: function () {
+        throw evaluationError('Operator is is not supported');
+      },
+      arithmetic: arithmetic
+    };
+  };
+}
+
+/**
+ * Builds the value of `auth` for a user of MockAuthentication
+ * @param {MockFirebaseUser|null} user
+ * @returns {Object|null}
+ */
+MockDatabaseRules.authContext = function (user) {
+  var auth = FirestoreRules.authContext(user);
+  if (auth) {
+    auth.provider = auth.token.firebase.sign_in_provider.replace(/\.com$/, '');
+  }
+  return auth;
+};
+
+module.exports = MockDatabaseRules;
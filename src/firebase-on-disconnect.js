@@ -0,0 +1,82 @@
+'use strict';
+
+var _ = require('./lodash');
+var assert = require('assert');
+var Promise = require('rsvp').Promise;
+var validate = require('./validators');
+
+/**
+ * Queues writes that the server performs when the client disconnects, as
+ * returned by `ref.onDisconnect()`. The writes are applied by
+ * `simulateDisconnect()`.
+ * @param {MockFirebase} ref
+ */
+function MockFirebaseOnDisconnect(ref) {
+  this.ref = ref;
+}
+
+MockFirebaseOnDisconnect.prototype.set = function (value, onComplete) {
+  validate.data(value);
+  return this._queue('set', _.toArray(arguments), { '': _.cloneDeep(value) }, undefined, onComplete);
+};
+
+MockFirebaseOnDisconnect.prototype.setWithPriority = function (value, priority, onComplete) {
+  validate.data(value);
+  return this._queue('setWithPriority', _.toArray(arguments), { '': _.cloneDeep(value) }, priority, onComplete);
+};
+
+MockFirebaseOnDisconnect.prototype.update = function (values, onComplete) {
+  assert.equal(typeof values, 'object', 'First argument must be an object when calling "onDisconnect().update"');
+  validate.data(values);
+  return this._queue('update', _.toArray(arguments), _.cloneDeep(values), undefined, onComplete);
+};
+
+MockFirebaseOnDisconnect.prototype.remove = function (onComplete) {
+  return this._queue('remove', _.toArray(arguments), { '': null }, undefined, onComplete);
+};
+
+/**
+ * Drops the writes queued at this location and at its children
+ * @param {Function} [onComplete]
+ * @returns {Promise}
+ */
+MockFirebaseOnDisconnect.prototype.cancel = function (onComplete) {
+  var ref = this.ref;
+  return new Promise(function (resolve) {
+    ref._defer('onDisconnect.cancel', _.toArray(arguments), function () {
+      var path = ref._rulesPath();
+      var prefix = path === '/' ? '/' : path + '/';
+      ref.root._onDisconnectWrites = _.filter(ref.root._onDisconnectWrites, function (write) {
+        return write.path !== path && write.path.indexOf(prefix) !== 0;
+      });
+      if (onComplete) onComplete(null);
+      resolve();
+    });
+  });
+};
+
+// Like the real server, security rules are checked when the write is
+// queued rather than when it is performed.
+MockFirebaseOnDisconnect.prototype._queue = function (method, args, changes, priority, onComplete) {
+  var ref = this.ref;
+  return new Promise(function (resolve, reject) {
+    ref._defer('onDisconnect.' + method, args, function () {
+      var err = ref._writeRulesError(changes);
+      if (err === null) {
+        ref.root._onDisconnectWrites.push({
+          path: ref._rulesPath(),
+          changes: changes,
+          priority: priority
+        });
+      }
+      if (onComplete) onComplete(err);
+      if (err === null) {
+        resolve();
+      } else {
+        reject(err);
+      }
+    });
+  });
+};
+
+module.exports = MockFirebaseOnDisconnect;
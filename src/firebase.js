@@ -9,7 +9,15 @@ var Snapshot = require('./snapshot');
 var Queue = require('./queue').Queue;
 var utils = require('./utils');
 var Auth = require('./firebase-auth');
+var OnDisconnect = require('./firebase-on-disconnect');
+var Rules = require('./database-rules');
 var validate = require('./validators');
+var INFO_KEY = '.info';
+var MAX_TRANSACTION_RETRIES = 25;
+
+// the references under .info with listeners, whose roots update their .info
+// when the server clock changes
+var infoListeners = [];
 
 function MockFirebase(path, data, parent, name) {
   this.ref = this;
@@ -35,21 +43,36 @@ function MockFirebase(path, data, parent, name) {
   this.data = null;
   this._dataChanged(_.cloneDeep(data) || null);
   this._lastAutoId = null;
+  this._rules = null;
+  this._rulesAuth = null;
+  this._onDisconnectWrites = [];
+  this._connected = true;
+  this._unsyncedWrites = [];
+  this._forcedTransactionConflicts = 0;
   _.extend(this, Auth.prototype, new Auth());
 }
 
 MockFirebase.ServerValue = {
   TIMESTAMP: {
     '.sv': 'timestamp'
+  },
+  increment: function (delta) {
+    return {
+      '.sv': {
+        increment: delta
+      }
+    };
   }
 };
 
 MockFirebase.setClock = function (fn) {
   utils.setServerClock(fn);
+  updateInfoRoots();
 };
 
 MockFirebase.restoreClock = function () {
   utils.restoreServerClock();
+  updateInfoRoots();
 };
 
 MockFirebase.autoId = function () {
@@ -102,7 +125,75 @@ MockFirebase.prototype.forceCancel = function (error, event, callback, context)
     });
 };
 
+/**
+ * Enforces Realtime Database security rules on the whole database: reads
+ * and writes the rules deny fail with PERMISSION_DENIED.
+ * @param {Object|null} rules the contents of a database.rules.json file, or
+ *   null to stop enforcing rules
+ */
+MockFirebase.prototype.setRules = function (rules) {
+  this.root._rules = rules === null ? null : new Rules(rules);
+};
+
+/**
+ * Sets the authentication whose current user is `auth` in the security
+ * rules. Defaults to the authentication state of the root reference.
+ * @param {MockAuthentication|null} auth
+ */
+MockFirebase.prototype.setAuth = function (auth) {
+  this.root._rulesAuth = auth;
+};
+
+/**
+ * Simulates the client losing its connection: the writes queued with
+ * `onDisconnect()` anywhere in the database are applied at once, in the
+ * order they were queued, and then discarded
+ * @returns {MockFirebase}
+ */
+MockFirebase.prototype.simulateDisconnect = function () {
+  this._defer('simulateDisconnect', _.toArray(arguments), function () {
+    this.root._runOnDisconnectWrites();
+  });
+  return this;
+};
+
+/**
+ * Disconnects the client from the database, whichever reference it is
+ * called on, without waiting for a flush. Like the real server, the database performs the writes queued
+ * with `onDisconnect()`. Writes made while offline are applied locally, but
+ * their callbacks and promises only settle once the client is back online.
+ */
+MockFirebase.prototype.goOffline = function () {
+  var root = this.root;
+  if (root._connected) {
+    root._connected = false;
+    root._updateInfo();
+    root._runOnDisconnectWrites();
+  }
+};
+
+/**
+ * Reconnects the client, without waiting for a flush, and syncs the writes
+ * made while it was offline, in order
+ */
+MockFirebase.prototype.goOnline = function () {
+  var root = this.root;
+  if (!root._connected) {
+    root._connected = true;
+    root._updateInfo();
+    var writes = root._unsyncedWrites;
+    root._unsyncedWrites = [];
+    _.forEach(writes, function (settle) {
+      settle();
+    });
+  }
+};
+
 MockFirebase.prototype.getData = function () {
+  // .info/serverTimeOffset follows the server clock without listeners
+  if (this._isInInfo()) {
+    this.root._updateInfo();
+  }
   return _.cloneDeepWith(this.data, render);
 };
 
@@ -147,7 +238,11 @@ MockFirebase.prototype.child = function (childPath) {
   var childKey = parts.shift();
   var child = this.children[childKey];
   if (!child) {
-    child = new MockFirebase(utils.mergePaths(this.path, childKey), this._childData(childKey), this, childKey);
+    var data = this._childData(childKey);
+    if (this._isInfo(childKey)) {
+      data = this._infoData();
+    }
+    child = new MockFirebase(utils.mergePaths(this.path, childKey), data, this, childKey);
     this.children[child.key] = child;
   }
   if (parts.length) {
@@ -163,16 +258,21 @@ MockFirebase.prototype.set = function (data, callback) {
   var self = this;
   return new Promise(function (resolve, reject) {
     self._defer('set', _.toArray(arguments), function () {
+      err = err || self._writeRulesError({ '': data });
       if (err === null) {
         data = utils.removeEmptyRtdbProperties(data);
         self._dataChanged(data);
-        resolve(data);
-      } else {
-        if (callback) {
-          callback(err);
-        }
-        reject(err);
       }
+      self._whenSynced(function () {
+        if (err === null) {
+          resolve(data);
+        } else {
+          if (callback) {
+            callback(err);
+          }
+          reject(err);
+        }
+      });
     });
   });
 };
@@ -184,6 +284,7 @@ MockFirebase.prototype.update = function (changes, callback) {
   var self = this;
   return new Promise(function (resolve, reject) {
     self._defer('update', _.toArray(arguments), function () {
+      err = err || self._writeRulesError(changes);
       if (!err) {
         var base = self.getData();
         var data = _.isObject(base) ? base : {};
@@ -194,13 +295,17 @@ MockFirebase.prototype.update = function (changes, callback) {
         });
         data = utils.removeEmptyRtdbProperties(data);
         self._dataChanged(data);
-        resolve(data);
-      } else {
-        if (callback) {
-          callback(err);
-        }
-        reject(err);
       }
+      self._whenSynced(function () {
+        if (!err) {
+          resolve(data);
+        } else {
+          if (callback) {
+            callback(err);
+          }
+          reject(err);
+        }
+      });
     });
   });
 };
@@ -209,7 +314,9 @@ MockFirebase.prototype.setPriority = function (newPriority, callback) {
   var err = this._nextErr('setPriority');
   this._defer('setPriority', _.toArray(arguments), function () {
     this._priChanged(newPriority);
-    if (callback) callback(err);
+    this._whenSynced(function () {
+      if (callback) callback(err);
+    });
   });
 };
 
@@ -254,7 +361,7 @@ MockFirebase.prototype.once = function (event, callback, cancel, context) {
   cancel = cancel || _.noop;
   var self = this;
   return new Promise(function (resolve, reject) {
-    var err = self._nextErr('once');
+    var err = self._nextErr('once') || self._readRulesError();
     if (err) {
       self._defer('once', _.toArray(arguments), function () {
         if (cancel) {
@@ -281,17 +388,30 @@ MockFirebase.prototype.remove = function (callback) {
   var self = this;
   return new Promise(function (resolve, reject) {
     self._defer('remove', _.toArray(arguments), function () {
-      if (callback) callback(err);
+      err = err || self._writeRulesError({ '': null });
       if (err === null) {
         self._dataChanged(null);
-        resolve(null);
-      } else {
-        reject(err);
       }
+      self._whenSynced(function () {
+        if (callback) callback(err);
+        if (err === null) {
+          resolve(null);
+        } else {
+          reject(err);
+        }
+      });
     });
   });
 };
 
+/**
+ * @returns {MockFirebaseOnDisconnect} queues writes performed when the
+ *   client disconnects
+ */
+MockFirebase.prototype.onDisconnect = function () {
+  return new OnDisconnect(this);
+};
+
 MockFirebase.prototype.on = function (event, callback, cancel, context) {
   validate.event(event);
   if (arguments.length === 3 && typeof cancel !== 'function') {
@@ -300,7 +420,7 @@ MockFirebase.prototype.on = function (event, callback, cancel, context) {
   }
   cancel = cancel || _.noop;
 
-  var err = this._nextErr('on');
+  var err = this._nextErr('on') || this._readRulesError();
   if (err) {
     this._defer('on', _.toArray(arguments), function () {
       cancel.call(context, err);
@@ -336,29 +456,123 @@ MockFirebase.prototype.off = function (event, callback, context) {
       this._events[event] = [];
     }
   }
+  if (_.every(this._events, _.isEmpty)) {
+    var self = this;
+    _.remove(infoListeners, function (ref) {
+      return ref === self;
+    });
+  }
 };
 
+/**
+ * Runs `valueFn` with the cached value, then again with the stored value
+ * whenever a competing write lands before the transaction is committed, up
+ * to 25 times. With `applyLocally` (the default), each result is written
+ * locally right away; otherwise listeners only see the committed value.
+ * @param {function(*): *} valueFn returns the new value, or `undefined` to
+ *   abort the transaction
+ * @param {function(?Error, boolean, ?MockDataSnapshot)} [finishedFn]
+ * @param {boolean} [applyLocally=true]
+ * @returns {Promise<{committed: boolean, snapshot: MockDataSnapshot}>}
+ */
 MockFirebase.prototype.transaction = function (valueFn, finishedFn, applyLocally) {
   var err = this._nextErr('transaction');
-  var res = valueFn(this.getData());
-  var newData = _.isUndefined(res) || err ? this.getData() : res;
+  var args = _.toArray(arguments);
   var self = this;
+  var retries = 0;
+  // the value valueFn last ran with, its result and the data it wrote locally
+  var base, result, local;
+
+  function run(value) {
+    base = value;
+    result = valueFn(_.cloneDeep(base));
+    if (applyLocally !== false && !_.isUndefined(result)) {
+      self._dataChanged(utils.removeEmptyRtdbProperties(_.cloneDeep(result)));
+      local = self.getData();
+    }
+  }
+
+  // the stored value, leaving out what the transaction wrote locally
+  function storedValue() {
+    var data = self.getData();
+    return !_.isUndefined(local) && _.isEqual(data, local) ? base : data;
+  }
+
+  run(this.getData());
   return new Promise(function (resolve, reject) {
-    self._defer('transaction', _.toArray(arguments), function () {
-      newData = utils.removeEmptyRtdbProperties(newData);
-      self._dataChanged(newData);
-      if (typeof finishedFn === 'function') {
-        finishedFn(err, err === null && !_.isUndefined(res), new Snapshot(self, newData, self.priority));
+    function settle(error, committed) {
+      var snapshot = error ? null : new Snapshot(self, self.getData(), self.priority);
+      self._whenSynced(function () {
+        if (typeof finishedFn === 'function') {
+          finishedFn(error, committed, snapshot);
+        }
+        if (error) {
+          reject(error);
+        } else {
+          resolve({committed: committed, snapshot: snapshot});
+        }
+      });
+    }
+
+    // discards the locally written result, unless another write replaced it
+    function revert() {
+      if (!_.isUndefined(local) && _.isEqual(self.getData(), local) && !_.isEqual(local, base)) {
+        self._dataChanged(base);
       }
-      if (err === null) {
-        resolve({committed: err === null && !_.isUndefined(res), snapshot: new Snapshot(self, newData, self.priority)});
-      } else {
-        reject(err);
+    }
+
+    function commit() {
+      // the other writes of this flush land first
+      if (self._hasPendingOperations()) {
+        self._defer('transaction', args, commit);
+        return;
       }
-    });
+      var root = self.root;
+      var conflict = !_.isEqual(storedValue(), base);
+      if (root._forcedTransactionConflicts > 0) {
+        root._forcedTransactionConflicts--;
+        conflict = true;
+      }
+      if (conflict && err === null) {
+        if (retries >= MAX_TRANSACTION_RETRIES) {
+          revert();
+          settle(new Error('maxretry'), false);
+          return;
+        }
+        retries++;
+        run(storedValue());
+        commit();
+        return;
+      }
+      if (err === null && !_.isUndefined(result)) {
+        err = self._writeRulesError({ '': result },
+          setAtPath(_.cloneDeep(root.data), _.compact(self._rulesPath().split('/')), base));
+      }
+      if (err !== null || _.isUndefined(result)) {
+        revert();
+        settle(err, false);
+        return;
+      }
+      // a result applied locally is already stored
+      if (applyLocally === false) {
+        self._dataChanged(utils.removeEmptyRtdbProperties(_.cloneDeep(result)));
+      }
+      settle(null, true);
+    }
+
+    self._defer('transaction', args, commit);
   });
 };
 
+/**
+ * Makes the next transaction commits fail as if another client had changed
+ * the data first
+ * @param {number} [attempts=1] the number of commits to fail
+ */
+MockFirebase.prototype.forceTransactionConflict = function (attempts) {
+  this.root._forcedTransactionConflicts += _.isUndefined(attempts) ? 1 : attempts;
+};
+
 /**
  * Just a stub at this point.
  * @param {int} limit
@@ -381,36 +595,23 @@ MockFirebase.prototype.limitToLast = function (limit) {
   return new Query(this).limitToLast(limit);
 };
 
-/**
- * Just a stub so it can be spied on during testing
- */
 MockFirebase.prototype.orderByChild = function (child) {
-  console.warn("orderByChild() is not supported by firebase-mock.  You will need to use spies to test this functionality.  Please refer to the firebase-mock README for more info.");
-  return new Query(this);
+  var query = new Query(this).orderByChild(child);
+  this._warnUnindexed(query._q.orderBy.path);
+  return query;
 };
 
-/**
- * Just a stub so it can be spied on during testing
- */
-MockFirebase.prototype.orderByKey = function (key) {
-  console.warn("orderByKey() is not supported by firebase-mock.  You will need to use spies to test this functionality.  Please refer to the firebase-mock README for more info.");
-  return new Query(this);
+MockFirebase.prototype.orderByKey = function () {
+  return new Query(this).orderByKey();
 };
 
-/**
- * Just a stub so it can be spied on during testing
- */
-MockFirebase.prototype.orderByPriority = function (property) {
-  console.warn("orderByPriority() is not supported by firebase-mock.  You will need to use spies to test this functionality.  Please refer to the firebase-mock README for more info.");
-  return new Query(this);
+MockFirebase.prototype.orderByPriority = function () {
+  return new Query(this).orderByPriority();
 };
 
-/**
- * Just a stub so it can be spied on during testing
- */
-MockFirebase.prototype.orderByValue = function (value) {
-  console.warn("orderByValue() is not supported by firebase-mock.  You will need to use spies to test this functionality.  Please refer to the firebase-mock README for more info.");
-  return new Query(this);
+MockFirebase.prototype.orderByValue = function () {
+  this._warnUnindexed('.value');
+  return new Query(this).orderByValue();
 };
 
 MockFirebase.prototype.startAt = function (priority, key) {
@@ -426,6 +627,10 @@ MockFirebase.prototype.equalTo = function (priority, key) {
 };
 
 MockFirebase.prototype._childChanged = function (ref) {
+  // the .info subtree is not part of the data of the root
+  if (this._isInfo(ref.key)) {
+    return;
+  }
   var events = [];
   var childKey = ref.key;
   var data = ref.getData();
@@ -440,13 +645,11 @@ MockFirebase.prototype._childChanged = function (ref) {
 
 MockFirebase.prototype._dataChanged = function (unparsedData) {
   var self = this;
+  // resolved at once, so that children never see the server values
+  unparsedData = utils.resolveServerValues(unparsedData, this.data);
   var pri = utils.getMeta(unparsedData, 'priority', this.priority);
   var data = utils.cleanData(unparsedData);
 
-  if (utils.isServerTimestamp(data)) {
-    data = utils.getServerTime();
-  }
-
   if (pri !== this.priority) {
     this._priChanged(pri);
   }
@@ -468,11 +671,7 @@ MockFirebase.prototype._dataChanged = function (unparsedData) {
     }
     else {
       keysToChange.forEach(function (key) {
-        var childData = unparsedData[key];
-        if (utils.isServerTimestamp(childData)) {
-          childData = utils.getServerTime();
-        }
-        self._updateOrAdd(key, childData, events);
+        self._updateOrAdd(key, unparsedData[key], events);
       });
     }
 
@@ -487,9 +686,7 @@ MockFirebase.prototype._dataChanged = function (unparsedData) {
 };
 
 MockFirebase.prototype._priChanged = function (newPriority) {
-  if (utils.isServerTimestamp(newPriority)) {
-    newPriority = utils.getServerTime();
-  }
+  newPriority = utils.resolveServerValue(newPriority, this.priority);
   this.priority = newPriority;
   if (this.parent) {
     this.parent._resort(this.key);
@@ -628,6 +825,146 @@ MockFirebase.prototype._nextErr = function (type) {
   return err || null;
 };
 
+MockFirebase.prototype._rulesContext = function () {
+  var root = this.root;
+  return {
+    auth: Rules.authContext((root._rulesAuth || root).currentUser),
+    data: root.data,
+    time: utils.getServerTime()
+  };
+};
+
+// the path of this reference relative to the root, e.g. /users/bob
+MockFirebase.prototype._rulesPath = function () {
+  var segments = [];
+  for (var ref = this; ref.parent; ref = ref.parent) {
+    segments.unshift(ref.key);
+  }
+  return '/' + segments.join('/');
+};
+
+MockFirebase.prototype._readRulesError = function () {
+  var rules = this.root._rules;
+  var path = this._rulesPath();
+  if (path === '/' + INFO_KEY || path.indexOf('/' + INFO_KEY + '/') === 0) {
+    return null;
+  }
+  if (rules === null || rules.allowsRead(this._rulesPath(), this._rulesContext())) {
+    return null;
+  }
+  var err = new Error('permission_denied at ' + this._rulesPath() +
+    ': Client doesn\'t have permission to access the desired data.');
+  err.code = 'PERMISSION_DENIED';
+  return err;
+};
+
+/**
+ * Checks a write against the security rules
+ * @param {Object} changes the new values, keyed by their path relative to
+ *   this reference ('' for this reference itself)
+ * @param {*} [data] the data of the whole database before the write, when
+ *   it is not the stored data
+ * @returns {Error|null} a PERMISSION_DENIED error if the rules deny it
+ */
+MockFirebase.prototype._writeRulesError = function (changes, data) {
+  var rules = this.root._rules;
+  if (rules === null) {
+    return null;
+  }
+  var path = this._rulesPath();
+  var writes = {};
+  _.forEach(_.keys(changes), function (key) {
+    writes[utils.mergePaths(path, key)] = changes[key];
+  });
+  var context = this._rulesContext();
+  if (!_.isUndefined(data)) {
+    context.data = data;
+  }
+  if (rules.allowsWrite(writes, context)) {
+    return null;
+  }
+  var err = new Error('PERMISSION_DENIED: Permission denied');
+  err.code = 'PERMISSION_DENIED';
+  return err;
+};
+
+// logs the SDK's warning when a query orders by a child the rules do not index
+MockFirebase.prototype._warnUnindexed = function (index) {
+  var rules = this.root._rules;
+  if (rules !== null && !_.includes(rules.indexOn(this._rulesPath()), index)) {
+    console.warn('FIREBASE WARNING: Using an unspecified index. Your data will be downloaded and filtered on the client. ' +
+      'Consider adding ".indexOn": "' + index + '" at ' + this._rulesPath() + ' to your security rules for better performance.');
+  }
+};
+
+// Applies the writes queued with onDisconnect() atomically, then discards
+// them.
+MockFirebase.prototype._runOnDisconnectWrites = function () {
+  var writes = this._onDisconnectWrites;
+  this._onDisconnectWrites = [];
+  if (writes.length === 0) {
+    return;
+  }
+  var data = this.getData();
+  _.forEach(writes, function (write) {
+    _.forEach(write.changes, function (value, key) {
+      var segments = _.compact(write.path.split('/').concat(key.split('/')));
+      if (!_.isUndefined(write.priority)) {
+        value = _.isObject(value) ? _.assign({}, value, { '.priority': write.priority }) :
+          { '.value': value, '.priority': write.priority };
+      }
+      data = setAtPath(data, segments, _.cloneDeep(value));
+    });
+  });
+  this._dataChanged(utils.removeEmptyRtdbProperties(data));
+};
+
+// whether operations other than transaction commits wait to be flushed
+MockFirebase.prototype._hasPendingOperations = function () {
+  return !!_.find(this.queue.getEvents(), function (event) {
+    return event.sourceData && event.sourceData.method !== 'transaction';
+  });
+};
+
+/**
+ * Settles a write once the server acknowledges it: immediately while the
+ * client is online, otherwise when it goes online again
+ * @param {Function} settle calls the callback of the write and settles its
+ *   promise
+ */
+MockFirebase.prototype._whenSynced = function (settle) {
+  var root = this.root;
+  if (root._connected) {
+    settle();
+  } else {
+    root._unsyncedWrites.push(settle);
+  }
+};
+
+// Only the root has a .info child, whose values the mock controls.
+MockFirebase.prototype._isInfo = function (key) {
+  return key === INFO_KEY && this.parent === null;
+};
+
+MockFirebase.prototype._isInInfo = function () {
+  var ref = this;
+  while (ref.parent !== null && ref.parent.parent !== null) {
+    ref = ref.parent;
+  }
+  return ref.parent !== null && ref.parent._isInfo(ref.key);
+};
+
+MockFirebase.prototype._infoData = function () {
+  return {
+    connected: this._connected,
+    serverTimeOffset: utils.getServerTimeOffset()
+  };
+};
+
+MockFirebase.prototype._updateInfo = function () {
+  this.child(INFO_KEY)._dataChanged(this._infoData());
+};
+
 MockFirebase.prototype._hasChild = function (key) {
   return _.isObject(this.data) && _.has(this.data, key);
 };
@@ -652,6 +989,10 @@ MockFirebase.prototype._getPrevChild = function (key) {
 MockFirebase.prototype._on = function (deferName, event, callback, cancel, context) {
   var self = this;
   var handlers = [callback, context, cancel];
+  if (this._isInInfo() && !_.includes(infoListeners, this)) {
+    this.root._updateInfo();
+    infoListeners.push(this);
+  }
   this._events[event].push(handlers);
   // value and child_added both trigger initial events when called so
   // defer those here
@@ -690,6 +1031,31 @@ MockFirebase.prototype.childComparator = function (a, b) {
   return x;
 };
 
+// Recomputes .info/serverTimeOffset where it has listeners, notifying them
+function updateInfoRoots() {
+  _.forEach(_.union(_.map(infoListeners, 'root')), function (root) {
+    root._updateInfo();
+  });
+}
+
+// Replaces the value at the path inside of data, creating the missing
+// parents, and returns the new data.
+function setAtPath(data, segments, value) {
+  if (segments.length === 0) {
+    return value;
+  }
+  var result = _.isObject(data) ? data : {};
+  var node = result;
+  _.forEach(segments.slice(0, -1), function (key) {
+    if (!_.isObject(node[key])) {
+      node[key] = {};
+    }
+    node = node[key];
+  });
+  node[segments[segments.length - 1]] = value;
+  return result;
+}
+
 function extractName(path) {
   return ((path || '').match(/\/([^.$\[\]#\/]+)$/) || [null, null])[1];
 }
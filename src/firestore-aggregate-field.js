@@ -0,0 +1,33 @@
+'use strict';
+
+var _ = require('./lodash');
+var FieldPath = require('./firestore-field-path');
+
+function MockFirestoreAggregateField(aggregateType, field) {
+  this.aggregateType = aggregateType;
+  this._field = field;
+}
+
+MockFirestoreAggregateField.prototype.isEqual = function (other) {
+  if (!(other instanceof MockFirestoreAggregateField) || this.aggregateType !== other.aggregateType) {
+    return false;
+  }
+  if (this._field instanceof FieldPath) {
+    return this._field.isEqual(other._field);
+  }
+  return _.isEqual(this._field, other._field);
+};
+
+MockFirestoreAggregateField.count = function () {
+  return new MockFirestoreAggregateField('count');
+};
+
+MockFirestoreAggregateField.sum = function (field) {
+  return new MockFirestoreAggregateField('sum', field);
+};
+
+MockFirestoreAggregateField.average = function (field) {
+  return new MockFirestoreAggregateField('avg', field);
+};
+
+module.exports = MockFirestoreAggregateField;
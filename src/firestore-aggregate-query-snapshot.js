@@ -0,0 +1,15 @@
+'use strict';
+
+var _ = require('./lodash');
+
+function MockFirestoreAggregateQuerySnapshot(query, readTime, data) {
+  this.query = query;
+  this.readTime = readTime;
+  this._data = _.clone(data);
+}
+
+MockFirestoreAggregateQuerySnapshot.prototype.data = function () {
+  return _.clone(this._data);
+};
+
+module.exports = MockFirestoreAggregateQuerySnapshot;
@@ -0,0 +1,85 @@
+'use strict';
+
+var _ = require('./lodash');
+var Promise = require('rsvp').Promise;
+var AggregateQuerySnapshot = require('./firestore-aggregate-query-snapshot');
+var createFirestoreError = require('./firestore-error');
+var Timestamp = require('./timestamp');
+var utils = require('./utils');
+
+/**
+ * A query that computes aggregations over the results of another query
+ * @param {MockFirestoreQuery} query
+ * @param {Object<string, MockFirestoreAggregateField>} aggregations keyed by alias
+ */
+function MockFirestoreAggregateQuery(query, aggregations) {
+  this.errs = {};
+  this.query = query;
+  this._aggregations = aggregations;
+}
+
+MockFirestoreAggregateQuery.prototype.get = function () {
+  this.query._validateLimitToLast();
+  var err = this._nextErr('get');
+  var self = this;
+  return new Promise(function (resolve, reject) {
+    self.query._defer('aggregate', _.toArray(arguments), function () {
+      // aggregations are only computed by the server
+      if (self.query._isOffline()) {
+        err = err || createFirestoreError('UNAVAILABLE',
+          'Failed to get aggregate result because the client is offline.');
+      }
+      err = err || self.query._listRulesError();
+      if (err === null) {
+        var readTime = Timestamp.fromMillis(utils.getServerTime());
+        resolve(new AggregateQuerySnapshot(self, readTime, self._aggregate()));
+      } else {
+        reject(err);
+      }
+    });
+  });
+};
+
+MockFirestoreAggregateQuery.prototype.isEqual = function (other) {
+  var self = this;
+  return other instanceof MockFirestoreAggregateQuery &&
+    this.query === other.query &&
+    _.isEqual(_.keys(this._aggregations), _.keys(other._aggregations)) &&
+    _.every(this._aggregations, function (field, alias) {
+      return field.isEqual(other._aggregations[alias]);
+    });
+};
+
+MockFirestoreAggregateQuery.prototype._aggregate = function () {
+  var docs = this.query._querySnapshot(this.query._results()).docs;
+  return _.reduce(this._aggregations, function (data, field, alias) {
+    data[alias] = aggregate(field, docs);
+    return data;
+  }, {});
+};
+
+MockFirestoreAggregateQuery.prototype._nextErr = function (type) {
+  var err = this.errs[type];
+  delete this.errs[type];
+  return err || null;
+};
+
+// Like the real backend, sum and average skip values that are not numbers.
+function aggregate(field, docs) {
+  if (field.aggregateType === 'count') {
+    return docs.length;
+  }
+
+  var values = _.filter(_.map(docs, function (doc) {
+    return doc.get(field._field);
+  }), _.isNumber);
+  var sum = _.reduce(values, function (total, value) {
+    return total + value;
+  }, 0);
+  if (field.aggregateType === 'sum') {
+    return sum;
+  }
+  return values.length === 0 ? null : sum / values.length;
+}
+
+module.exports = MockFirestoreAggregateQuery;
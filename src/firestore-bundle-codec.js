@@ -0,0 +1,425 @@
+'use strict';
+
+var _ = require('./lodash');
+var Bytes = require('./firestore-bytes');
+var FieldPath = require('./firestore-field-path');
+var GeoPoint = require('./firestore-geo-point');
+var Timestamp = require('./timestamp');
+var VectorValue = require('./firestore-vector-value');
+var comparator = require('./firestore-comparator');
+var createFirestoreError = require('./firestore-error');
+
+// Converts between the mock's values and queries and their JSON encoding in
+// the protos of the Firestore API, as found in bundles.
+// https://github.com/googleapis/googleapis/blob/master/google/firestore/v1/query.proto
+
+var DOCUMENTS_PATH = 'projects/mock-project/databases/(default)/documents';
+var DOCUMENT_NAME = /^projects\/[^\/]+\/databases\/[^\/]+\/documents(?:\/(.+))?$/;
+var SIMPLE_FIELD_NAME = /^[a-zA-Z_][a-zA-Z_0-9]*$/;
+var OPERATORS = {
+  '<': 'LESS_THAN',
+  '<=': 'LESS_THAN_OR_EQUAL',
+  '==': 'EQUAL',
+  '!=': 'NOT_EQUAL',
+  '>=': 'GREATER_THAN_OR_EQUAL',
+  '>': 'GREATER_THAN',
+  'array-contains': 'ARRAY_CONTAINS',
+  'in': 'IN',
+  'not-in': 'NOT_IN',
+  'array-contains-any': 'ARRAY_CONTAINS_ANY'
+};
+var OPERATORS_BY_NAME = {};
+_.forEach(OPERATORS, function (name, operator) {
+  OPERATORS_BY_NAME[name] = operator;
+});
+var UNARY_OPERATORS = {
+  IS_NULL: { operator: '==', value: null },
+  IS_NOT_NULL: { operator: '!=', value: null },
+  IS_NAN: { operator: '==', value: NaN },
+  IS_NOT_NAN: { operator: '!=', value: NaN }
+};
+
+function invalidBundle(message) {
+  return createFirestoreError('INVALID_ARGUMENT', 'Invalid bundle: ' + message);
+}
+
+/**
+ * Returns the resource name of a document or, for the empty path, of the
+ * root of the database
+ * @param {string} path the path of the document relative to the root
+ * @returns {string}
+ */
+function documentName(path) {
+  return path ? DOCUMENTS_PATH + '/' + path : DOCUMENTS_PATH;
+}
+
+/**
+ * Returns the path relative to the root of a document resource name, from
+ * any project and database
+ * @param {string} name
+ * @returns {string}
+ */
+function documentPath(name) {
+  var match = _.isString(name) ? name.match(DOCUMENT_NAME) : null;
+  if (match === null) {
+    throw invalidBundle('"' + name + '" is not a document resource name.');
+  }
+  return match[1] || '';
+}
+
+/**
+ * @param {Timestamp|Date} time
+ * @returns {{seconds: string, nanos: number}}
+ */
+function encodeTimestamp(time) {
+  var timestamp = time instanceof Date ? Timestamp.fromDate(time) : time;
+  return { seconds: String(timestamp.seconds), nanos: timestamp.nanoseconds };
+}
+
+/**
+ * Accepts both encodings of timestamps in JSON: an object with seconds and
+ * nanos or an RFC 3339 string
+ * @param {Object|string} value
+ * @returns {Timestamp}
+ */
+function decodeTimestamp(value) {
+  if (_.isString(value)) {
+    return Timestamp.fromDate(new Date(value));
+  }
+  return new Timestamp(Number(value.seconds || 0), value.nanos || 0);
+}
+
+function encodeNumber(value) {
+  if (Number.isSafeInteger(value) && !(value === 0 && 1 / value < 0)) {
+    return { integerValue: String(value) };
+  }
+  // JSON has no literals for NaN and the infinities
+  return { doubleValue: isFinite(value) ? value : String(value) };
+}
+
+/**
+ * @param {*} value a value of document data
+ * @returns {Object} the Value proto
+ */
+function encodeValue(value) {
+  if (value === null || _.isUndefined(value)) {
+    return { nullValue: 'NULL_VALUE' };
+  } else if (typeof value === 'boolean') {
+    return { booleanValue: value };
+  } else if (_.isNumber(value)) {
+    return encodeNumber(value);
+  } else if (value instanceof Date || value instanceof Timestamp) {
+    return { timestampValue: encodeTimestamp(value) };
+  } else if (_.isString(value)) {
+    return { stringValue: value };
+  } else if (value instanceof Bytes) {
+    return { bytesValue: value.toBase64() };
+  } else if (comparator.isReference(value)) {
+    return { referenceValue: documentName(value.firestore._relativePath(value)) };
+  } else if (value instanceof GeoPoint) {
+    return { geoPointValue: { latitude: value.latitude, longitude: value.longitude } };
+  } else if (Array.isArray(value)) {
+    return { arrayValue: { values: _.map(value, encodeValue) } };
+  } else if (value instanceof VectorValue) {
+    return {
+      mapValue: {
+        fields: {
+          __type__: { stringValue: '__vector__' },
+          value: encodeValue(value.toArray())
+        }
+      }
+    };
+  }
+  return { mapValue: { fields: encodeFields(value) } };
+}
+
+/**
+ * @param {Object} data document data
+ * @returns {Object} the Value protos keyed by field name
+ */
+function encodeFields(data) {
+  var fields = {};
+  _.forEach(data, function (value, key) {
+    fields[key] = encodeValue(value);
+  });
+  return fields;
+}
+
+/**
+ * @param {MockFirestore} firestore the database references are resolved in
+ * @param {Object} value a Value proto
+ * @returns {*}
+ */
+function decodeValue(firestore, value) {
+  if (_.has(value, 'nullValue')) {
+    return null;
+  } else if (_.has(value, 'booleanValue')) {
+    return value.booleanValue;
+  } else if (_.has(value, 'integerValue')) {
+    return Number(value.integerValue);
+  } else if (_.has(value, 'doubleValue')) {
+    return Number(value.doubleValue);
+  } else if (_.has(value, 'timestampValue')) {
+    return decodeTimestamp(value.timestampValue);
+  } else if (_.has(value, 'stringValue')) {
+    return value.stringValue;
+  } else if (_.has(value, 'bytesValue')) {
+    return Bytes.fromBase64String(value.bytesValue);
+  } else if (_.has(value, 'referenceValue')) {
+    return firestore.doc(documentPath(value.referenceValue));
+  } else if (_.has(value, 'geoPointValue')) {
+    return new GeoPoint(value.geoPointValue.latitude || 0, value.geoPointValue.longitude || 0);
+  } else if (_.has(value, 'arrayValue')) {
+    return _.map(value.arrayValue.values, function (element) {
+      return decodeValue(firestore, element);
+    });
+  } else if (_.has(value, 'mapValue')) {
+    var fields = decodeFields(firestore, value.mapValue.fields);
+    return fields.__type__ === '__vector__' ? new VectorValue(fields.value) : fields;
+  }
+  throw invalidBundle('unsupported value ' + JSON.stringify(value) + '.');
+}
+
+/**
+ * @param {MockFirestore} firestore
+ * @param {Object} [fields] the Value protos keyed by field name
+ * @returns {Object} document data
+ */
+function decodeFields(firestore, fields) {
+  var data = {};
+  _.forEach(fields, function (value, key) {
+    data[key] = decodeValue(firestore, value);
+  });
+  return data;
+}
+
+// Segments that are not valid identifiers are quoted with backticks.
+function encodeFieldPath(segments) {
+  return _.map(segments, function (segment) {
+    return SIMPLE_FIELD_NAME.test(segment) ? segment :
+      '`' + segment.replace(/\\/g, '\\\\').replace(/`/g, '\\`') + '`';
+  }).join('.');
+}
+
+function decodeFieldPath(fieldPath) {
+  if (fieldPath === '__name__') {
+    return FieldPath.documentId();
+  }
+  var segments = [];
+  var segment = '';
+  var quoted = false;
+  for (var i = 0; i < fieldPath.length; i++) {
+    var c = fieldPath[i];
+    if (quoted && c === '\\') {
+      segment += fieldPath[++i];
+    } else if (c === '`') {
+      quoted = !quoted;
+    } else if (!quoted && c === '.') {
+      segments.push(segment);
+      segment = '';
+    } else {
+      segment += c;
+    }
+  }
+  segments.push(segment);
+  if (_.every(segments, function (s) { return SIMPLE_FIELD_NAME.test(s); })) {
+    return segments.join('.');
+  }
+  var path = new FieldPath();
+  path._path = segments;
+  return path;
+}
+
+function propertySegments(property) {
+  return property instanceof FieldPath ? property._path : property.split('.');
+}
+
+function isDocumentId(property) {
+  return FieldPath.documentId().isEqual(property);
+}
+
+// Document ids in filters and cursors are encoded as references. The keys
+// of collection group queries already are paths relative to the root.
+function keyName(query, key) {
+  if (query.allDescendants) {
+    return documentName(key);
+  }
+  return documentName(query.firestore._relativePath(query._collection()) + '/' + key);
+}
+
+function nameKey(query, name) {
+  var path = documentPath(name);
+  return query.allDescendants ? path : path.split('/').pop();
+}
+
+function encodeQueryValue(query, property, value) {
+  if (!isDocumentId(property)) {
+    return encodeValue(value);
+  }
+  if (Array.isArray(value)) {
+    return {
+      arrayValue: {
+        values: _.map(value, function (key) {
+          return { referenceValue: keyName(query, key) };
+        })
+      }
+    };
+  }
+  return { referenceValue: keyName(query, value) };
+}
+
+function decodeQueryValue(query, property, value) {
+  if (!isDocumentId(property)) {
+    return decodeValue(query.firestore, value);
+  }
+  if (_.has(value, 'arrayValue')) {
+    return _.map(value.arrayValue.values, function (element) {
+      return nameKey(query, element.referenceValue);
+    });
+  }
+  return nameKey(query, value.referenceValue);
+}
+
+function encodeFilter(query, filter) {
+  var field = {
+    fieldPath: filter.path[0] === 'key' ? '__name__' : encodeFieldPath(filter.path.slice(1))
+  };
+  var isNaNValue = _.isNumber(filter.value) && isNaN(filter.value);
+  if ((filter.operator === '==' || filter.operator === '!=') && (filter.value === null || isNaNValue)) {
+    var op = (filter.operator === '==' ? 'IS_' : 'IS_NOT_') + (isNaNValue ? 'NAN' : 'NULL');
+    return { unaryFilter: { op: op, field: field } };
+  }
+  var property = filter.path[0] === 'key' ? FieldPath.documentId() : filter.field;
+  return {
+    fieldFilter: {
+      field: field,
+      op: OPERATORS[filter.operator],
+      value: encodeQueryValue(query, property, filter.value)
+    }
+  };
+}
+
+// startAt() and endBefore() position the cursor before the given values.
+function encodeCursor(query, bound, before) {
+  var values = _.map(bound.values, function (value, i) {
+    return encodeQueryValue(query, query.orderedProperties[i], value);
+  });
+  if (bound.id !== null) {
+    values.push({ referenceValue: keyName(query, bound.id) });
+  }
+  return { values: values, before: before };
+}
+
+function decodeCursor(query, cursor, inclusive) {
+  var values = cursor.values || [];
+  var id = null;
+  if (values.length > query.orderedProperties.length) {
+    id = nameKey(query, values[values.length - 1].referenceValue);
+    values = values.slice(0, -1);
+  }
+  return {
+    values: _.map(values, function (value, i) {
+      return decodeQueryValue(query, query.orderedProperties[i], value);
+    }),
+    id: id,
+    inclusive: inclusive
+  };
+}
+
+/**
+ * @param {MockFirestoreQuery} query
+ * @returns {{parent: string, structuredQuery: Object, limitType: string}}
+ *   the BundledQuery proto
+ */
+function encodeQuery(query) {
+  var structuredQuery = {
+    from: [{ collectionId: query.id, allDescendants: query.allDescendants }]
+  };
+  var filters = _.map(query.filters, function (filter) {
+    return encodeFilter(query, filter);
+  });
+  if (filters.length === 1) {
+    structuredQuery.where = filters[0];
+  } else if (filters.length > 1) {
+    structuredQuery.where = { compositeFilter: { op: 'AND', filters: filters } };
+  }
+  if (query.orderedProperties.length > 0) {
+    structuredQuery.orderBy = _.map(query.orderedProperties, function (property, i) {
+      return {
+        field: { fieldPath: isDocumentId(property) ? '__name__' : encodeFieldPath(propertySegments(property)) },
+        direction: query.orderedDirections[i] === 'desc' ? 'DESCENDING' : 'ASCENDING'
+      };
+    });
+  }
+  if (query.startBound !== null) {
+    structuredQuery.startAt = encodeCursor(query, query.startBound, query.startBound.inclusive);
+  }
+  if (query.endBound !== null) {
+    structuredQuery.endAt = encodeCursor(query, query.endBound, !query.endBound.inclusive);
+  }
+  if (query.limited > 0) {
+    structuredQuery.limit = { value: query.limited };
+  }
+  return {
+    parent: documentName(query.firestore._relativePath(query.parent)),
+    structuredQuery: structuredQuery,
+    limitType: query.limitedToLast ? 'LAST' : 'FIRST'
+  };
+}
+
+/**
+ * @param {MockFirestore} firestore the database to query
+ * @param {Object} bundledQuery a BundledQuery proto
+ * @returns {MockFirestoreQuery}
+ */
+function decodeQuery(firestore, bundledQuery) {
+  var structuredQuery = bundledQuery.structuredQuery || {};
+  var from = structuredQuery.from && structuredQuery.from[0];
+  if (!from || !_.isString(from.collectionId)) {
+    throw invalidBundle('named queries must select from a collection.');
+  }
+  var parentPath = documentPath(bundledQuery.parent);
+  var query = from.allDescendants ? firestore.collectionGroup(from.collectionId) :
+    firestore.collection(parentPath ? parentPath + '/' + from.collectionId : from.collectionId);
+
+  var where = structuredQuery.where;
+  var filters = where && where.compositeFilter ? where.compositeFilter.filters : _.compact([where]);
+  _.forEach(filters, function (filter) {
+    if (filter.unaryFilter) {
+      var unary = UNARY_OPERATORS[filter.unaryFilter.op];
+      query = query.where(decodeFieldPath(filter.unaryFilter.field.fieldPath), unary.operator, unary.value);
+    } else {
+      var property = decodeFieldPath(filter.fieldFilter.field.fieldPath);
+      query = query.where(property, OPERATORS_BY_NAME[filter.fieldFilter.op],
+        decodeQueryValue(query, property, filter.fieldFilter.value));
+    }
+  });
+  _.forEach(structuredQuery.orderBy, function (order) {
+    query = query.orderBy(decodeFieldPath(order.field.fieldPath),
+      order.direction === 'DESCENDING' ? 'desc' : 'asc');
+  });
+  if (structuredQuery.startAt || structuredQuery.endAt) {
+    query = query.clone();
+    if (structuredQuery.startAt) {
+      query.startBound = decodeCursor(query, structuredQuery.startAt, !!structuredQuery.startAt.before);
+    }
+    if (structuredQuery.endAt) {
+      query.endBound = decodeCursor(query, structuredQuery.endAt, !structuredQuery.endAt.before);
+    }
+  }
+  var limit = structuredQuery.limit;
+  if (!_.isUndefined(limit)) {
+    limit = _.isNumber(limit) ? limit : limit.value;
+    query = bundledQuery.limitType === 'LAST' ? query.limitToLast(limit) : query.limit(limit);
+  }
+  return query;
+}
+
+exports.documentName = documentName;
+exports.documentPath = documentPath;
+exports.encodeTimestamp = encodeTimestamp;
+exports.decodeTimestamp = decodeTimestamp;
+exports.encodeFields = encodeFields;
+exports.decodeFields = decodeFields;
+exports.encodeQuery = encodeQuery;
+exports.decodeQuery = decodeQuery;
@@ -0,0 +1,133 @@
+'use strict';
+
+var _ = require('./lodash');
+var DocumentSnapshot = require('./firestore-document-snapshot');
+var QuerySnapshot = require('./firestore-query-snapshot');
+var Timestamp = require('./timestamp');
+var codec = require('./firestore-bundle-codec');
+var createFirestoreError = require('./firestore-error');
+
+var BUNDLE_VERSION = 1;
+
+/**
+ * Builds a Firestore bundle, as returned by `MockFirestore.bundle()`
+ * https://firebase.google.com/docs/firestore/bundles
+ * @param {MockFirestore} firestore
+ * @param {string} bundleId
+ */
+function MockFirestoreBundle(firestore, bundleId) {
+  this.firestore = firestore;
+  this.bundleId = bundleId;
+  this._documents = {};
+  this._namedQueries = {};
+  this._latestReadTime = new Timestamp(0, 0);
+}
+
+/**
+ * Adds a document, or the results of a query saved under the given name,
+ * to the bundle
+ * @param {MockFirestoreDocumentSnapshot|string} documentOrName
+ * @param {MockFirestoreQuerySnapshot} [querySnapshot]
+ * @returns {MockFirestoreBundle}
+ */
+MockFirestoreBundle.prototype.add = function (documentOrName, querySnapshot) {
+  if (documentOrName instanceof DocumentSnapshot && arguments.length === 1) {
+    this._addDocument(documentOrName);
+  } else if (_.isString(documentOrName) && querySnapshot instanceof QuerySnapshot) {
+    this._addQuery(documentOrName, querySnapshot);
+  } else {
+    throw createFirestoreError('INVALID_ARGUMENT', 'Bundle.add() expects either a DocumentSnapshot or a query ' +
+      'name and a QuerySnapshot.');
+  }
+  return this;
+};
+
+/**
+ * Serializes the bundle into length-prefixed JSON elements: its metadata,
+ * then its named queries, then the metadata and data of every document
+ * @returns {Buffer}
+ */
+MockFirestoreBundle.prototype.build = function () {
+  var elements = [];
+  _.forEach(this._namedQueries, function (namedQuery) {
+    elements.push({ namedQuery: namedQuery });
+  });
+  _.forEach(this._documents, function (entry, name) {
+    var snapshot = entry.snapshot;
+    elements.push({
+      documentMetadata: {
+        name: name,
+        readTime: codec.encodeTimestamp(snapshot.readTime),
+        exists: snapshot.exists,
+        queries: entry.queries
+      }
+    });
+    if (snapshot.exists) {
+      elements.push({
+        document: {
+          name: name,
+          fields: codec.encodeFields(snapshot._snapshotdata),
+          createTime: codec.encodeTimestamp(snapshot.createTime || snapshot.readTime),
+          updateTime: codec.encodeTimestamp(snapshot.updateTime || snapshot.readTime)
+        }
+      });
+    }
+  });
+  var body = Buffer.concat(_.map(elements, lengthPrefixed));
+  var metadata = lengthPrefixed({
+    metadata: {
+      id: this.bundleId,
+      createTime: codec.encodeTimestamp(this._latestReadTime),
+      version: BUNDLE_VERSION,
+      totalDocuments: _.size(this._documents),
+      totalBytes: body.length
+    }
+  });
+  return Buffer.concat([metadata, body]);
+};
+
+// Documents added more than once keep their most recent version, and list
+// every named query they are part of.
+MockFirestoreBundle.prototype._addDocument = function (snapshot, queryName) {
+  var name = codec.documentName(this.firestore._relativePath(snapshot.ref));
+  var entry = this._documents[name];
+  if (!entry) {
+    entry = this._documents[name] = { snapshot: snapshot, queries: [] };
+  } else if (entry.snapshot.readTime.toMillis() < snapshot.readTime.toMillis()) {
+    entry.snapshot = snapshot;
+  }
+  if (queryName) {
+    entry.queries.push(queryName);
+  }
+  this._updateReadTime(snapshot.readTime);
+};
+
+MockFirestoreBundle.prototype._addQuery = function (name, snapshot) {
+  if (_.has(this._namedQueries, name)) {
+    throw createFirestoreError('INVALID_ARGUMENT', 'Query name conflict: ' + name + ' has already been added.');
+  }
+  this._namedQueries[name] = {
+    name: name,
+    bundledQuery: codec.encodeQuery(snapshot.query),
+    readTime: codec.encodeTimestamp(snapshot.readTime)
+  };
+  var self = this;
+  _.forEach(snapshot.docs, function (doc) {
+    self._addDocument(doc, name);
+  });
+  this._updateReadTime(snapshot.readTime);
+};
+
+MockFirestoreBundle.prototype._updateReadTime = function (readTime) {
+  if (readTime.toMillis() > this._latestReadTime.toMillis()) {
+    this._latestReadTime = readTime;
+  }
+};
+
+// Each element is preceded by its length in bytes, in decimal.
+function lengthPrefixed(element) {
+  var json = Buffer.from(JSON.stringify(element), 'utf8');
+  return Buffer.concat([Buffer.from(String(json.length), 'utf8'), json]);
+}
+
+module.exports = MockFirestoreBundle;
@@ -0,0 +1,39 @@
+'use strict';
+
+/**
+ * An immutable array of bytes, exposed as both `Blob` and `Bytes`. Use
+ * `fromBase64String()` or `fromUint8Array()` to create one.
+ * @param {string} binaryString one character per byte
+ */
+function MockFirestoreBytes(binaryString) {
+  this._binaryString = binaryString;
+}
+
+MockFirestoreBytes.fromBase64String = function (base64) {
+  return new MockFirestoreBytes(Buffer.from(base64, 'base64').toString('binary'));
+};
+
+MockFirestoreBytes.fromUint8Array = function (array) {
+  if (!(array instanceof Uint8Array)) {
+    throw new TypeError('Bytes.fromUint8Array() expects a Uint8Array');
+  }
+  return new MockFirestoreBytes(Buffer.from(array).toString('binary'));
+};
+
+MockFirestoreBytes.prototype.toBase64 = function () {
+  return Buffer.from(this._binaryString, 'binary').toString('base64');
+};
+
+MockFirestoreBytes.prototype.toUint8Array = function () {
+  return new Uint8Array(Buffer.from(this._binaryString, 'binary'));
+};
+
+MockFirestoreBytes.prototype.isEqual = function (other) {
+  return other instanceof MockFirestoreBytes && this._binaryString === other._binaryString;
+};
+
+MockFirestoreBytes.prototype.toString = function () {
+  return 'Bytes(base64: ' + this.toBase64() + ')';
+};
+
+module.exports = MockFirestoreBytes;
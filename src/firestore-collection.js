@@ -29,22 +29,33 @@ MockFirestoreCollection.autoId = function () {
 };
 
 MockFirestoreCollection.prototype.add = function (data) {
+  if (this._converter) {
+    data = this._converter.toFirestore(data);
+  }
+  validate.firestoreData(data, this.firestore && this.firestore._settings);
   var err = this._nextErr('add');
   data = utils.cleanFirestoreData(data);
   var self = this;
+  var ref = null;
+  var write = null;
+  if (err === null) {
+    ref = self.doc(MockFirestoreCollection.autoId());
+    var writeTime = ref._nextWriteTime();
+    var newData = ref._computeSet(data, writeTime.toMillis());
+    err = ref._validateSize(newData) || ref._rulesError('create', null, newData);
+    if (err === null) {
+      write = ref._applyLocally(newData, writeTime);
+    }
+  }
   return new Promise(function (resolve, reject) {
     self._defer('add', _.toArray(arguments), function () {
       if (err === null) {
-        var id = MockFirestoreCollection.autoId();
-        self.data = self.data || {};
-        self.data[id] = data;
-        var ref = self.doc(id);
-        ref.set(data).then(function() {
+        ref._whenAcknowledged(write, function () {
           resolve(ref);
-        }).catch(reject);
-      } else {
-        reject(err);
+        });
+        return;
       }
+      reject(err);
     });
   });
 };
@@ -56,13 +67,14 @@ MockFirestoreCollection.prototype.doc = function (path) {
   var childKey = parts.shift();
   var child = this.children[childKey];
   if (!child) {
-    child = new this.DocumentReference(utils.mergePaths(this.path, childKey), this._childData(childKey), this, childKey, MockFirestoreCollection);
+    var parent = this._untyped || this;
+    child = new this.DocumentReference(utils.mergePaths(this.path, childKey), this._childData(childKey), parent, childKey, MockFirestoreCollection);
     this.children[child.id] = child;
   }
   if (parts.length > 0) {
-    child = child.collection(parts.join('/'));
+    return child.collection(parts.join('/'));
   }
-  return child;
+  return this._converter ? child.withConverter(this._converter) : child;
 };
 
 MockFirestoreCollection.prototype.listDocuments = function () {
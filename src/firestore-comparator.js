@@ -0,0 +1,227 @@
+'use strict';
+
+var _ = require('./lodash');
+var Bytes = require('./firestore-bytes');
+var GeoPoint = require('./firestore-geo-point');
+var Timestamp = require('./timestamp');
+var VectorValue = require('./firestore-vector-value');
+
+// https://firebase.google.com/docs/firestore/manage-data/data-types#value_type_ordering
+var TYPE_ORDER = {
+  null: 0,
+  boolean: 1,
+  number: 2,
+  timestamp: 3,
+  string: 4,
+  bytes: 5,
+  reference: 6,
+  geopoint: 7,
+  array: 8,
+  vector: 9,
+  map: 10
+};
+
+function isTimestamp(value) {
+  return value instanceof Date || value instanceof Timestamp;
+}
+
+function isReference(value) {
+  return _.isObject(value) && _.isString(value.path) && _.isFunction(value.collection) &&
+    _.isFunction(value.onSnapshot);
+}
+
+function typeOf(value) {
+  if (value === null || _.isUndefined(value)) {
+    return 'null';
+  } else if (typeof value === 'boolean') {
+    return 'boolean';
+  } else if (typeof value === 'number') {
+    return 'number';
+  } else if (isTimestamp(value)) {
+    return 'timestamp';
+  } else if (typeof value === 'string') {
+    return 'string';
+  } else if (value instanceof Bytes) {
+    return 'bytes';
+  } else if (isReference(value)) {
+    return 'reference';
+  } else if (value instanceof GeoPoint) {
+    return 'geopoint';
+  } else if (Array.isArray(value)) {
+    return 'array';
+  } else if (value instanceof VectorValue) {
+    return 'vector';
+  }
+  return 'map';
+}
+
+/**
+ * Checks whether a value is a document reference
+ * @param {*} value
+ * @returns {boolean}
+ */
+exports.isReference = isReference;
+
+/**
+ * Returns the position of the value's type in Firestore's cross-type ordering
+ * @param {*} value
+ * @returns {number}
+ */
+exports.typeOrder = function typeOrder(value) {
+  return TYPE_ORDER[typeOf(value)];
+};
+
+function primitiveComparator(a, b) {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+function compareNumbers(a, b) {
+  if (isNaN(a)) {
+    return isNaN(b) ? 0 : -1;
+  } else if (isNaN(b)) {
+    return 1;
+  }
+  return primitiveComparator(a, b);
+}
+
+function toMillis(value) {
+  if (value instanceof Timestamp) {
+    return value.seconds * 1000 + value.nanoseconds / (1000 * 1000);
+  }
+  return value.getTime();
+}
+
+// Maps UTF-16 code units so that comparing them orders strings by code
+// point, which is the same as the UTF-8 byte order used by Firestore.
+function codePointOrder(unit) {
+  if (unit >= 0xD800 && unit <= 0xDFFF) {
+    return unit + 0x2000;
+  } else if (unit >= 0xE000) {
+    return unit - 0x800;
+  }
+  return unit;
+}
+
+function compareStrings(a, b) {
+  var length = Math.min(a.length, b.length);
+  for (var i = 0; i < length; i++) {
+    var x = a.charCodeAt(i);
+    var y = b.charCodeAt(i);
+    if (x !== y) {
+      return primitiveComparator(codePointOrder(x), codePointOrder(y));
+    }
+  }
+  return primitiveComparator(a.length, b.length);
+}
+
+function compareSegments(a, b) {
+  var length = Math.min(a.length, b.length);
+  for (var i = 0; i < length; i++) {
+    var x = compareStrings(a[i], b[i]);
+    if (x !== 0) return x;
+  }
+  return primitiveComparator(a.length, b.length);
+}
+
+function comparePaths(a, b) {
+  return compareSegments(_.compact(a.split('/')), _.compact(b.split('/')));
+}
+
+function compareReferences(a, b) {
+  return comparePaths(a.path, b.path);
+}
+
+function compareGeoPoints(a, b) {
+  return compareNumbers(a.latitude, b.latitude) || compareNumbers(a.longitude, b.longitude);
+}
+
+// vectors are ordered by their dimension before their values
+function compareVectors(a, b) {
+  var aValues = a.toArray();
+  var bValues = b.toArray();
+  return primitiveComparator(aValues.length, bValues.length) || compareArrays(aValues, bValues);
+}
+
+function compareArrays(a, b) {
+  var length = Math.min(a.length, b.length);
+  for (var i = 0; i < length; i++) {
+    var x = compare(a[i], b[i]);
+    if (x !== 0) return x;
+  }
+  return primitiveComparator(a.length, b.length);
+}
+
+function compareMaps(a, b) {
+  var aKeys = _.keys(a).sort(compareStrings);
+  var bKeys = _.keys(b).sort(compareStrings);
+  var length = Math.min(aKeys.length, bKeys.length);
+  for (var i = 0; i < length; i++) {
+    var x = compareStrings(aKeys[i], bKeys[i]) || compare(a[aKeys[i]], b[bKeys[i]]);
+    if (x !== 0) return x;
+  }
+  return primitiveComparator(aKeys.length, bKeys.length);
+}
+
+/**
+ * Compares two Firestore values using the ordering of the real backend:
+ * null < booleans < numbers < timestamps < strings < bytes < references
+ * < geopoints < arrays < vectors < maps
+ * @param {*} a
+ * @param {*} b
+ * @returns {number} negative if a sorts first, positive if b sorts first, otherwise 0
+ */
+function compare(a, b) {
+  var aType = typeOf(a);
+  var bType = typeOf(b);
+  if (aType !== bType) {
+    return primitiveComparator(TYPE_ORDER[aType], TYPE_ORDER[bType]);
+  }
+  switch (aType) {
+    case 'null':
+      return 0;
+    case 'boolean':
+      return primitiveComparator(a, b);
+    case 'number':
+      return compareNumbers(a, b);
+    case 'timestamp':
+      return primitiveComparator(toMillis(a), toMillis(b));
+    case 'string':
+      return compareStrings(a, b);
+    case 'bytes':
+      // one character per byte, so this is the byte order
+      return primitiveComparator(a._binaryString, b._binaryString);
+    case 'reference':
+      return compareReferences(a, b);
+    case 'geopoint':
+      return compareGeoPoints(a, b);
+    case 'array':
+      return compareArrays(a, b);
+    case 'vector':
+      return compareVectors(a, b);
+    default:
+      return compareMaps(a, b);
+  }
+}
+
+exports.compare = compare;
+
+/**
+ * Compares two slash-separated document paths segment by segment
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+exports.comparePaths = comparePaths;
+
+/**
+ * Checks two Firestore values for equality, e.g. Dates and Timestamps
+ * representing the same instant are equal
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+exports.equals = function equals(a, b) {
+  return compare(a, b) === 0;
+};
@@ -0,0 +1,10 @@
+'use strict';
+
+function MockFirestoreDocumentChange(type, doc, oldIndex, newIndex) {
+  this.type = type;
+  this.doc = doc;
+  this.oldIndex = oldIndex;
+  this.newIndex = newIndex;
+}
+
+module.exports = MockFirestoreDocumentChange;
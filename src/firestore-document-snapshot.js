@@ -2,20 +2,28 @@
 
 var _ = require('./lodash');
 var FieldPath = require('./firestore-field-path');
+var SnapshotMetadata = require('./firestore-snapshot-metadata');
+var Timestamp = require('./timestamp');
 var utils = require('./utils');
 
-function MockFirestoreDocumentSnapshot (id, ref, data) {
+function MockFirestoreDocumentSnapshot (id, ref, data, metadata) {
   this.id = id;
   this.ref = ref;
-  this._snapshotdata = _.cloneDeep(data) || null;
-  this.data = function() {
+  this._snapshotdata = utils.cloneFirestoreData(data) || null;
+  this.data = function(options) {
+    var converter = this.ref && this.ref._converter;
+    if (converter && this.exists) {
+      var snapshot = new MockFirestoreDocumentSnapshot(this.id, this.ref.withConverter(null), this._snapshotdata,
+        this.metadata);
+      return converter.fromFirestore(snapshot, options || {});
+    }
     return _.cloneDeepWith(this._snapshotdata, utils.cloneCustomizer);
   };
   this.exists = this._snapshotdata !== null;
-  this.metadata = {
-    fromCache: true,
-    hasPendingWrites: false
-  };
+  this.createTime = this.exists && ref && ref._createTime || undefined;
+  this.updateTime = this.exists && ref && ref._updateTime || undefined;
+  this.readTime = Timestamp.fromMillis(utils.getServerTime());
+  this.metadata = metadata || new SnapshotMetadata(false, false);
 }
 
 MockFirestoreDocumentSnapshot.prototype.get = function (field) {
@@ -30,7 +38,7 @@ MockFirestoreDocumentSnapshot.prototype.get = function (field) {
     parts = field.split('.');
   }
   var part = parts.shift();
-  var data = this.data();
+  var data = _.cloneDeepWith(this._snapshotdata, utils.cloneCustomizer);
 
   while (part) {
     if (!data || !data.hasOwnProperty(part)) {
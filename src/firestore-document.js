@@ -4,13 +4,19 @@ var _ = require('./lodash');
 var assert = require('assert');
 var Promise = require('rsvp').Promise;
 var autoId = require('firebase-auto-ids');
+var createFirestoreError = require('./firestore-error');
 var DocumentSnapshot = require('./firestore-document-snapshot');
+var FieldPath = require('./firestore-field-path');
+var FieldValue = require('./firestore-field-value');
 var Queue = require('./queue').Queue;
+var SnapshotMetadata = require('./firestore-snapshot-metadata');
 var Timestamp = require('./timestamp');
 var utils = require('./utils');
 var validate = require('./validators');
 var WriteResult = require('./write-result');
 
+var MAX_DOCUMENT_SIZE = 1048576;
+
 function MockFirestoreDocument(path, data, parent, name, CollectionReference) {
   this.ref = this;
   this.path = path || 'Mock://';
@@ -24,7 +30,10 @@ function MockFirestoreDocument(path, data, parent, name, CollectionReference) {
   this.children = {};
   if (parent) parent.children[this.id] = this;
   this.data = null;
-  this._dataChanged(_.cloneDeep(data) || null);
+  this._createTime = null;
+  this._updateTime = null;
+  this._converter = null;
+  this._dataChanged(utils.cloneFirestoreData(data) || null);
 }
 
 MockFirestoreDocument.prototype.flush = function (delay) {
@@ -53,7 +62,7 @@ MockFirestoreDocument.prototype.getFlushQueue = function () {
 };
 
 MockFirestoreDocument.prototype._getData = function () {
-  return _.cloneDeep(this.data);
+  return utils.cloneFirestoreData(this.data);
 };
 
 MockFirestoreDocument.prototype.toString = function () {
@@ -66,7 +75,8 @@ MockFirestoreDocument.prototype.collection = function (path) {
   var childKey = parts.shift();
   var child = this.children[childKey];
   if (!child) {
-    child = new this.CollectionReference(utils.mergePaths(this.path, childKey), this._childData(childKey), this, childKey, MockFirestoreDocument);
+    var parent = this._untyped || this;
+    child = new this.CollectionReference(utils.mergePaths(this.path, childKey), this._childData(childKey), parent, childKey, MockFirestoreDocument);
     this.children[child.id] = child;
   }
   if (parts.length > 0) {
@@ -75,13 +85,60 @@ MockFirestoreDocument.prototype.collection = function (path) {
   return child;
 };
 
-MockFirestoreDocument.prototype.get = function () {
+/**
+ * Returns a reference to the same document that converts data with the
+ * given converter, or the untyped reference when the converter is null
+ * @param {{toFirestore: Function, fromFirestore: Function}|null} converter
+ * @returns {MockFirestoreDocument}
+ */
+MockFirestoreDocument.prototype.withConverter = function (converter) {
+  var untyped = this._untyped || this;
+  return converter ? utils.typedReference(untyped, converter) : untyped;
+};
+
+/**
+ * Runs the toFirestore() method of the converter of this reference
+ * @param {*} data the data passed to set() or create()
+ * @param {Object} [opts] the options passed to set()
+ * @returns {Object} the data to write
+ */
+MockFirestoreDocument.prototype._toFirestore = function (data, opts) {
+  if (!this._converter) {
+    return data;
+  }
+  if (opts && (opts.merge || opts.mergeFields)) {
+    return this._converter.toFirestore(data, opts);
+  }
+  return this._converter.toFirestore(data);
+};
+
+/**
+ * Reads the document from the backend or, while the network is disabled or
+ * with `{source: 'cache'}`, from the local data
+ * @param {{source: string}} [options] `source` is 'default', 'server' or
+ *   'cache'
+ * @returns {Promise<MockFirestoreDocumentSnapshot>}
+ */
+MockFirestoreDocument.prototype.get = function (options) {
+  validate.firestoreGetOptions(options);
+  var source = options && options.source || 'default';
   var err = this._nextErr('get');
   var self = this;
   return new Promise(function (resolve, reject) {
     self._defer('get', _.toArray(arguments), function () {
+      var data = self._getData();
+      var fromCache = source === 'cache' || self._isOffline();
+      if (source === 'server' && fromCache) {
+        err = err || createFirestoreError('UNAVAILABLE', data === null ?
+          'Failed to get document because the client is offline.' :
+          'Failed to get document from server. (However, this document does exist in the local cache. ' +
+          'Run again without setting source to "server" to retrieve the cached document.)');
+      }
+      // the local cache does not enforce security rules
+      err = err || (fromCache ? null : self._rulesError('get', data));
       if (err === null) {
-        resolve(new DocumentSnapshot(self.id, self.ref, self._getData()));
+        var metadata = new SnapshotMetadata(self._hasPendingWrites(), fromCache);
+        resolve(new DocumentSnapshot(self.id, self.ref, data, metadata));
       } else {
         reject(err);
       }
@@ -100,138 +157,390 @@ MockFirestoreDocument.prototype._validateDoesNotExist = function (data) {
   return null;
 };
 
+MockFirestoreDocument.prototype._validateExists = function (data) {
+  if (data === null) {
+    return createFirestoreError('NOT_FOUND', 'No document to update: ' + this.path);
+  }
+  return null;
+};
+
+/**
+ * Checks that the data of the document after a write is within the size
+ * limit of the backend
+ * @param {Object|null} data
+ * @returns {Error|null}
+ */
+MockFirestoreDocument.prototype._validateSize = function (data) {
+  if (data === null) {
+    return null;
+  }
+  var path = this.firestore ? this.firestore._relativePath(this) : this.path;
+  var size = utils.firestoreDocumentSize(path, data);
+  if (size > MAX_DOCUMENT_SIZE) {
+    return createFirestoreError('INVALID_ARGUMENT', 'Document \'' + path + '\' cannot be written because its size (' +
+      formatBytes(size) + ' bytes) exceeds the maximum allowed size of ' + formatBytes(MAX_DOCUMENT_SIZE) + ' bytes.');
+  }
+  return null;
+};
+
+/**
+ * Throws if a precondition passed to update() or delete() is malformed
+ * @param {{exists: boolean}|{lastUpdateTime: Timestamp}} [precondition]
+ * @param {string} methodName 'update' or 'delete'
+ */
+MockFirestoreDocument.prototype._assertValidPrecondition = function (precondition, methodName) {
+  if (_.isUndefined(precondition)) {
+    return;
+  }
+  var prefix = 'Argument "precondition" is not a valid precondition. ';
+  if (!_.isPlainObject(precondition)) {
+    throw createFirestoreError('INVALID_ARGUMENT', prefix + 'Input is not an object.');
+  }
+  var conditions = 0;
+  if (!_.isUndefined(precondition.exists)) {
+    ++conditions;
+    if (typeof precondition.exists !== 'boolean') {
+      throw createFirestoreError('INVALID_ARGUMENT', prefix + '"exists" is not a boolean.');
+    }
+    if (methodName === 'update' && precondition.exists !== true) {
+      throw createFirestoreError('INVALID_ARGUMENT',
+        prefix + '"exists" is not allowed to have the value false (allowed values: true)');
+    }
+  }
+  if (!_.isUndefined(precondition.lastUpdateTime)) {
+    ++conditions;
+    if (!(precondition.lastUpdateTime instanceof Timestamp)) {
+      throw createFirestoreError('INVALID_ARGUMENT', prefix + '"lastUpdateTime" is not a Firestore Timestamp.');
+    }
+  }
+  if (conditions > 1) {
+    throw createFirestoreError('INVALID_ARGUMENT', prefix + 'Input specifies more than one precondition.');
+  }
+};
+
+/**
+ * Checks a write precondition against the state of the document
+ * @param {Object|null} data the data of the document before the write
+ * @param {Timestamp|null} updateTime the update time of the document before the write
+ * @param {{exists: boolean}|{lastUpdateTime: Timestamp}} [precondition]
+ * @returns {Error|null} a FAILED_PRECONDITION error if the precondition does not hold
+ */
+MockFirestoreDocument.prototype._validatePrecondition = function (data, updateTime, precondition) {
+  if (!precondition) {
+    return null;
+  }
+  if (precondition.exists === true && data === null) {
+    return createFirestoreError('FAILED_PRECONDITION', 'No document to update: ' + this.path);
+  }
+  if (precondition.exists === false && data !== null) {
+    return createFirestoreError('FAILED_PRECONDITION', 'Document already exists: ' + this.path);
+  }
+  if (precondition.lastUpdateTime && !precondition.lastUpdateTime.isEqual(updateTime)) {
+    return createFirestoreError('FAILED_PRECONDITION', 'the stored version (' + toVersion(updateTime) +
+      ') does not match the required base version (' + toVersion(precondition.lastUpdateTime) + ')');
+  }
+  return null;
+};
+
 MockFirestoreDocument.prototype.create = function (data, callback) {
+  data = this._toFirestore(data);
+  validate.firestoreData(data, this._firestoreSettings());
   var err = this._nextErr('create');
-  data = _.cloneDeep(data);
+  data = utils.cloneFirestoreData(data);
 
   var self = this;
+  var base = self._getData();
+  err = err || self._validateDoesNotExist(base);
+  var writeTime = self._nextWriteTime();
+  var newData = self._computeSet(data, writeTime.toMillis());
+  err = err || self._validateSize(newData) || self._rulesError('create', base, newData);
+  var write = err === null ? self._applyLocally(newData, writeTime) : null;
   return new Promise(function (resolve, reject) {
     self._defer('create', _.toArray(arguments), function () {
-
-      var base = self._getData();
-      err = err || self._validateDoesNotExist(base);
-      if (err === null) {
-        var serverTime = utils.getServerTime();
-        var result = new WriteResult(Timestamp.fromMillis(serverTime));
-        data = utils.removeEmptyFirestoreProperties(data, serverTime);
-        self._dataChanged(data);
-        resolve(result);
-      } else {
+      self._whenAcknowledged(write, function () {
+        if (err === null) {
+          resolve(new WriteResult(writeTime));
+        } else {
           if (callback) {
             callback(err);
-        }
+          }
           reject(err);
-      }
+        }
+      });
     });
   });
 };
 
 MockFirestoreDocument.prototype.set = function (data, opts, callback) {
   var _opts = _.assign({}, { merge: false }, opts);
-  if (_opts.merge) {
-    return this._update(data, { setMerge: true }, callback);
+  data = this._toFirestore(data, opts);
+  validate.firestoreData(data, this._firestoreSettings());
+  var fields = this._mergeFieldUpdates(data, opts);
+  if (fields || _opts.merge) {
+    return this._update(fields || data, { setMerge: true }, callback);
   }
   var err = this._nextErr('set');
-  data = _.cloneDeep(data);
+  data = utils.cloneFirestoreData(data);
   var self = this;
+  var base = self._getData();
+  var writeTime = self._nextWriteTime();
+  var newData = self._computeSet(data, writeTime.toMillis());
+  err = err || self._validateSize(newData) ||
+    self._rulesError(base === null ? 'create' : 'update', base, newData);
+  var write = err === null ? self._applyLocally(newData, writeTime) : null;
   return new Promise(function (resolve, reject) {
     self._defer('set', _.toArray(arguments), function () {
-      if (err === null) {
-        data = utils.removeEmptyFirestoreProperties(data, utils.getServerTime());
-        self._dataChanged(data);
-        resolve();
-      } else {
-        if (callback) {
-          callback(err);
+      self._whenAcknowledged(write, function () {
+        if (err === null) {
+          resolve();
+        } else {
+          if (callback) {
+            callback(err);
+          }
+          reject(err);
         }
-        reject(err);
-      }
+      });
     });
   });
 };
 
+/**
+ * Returns the fields written by set() with the mergeFields option
+ * @param {Object} data the data passed to set()
+ * @param {{merge: boolean, mergeFields: Array<string|FieldPath>}} [opts]
+ * @returns {Array<{path: Array<string>, value: *}>|null} null without
+ *   mergeFields
+ */
+MockFirestoreDocument.prototype._mergeFieldUpdates = function (data, opts) {
+  if (!opts || _.isUndefined(opts.mergeFields)) {
+    return null;
+  }
+  var prefix = 'Value for argument "options" is not a valid set() options argument. ';
+  if (opts.merge) {
+    throw createFirestoreError('INVALID_ARGUMENT', prefix + 'You cannot specify both "merge" and "mergeFields".');
+  }
+  if (!Array.isArray(opts.mergeFields)) {
+    throw createFirestoreError('INVALID_ARGUMENT', prefix + '"mergeFields" is not an array.');
+  }
+  return _.map(opts.mergeFields, function (field) {
+    var path = FieldPath._segments(field);
+    if (!_.has(data, path)) {
+      throw createFirestoreError('INVALID_ARGUMENT', 'Value for argument "data" is not a valid Firestore document. ' +
+        'Input data is missing for field "' + path.join('.') + '".');
+    }
+    return { path: path, value: utils.cloneFirestoreData(_.get(data, path)) };
+  });
+};
+
+/**
+ * Writes changes to the document
+ * @param {Object|Array<{path: Array<string>, value: *}>} changes the data
+ *   merged by set() with merge, or the fields replaced by update() or by
+ *   set() with mergeFields
+ * @param {{setMerge: boolean, precondition: Object}} opts
+ * @param {Function} [callback]
+ * @returns {Promise}
+ */
 MockFirestoreDocument.prototype._update = function (changes, opts, callback) {
-  assert.equal(typeof changes, 'object', 'First argument must be an object when calling "update"');
   var _opts = _.assign({}, { setMerge: false }, opts);
   var err = this._nextErr('update');
   var self = this;
+  var base = self._getData();
+  err = err || self._validatePrecondition(base, self._updateTime, _opts.precondition);
+  if (!_opts.setMerge) {
+    err = err || self._validateFieldUpdates(base, changes);
+  }
+  var writeTime = self._nextWriteTime();
+  var data = self._computeUpdate(base, changes, _opts, writeTime.toMillis());
+  err = err || self._validateSize(data) || self._rulesError(base === null ? 'create' : 'update', base, data);
+  var write = !err ? self._applyLocally(data, writeTime) : null;
   return new Promise(function (resolve, reject) {
     self._defer('update', _.toArray(arguments), function () {
-      if (!err) {
-        var base = self._getData();
-        var original = _.cloneDeep(base);
-        var data;
-        if (_opts.setMerge) {
-          data = _.merge(_.isObject(base) ? base : {}, changes);
+      self._whenAcknowledged(write, function () {
+        if (!err) {
+          resolve(data);
         } else {
-          // check if changes contain no nested objects
-          if (_.every(Object.keys(changes), function(key) { return !_.isObject(changes[key]); })) {
-            // allow data to be merged, which allows merging of nested data
-            data = _.merge(_.isObject(base) ? base : {}, utils.updateToFirestoreObject(changes));
-          } else {
-            // don't allow data to be merged, which overwrite nested data
-            data = _.assign(_.isObject(base) ? base : {}, utils.updateToFirestoreObject(changes));
+          if (callback) {
+            callback(err);
           }
+          reject(err);
         }
-        data = utils.removeEmptyFirestoreProperties(data, original, utils.getServerTime());
-        self._dataChanged(data);
-        resolve(data);
-      } else {
-        if (callback) {
-          callback(err);
-        }
-        reject(err);
-      }
+      });
     });
   });
 };
 
-MockFirestoreDocument.prototype.update = function (changes, callback) {
-  return this._update(changes, { setMerge: false }, callback);
+/**
+ * Computes the data of the document after a set or create, without
+ * changing the document
+ * @param {Object} data the data that is written
+ * @param {number} serverTime the time used for server timestamps
+ * @returns {Object} the new data of the document
+ */
+MockFirestoreDocument.prototype._computeSet = function (data, serverTime) {
+  return utils.removeEmptyFirestoreProperties(utils.cloneFirestoreData(data), null, serverTime);
 };
 
-MockFirestoreDocument.prototype.delete = function (callback) {
+/**
+ * Computes the data of the document after an update or a set with merge,
+ * without changing the document
+ * @param {Object|null} base the data of the document before the write
+ * @param {Object|Array<{path: Array<string>, value: *}>} changes the data
+ *   merged by set() with merge, or the fields replaced by update() or by
+ *   set() with mergeFields
+ * @param {{setMerge: boolean}} opts
+ * @param {number} serverTime the time used for server timestamps
+ * @returns {Object} the new data of the document
+ */
+MockFirestoreDocument.prototype._computeUpdate = function (base, changes, opts, serverTime) {
+  base = utils.cloneFirestoreData(base);
+  var original = utils.cloneFirestoreData(base);
+  var data = _.isPlainObject(base) ? base : {};
+  if (opts.setMerge && !Array.isArray(changes)) {
+    data = _.merge(data, changes);
+  } else {
+    _.forEach(changes, function (field) {
+      applyFieldUpdate(data, field.path, field.value);
+    });
+  }
+  return utils.removeEmptyFirestoreProperties(data, original, serverTime);
+};
+
+/**
+ * Checks that no field updated by update() is nested in a field that is not
+ * a map
+ * @param {Object|null} data the data of the document before the write
+ * @param {Array<{path: Array<string>, value: *}>} fields
+ * @returns {Error|null}
+ */
+MockFirestoreDocument.prototype._validateFieldUpdates = function (data, fields) {
+  var error = null;
+  _.forEach(fields, function (field) {
+    var value = data;
+    for (var i = 0; i < field.path.length - 1; i++) {
+      value = _.isPlainObject(value) && _.has(value, field.path[i]) ? value[field.path[i]] : undefined;
+      if (!_.isUndefined(value) && !_.isPlainObject(value)) {
+        error = createFirestoreError('INVALID_ARGUMENT', 'Cannot update field "' + field.path.join('.') +
+          '" because "' + field.path.slice(0, i + 1).join('.') + '" is not a map.');
+        break;
+      }
+    }
+    return error === null;
+  });
+  return error;
+};
+
+/**
+ * Parses the arguments of update(): either an object whose keys are field
+ * paths, followed by an optional precondition and callback, or alternating
+ * field paths and values, followed by an optional precondition
+ * @param {Array} args
+ * @returns {{fields: Array<{path: Array<string>, value: *}>, precondition: Object, callback: Function}}
+ */
+MockFirestoreDocument.prototype._parseUpdateArgs = function (args) {
+  var fields = [];
+  var precondition, callback;
+  if (_.isString(args[0]) || args[0] instanceof FieldPath) {
+    var pairs = args.length % 2 === 0 ? args : args.slice(0, -1);
+    precondition = args.length % 2 === 0 ? undefined : args[args.length - 1];
+    for (var i = 0; i < pairs.length; i += 2) {
+      fields.push({ path: FieldPath._segments(pairs[i]), value: pairs[i + 1] });
+    }
+  } else {
+    assert.equal(typeof args[0], 'object', 'First argument must be an object when calling "update"');
+    precondition = args[1];
+    callback = args[2];
+    if (_.isFunction(precondition)) {
+      callback = precondition;
+      precondition = undefined;
+    }
+    _.forEach(_.keys(args[0]), function (key) {
+      fields.push({ path: FieldPath._segments(key), value: args[0][key] });
+    });
+  }
+  this._assertValidPrecondition(precondition, 'update');
+  validate.firestoreUpdate(fields, this._firestoreSettings());
+  return {
+    fields: utils.cloneFirestoreData(fields),
+    precondition: precondition,
+    callback: callback
+  };
+};
+
+/**
+ * Replaces fields of the document: `update({'a.b': 1})`,
+ * `update('a.b', 1, new FieldPath('c'), 2)`. Top-level keys replace the
+ * whole field, field paths replace only the nested field they name.
+ */
+MockFirestoreDocument.prototype.update = function () {
+  var update = this._parseUpdateArgs(_.toArray(arguments));
+  return this._update(update.fields, { setMerge: false, precondition: update.precondition }, update.callback);
+};
+
+MockFirestoreDocument.prototype.delete = function (precondition, callback) {
+  if (_.isFunction(precondition)) {
+    callback = precondition;
+    precondition = undefined;
+  }
+  this._assertValidPrecondition(precondition, 'delete');
   var err = this._nextErr('delete');
   var self = this;
+  err = err || self._validatePrecondition(self.data, self._updateTime, precondition) ||
+    self._rulesError('delete', self._getData());
+  var write = err === null ? self._applyLocally(null) : null;
   return new Promise(function (resolve, reject) {
     self._defer('delete', _.toArray(arguments), function () {
-      if (callback) callback(err);
-      if (err === null) {
-        self._dataChanged(null);
-        resolve(null);
-      } else {
-        reject(err);
-      }
+      self._whenAcknowledged(write, function () {
+        if (callback) callback(err);
+        if (err === null) {
+          resolve(null);
+        } else {
+          reject(err);
+        }
+      });
     });
   });
 };
 
-MockFirestoreDocument.prototype.onSnapshot = function (optionsOrObserverOrOnNext, observerOrOnNextOrOnError, onErrorArg) {
-  var err = this._nextErr('onSnapshot');
+/**
+ * Listens to the document. A write raises a snapshot with pending writes
+ * when it is made, followed by a metadata-only snapshot when the write is
+ * acknowledged on flush, or once the network is enabled again, which is
+ * only sent with `includeMetadataChanges`.
+ */
+MockFirestoreDocument.prototype.onSnapshot = function () {
+  var listener = utils.parseSnapshotListenerArgs(_.toArray(arguments));
+  var err = this._nextErr('onSnapshot') || this._rulesError('get', this._getData());
   var self = this;
-  var onNext = optionsOrObserverOrOnNext;
-  var onError = observerOrOnNextOrOnError;
-  var includeMetadataChanges = optionsOrObserverOrOnNext.includeMetadataChanges;
-
-  if (includeMetadataChanges) {
-    // Note this doesn't truly mimic the firestore metadata changes behavior, however
-    // since everything is syncronous, there isn't any difference in behavior.
-    onNext = observerOrOnNextOrOnError;
-    onError = onErrorArg;
-  }
   var context = {
     data: self._getData(),
+    hasPendingWrites: self._hasPendingWrites(),
+    fromCache: self._isOffline()
   };
-  var onSnapshot = function (forceTrigger) {
-    // compare the current state to the one from when this function was created
-    // and send the data to the callback if different.
-    if (err === null) {
-      if (!_.isEqual(self.data, context.data) || includeMetadataChanges || forceTrigger) {
-        onNext(new DocumentSnapshot(self.id, self.ref, self._getData()));
-        context.data = self._getData();
-      }
-    } else {
-      onError(err);
+  var emit = function () {
+    var metadata = new SnapshotMetadata(context.hasPendingWrites, context.fromCache);
+    listener.onNext(new DocumentSnapshot(self.id, self.ref, context.data, metadata));
+  };
+  var onSnapshot = function (initial) {
+    if (err !== null) {
+      listener.onError(err);
+      return;
+    }
+    if (initial === true) {
+      emit();
+      return;
+    }
+    // compare the current state to the one last sent to the listener
+    var data = self._getData();
+    var hasPendingWrites = self._hasPendingWrites();
+    var fromCache = self._isOffline();
+    var dataChanged = !_.isEqual(data, context.data);
+    var metadataChanged = hasPendingWrites !== context.hasPendingWrites || fromCache !== context.fromCache;
+    context.data = data;
+    context.hasPendingWrites = hasPendingWrites;
+    context.fromCache = fromCache;
+    if (dataChanged || (metadataChanged && listener.options.includeMetadataChanges)) {
+      emit();
     }
   };
 
@@ -244,7 +553,6 @@ MockFirestoreDocument.prototype.onSnapshot = function (optionsOrObserverOrOnNext
   return unsubscribe;
 };
 
-
 /**
  * Fetches the subcollections that are direct children of the document.
  * @see https://cloud.google.com/nodejs/docs/reference/firestore/0.15.x/DocumentReference#getCollections
@@ -277,8 +585,91 @@ MockFirestoreDocument.prototype._childData = function (key) {
   return this._hasChild(key) ? this.data[key] : null;
 };
 
-MockFirestoreDocument.prototype._dataChanged = function (unparsedData) {
-  this.data = utils.cleanFirestoreData(unparsedData);
+/**
+ * Checks an operation on this document against the security rules of its
+ * Firestore, if any
+ * @param {string} method 'get', 'create', 'update' or 'delete'
+ * @param {Object|null} data the stored data of the document
+ * @param {Object|null} [newData] the data of the document after the write
+ * @param {function(string): Object|null} [getDataAfter] the data of other
+ *   documents after the write
+ * @returns {Error|null}
+ */
+MockFirestoreDocument.prototype._rulesError = function (method, data, newData, getDataAfter) {
+  if (!this.firestore) {
+    return null;
+  }
+  var firestore = this.firestore;
+  var path = firestore._relativePath(this);
+  return firestore._rulesError(method, path, {
+    resource: data,
+    requestResource: newData,
+    getDataAfter: getDataAfter || function (otherPath) {
+      return otherPath === path ? newData || null : firestore.doc(otherPath)._getData();
+    }
+  });
+};
+
+/**
+ * Applies a write to the local data as soon as it is made, like the latency
+ * compensation of the SDK, and notifies listeners of the pending write
+ * @param {Object|null} data the new data of the document
+ * @param {Timestamp} [writeTime]
+ * @returns {Object|null} the pending write, to pass to `_whenAcknowledged()`
+ */
+MockFirestoreDocument.prototype._applyLocally = function (data, writeTime) {
+  this._dataChanged(data, writeTime);
+  var write = this.firestore ? this.firestore._addPendingWrite([this.path]) : null;
+  this.queue.notifyPostFlushListeners();
+  return write;
+};
+
+/**
+ * Settles a write once the backend acknowledges it, on flush while the
+ * network is enabled
+ * @param {Object|null} write the pending write of a write applied locally
+ * @param {Function} callback
+ */
+MockFirestoreDocument.prototype._whenAcknowledged = function (write, callback) {
+  if (this.firestore) {
+    this.firestore._whenAcknowledged(write || [this.path], callback);
+  } else {
+    callback();
+  }
+};
+
+MockFirestoreDocument.prototype._hasPendingWrites = function () {
+  return !!this.firestore && this.firestore._hasPendingWrites(this.path);
+};
+
+MockFirestoreDocument.prototype._isOffline = function () {
+  return !!this.firestore && !this.firestore._networkEnabled;
+};
+
+MockFirestoreDocument.prototype._firestoreSettings = function () {
+  return this.firestore ? this.firestore._settings : null;
+};
+
+/**
+ * Returns the time of a write to this document
+ * @returns {Timestamp}
+ */
+MockFirestoreDocument.prototype._nextWriteTime = function () {
+  return this.firestore ? this.firestore._nextCommitTime() : Timestamp.fromMillis(utils.getServerTime());
+};
+
+MockFirestoreDocument.prototype._dataChanged = function (unparsedData, writeTime) {
+  var data = utils.cleanFirestoreData(unparsedData);
+  if (data === null) {
+    this._createTime = null;
+    this._updateTime = null;
+  } else if (!_.isEqual(data, this.data)) {
+    // like the real backend, a write that changes nothing keeps the update time
+    writeTime = writeTime || this._nextWriteTime();
+    this._createTime = this.data === null ? writeTime : this._createTime;
+    this._updateTime = writeTime;
+  }
+  this.data = data;
   if (this.parent) {
     if (this.data) {
       this.parent.data = this.parent.data || {};
@@ -315,6 +706,33 @@ MockFirestoreDocument.prototype._nextErr = function (type) {
   return err || null;
 };
 
+function applyFieldUpdate(data, path, value) {
+  // undefined values only get this far with ignoreUndefinedProperties
+  if (_.isUndefined(value)) {
+    return;
+  }
+  var parent = data;
+  for (var i = 0; i < path.length - 1; i++) {
+    if (!_.isPlainObject(parent[path[i]])) {
+      if (FieldValue.delete().isEqual(value)) {
+        return;
+      }
+      parent[path[i]] = {};
+    }
+    parent = parent[path[i]];
+  }
+  parent[path[path.length - 1]] = value;
+}
+
+function formatBytes(size) {
+  return String(size).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+}
+
+// Firestore versions are update times in microseconds
+function toVersion(timestamp) {
+  return timestamp ? timestamp.seconds * 1000 * 1000 + Math.floor(timestamp.nanoseconds / 1000) : 0;
+}
+
 function extractName(path) {
   return ((path || '').match(/\/([^.$\[\]#\/]+)$/) || [null, null])[1];
 }
@@ -0,0 +1,29 @@
+'use strict';
+
+// https://grpc.github.io/grpc/core/md_doc_statuscodes.html
+var CODES = {
+  INVALID_ARGUMENT: 3,
+  NOT_FOUND: 5,
+  ALREADY_EXISTS: 6,
+  PERMISSION_DENIED: 7,
+  FAILED_PRECONDITION: 9,
+  ABORTED: 10,
+  UNIMPLEMENTED: 12,
+  UNAVAILABLE: 14
+};
+
+/**
+ * Creates an error carrying the numeric status code used by the Firestore SDKs
+ * @param {string} code name of the status code, e.g. 'NOT_FOUND'
+ * @param {string} message
+ * @returns {Error}
+ */
+function createFirestoreError(code, message) {
+  var err = new Error(message);
+  err.code = CODES[code];
+  return err;
+}
+
+createFirestoreError.CODES = CODES;
+
+module.exports = createFirestoreError;
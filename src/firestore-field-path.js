@@ -1,6 +1,7 @@
 'use strict';
 
 var _ = require('./lodash');
+var createFirestoreError = require('./firestore-error');
 
 function MockFirestoreFieldPath() {
   this._path = [].slice.call(arguments);
@@ -21,4 +22,22 @@ MockFirestoreFieldPath.documentId = function () {
   return new MockFirestoreFieldPath('_DOCUMENT_ID');
 };
 
+/**
+ * Returns the segments of a field path given as a FieldPath or as a
+ * dot-separated string
+ * @param {string|MockFirestoreFieldPath} field
+ * @returns {Array<string>}
+ */
+MockFirestoreFieldPath._segments = function (field) {
+  if (field instanceof MockFirestoreFieldPath) {
+    return field._path.slice();
+  }
+  var segments = _.isString(field) ? field.split('.') : [];
+  if (segments.length === 0 || _.indexOf(segments, '') !== -1) {
+    throw createFirestoreError('INVALID_ARGUMENT', 'Value for argument "fieldPath" is not a valid field path. ' +
+      'Paths can\'t be empty and must not contain "..", or start or end with ".".');
+  }
+  return segments;
+};
+
 module.exports = MockFirestoreFieldPath;
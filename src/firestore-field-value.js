@@ -1,5 +1,7 @@
 'use strict';
 
+var VectorValue = require('./firestore-vector-value');
+
 function MockFirestoreFieldValue(type, arg) {
   this.type = type;
   this.arg = arg;
@@ -32,4 +34,8 @@ MockFirestoreFieldValue.increment = function (arg) {
   return new MockFirestoreFieldValue('increment', arg);
 };
 
+MockFirestoreFieldValue.vector = function (values) {
+  return new VectorValue(values || []);
+};
+
 module.exports = MockFirestoreFieldValue;
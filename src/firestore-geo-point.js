@@ -0,0 +1,29 @@
+'use strict';
+
+var createFirestoreError = require('./firestore-error');
+
+function assertCoordinate(name, value, limit) {
+  if (typeof value !== 'number' || !isFinite(value) || value < -limit || value > limit) {
+    throw createFirestoreError('INVALID_ARGUMENT',
+      name + ' must be a number between -' + limit + ' and ' + limit + ', but was: ' + value);
+  }
+}
+
+function MockFirestoreGeoPoint(latitude, longitude) {
+  assertCoordinate('Latitude', latitude, 90);
+  assertCoordinate('Longitude', longitude, 180);
+  this.latitude = latitude;
+  this.longitude = longitude;
+}
+
+MockFirestoreGeoPoint.prototype.isEqual = function (other) {
+  return other instanceof MockFirestoreGeoPoint &&
+    this.latitude === other.latitude &&
+    this.longitude === other.longitude;
+};
+
+MockFirestoreGeoPoint.prototype.toJSON = function () {
+  return { latitude: this.latitude, longitude: this.longitude };
+};
+
+module.exports = MockFirestoreGeoPoint;
@@ -0,0 +1,230 @@
+'use strict';
+
+var _ = require('./lodash');
+var Promise = require('rsvp').Promise;
+var codec = require('./firestore-bundle-codec');
+var createFirestoreError = require('./firestore-error');
+
+/**
+ * Reports the progress of `MockFirestore.loadBundle()`. Like a promise, the
+ * task resolves with its final progress once the bundle is loaded.
+ */
+function MockFirestoreLoadBundleTask() {
+  var self = this;
+  this._observer = {};
+  this._lastProgress = null;
+  this._completed = false;
+  this._error = null;
+  this._promise = new Promise(function (resolve, reject) {
+    self._resolve = resolve;
+    self._reject = reject;
+  });
+}
+
+/**
+ * Registers the functions called with every progress update, when loading
+ * fails and when it completes. An observer registered once the load started
+ * is first called with the current progress, and with the outcome of a load
+ * that already ended.
+ * @param {Function} [next] called with `{taskState, documentsLoaded,
+ *   totalDocuments, bytesLoaded, totalBytes}`
+ * @param {Function} [error]
+ * @param {Function} [complete]
+ */
+MockFirestoreLoadBundleTask.prototype.onProgress = function (next, error, complete) {
+  this._observer = { next: next, error: error, complete: complete };
+  if (this._lastProgress && next) {
+    next(this._lastProgress);
+  }
+  if (this._completed && complete) {
+    complete();
+  } else if (this._error && error) {
+    error(this._error);
+  }
+};
+
+MockFirestoreLoadBundleTask.prototype.then = function (onFulfilled, onRejected) {
+  return this._promise.then(onFulfilled, onRejected);
+};
+
+MockFirestoreLoadBundleTask.prototype.catch = function (onRejected) {
+  return this._promise.catch(onRejected);
+};
+
+/**
+ * Parses the bundle and writes its documents and named queries to the
+ * database. Documents that changed locally after the bundle was built keep
+ * their local version, and a bundle that was already loaded is skipped.
+ * @param {MockFirestore} firestore
+ * @param {Buffer|Uint8Array|ArrayBuffer|string} bundleData
+ */
+MockFirestoreLoadBundleTask.prototype._load = function (firestore, bundleData) {
+  var self = this;
+  var elements;
+  try {
+    elements = readElements(bundleData);
+    if (elements.length === 0 || !elements[0].element.metadata) {
+      throw invalidBundle('the first element of the bundle must be its metadata.');
+    }
+  } catch (err) {
+    this._fail(err);
+    return;
+  }
+
+  var metadata = elements[0].element.metadata;
+  var createTime = codec.decodeTimestamp(metadata.createTime || {});
+  var progress = {
+    taskState: 'Running',
+    documentsLoaded: 0,
+    totalDocuments: metadata.totalDocuments || 0,
+    bytesLoaded: 0,
+    totalBytes: metadata.totalBytes || 0
+  };
+  var loaded = firestore._loadedBundles[metadata.id];
+  if (loaded && loaded.toMillis() >= createTime.toMillis()) {
+    this._complete(_.assign(progress, {
+      taskState: 'Success',
+      documentsLoaded: progress.totalDocuments,
+      bytesLoaded: progress.totalBytes
+    }));
+    return;
+  }
+  this._updateProgress(_.clone(progress));
+
+  var documents = [];
+  var namedQueries = {};
+  var writes;
+  var queries = {};
+  try {
+    _.forEach(elements.slice(1), function (item) {
+      var element = item.element;
+      progress.bytesLoaded += item.byteLength;
+      if (element.namedQuery) {
+        namedQueries[element.namedQuery.name] = element.namedQuery.bundledQuery;
+      } else if (element.documentMetadata) {
+        documents.push({ metadata: element.documentMetadata, document: null });
+        if (!element.documentMetadata.exists) {
+          progress.documentsLoaded++;
+          self._updateProgress(_.clone(progress));
+        }
+      } else if (element.document) {
+        var last = documents[documents.length - 1];
+        if (!last || last.metadata.name !== element.document.name) {
+          throw invalidBundle('the document ' + element.document.name + ' is not preceded by its metadata.');
+        }
+        last.document = element.document;
+        progress.documentsLoaded++;
+        self._updateProgress(_.clone(progress));
+      }
+    });
+    // decode everything before writing anything, so that an invalid bundle
+    // leaves the database unchanged
+    writes = _.map(documents, function (entry) {
+      var document = entry.document;
+      return {
+        ref: firestore.doc(codec.documentPath(entry.metadata.name)),
+        data: document ? codec.decodeFields(firestore, document.fields) : null,
+        createTime: document ? codec.decodeTimestamp(document.createTime) : null,
+        updateTime: document ? codec.decodeTimestamp(document.updateTime) :
+          codec.decodeTimestamp(entry.metadata.readTime)
+      };
+    });
+    _.forEach(namedQueries, function (bundledQuery, name) {
+      queries[name] = codec.decodeQuery(firestore, bundledQuery);
+    });
+  } catch (err) {
+    this._fail(err);
+    return;
+  }
+
+  _.forEach(writes, function (write) {
+    var ref = write.ref;
+    if (ref._updateTime && ref._updateTime.toMillis() > write.updateTime.toMillis()) {
+      return;
+    }
+    ref._dataChanged(write.data, write.updateTime);
+    if (write.data !== null) {
+      ref._createTime = write.createTime;
+    }
+  });
+  _.assign(firestore._namedQueries, queries);
+  firestore._loadedBundles[metadata.id] = createTime;
+  progress.taskState = 'Success';
+  this._complete(progress);
+};
+
+MockFirestoreLoadBundleTask.prototype._updateProgress = function (progress) {
+  this._lastProgress = progress;
+  if (this._observer.next) {
+    this._observer.next(progress);
+  }
+};
+
+MockFirestoreLoadBundleTask.prototype._complete = function (progress) {
+  this._updateProgress(progress);
+  this._completed = true;
+  if (this._observer.complete) {
+    this._observer.complete();
+  }
+  this._resolve(progress);
+};
+
+MockFirestoreLoadBundleTask.prototype._fail = function (err) {
+  if (this._lastProgress) {
+    this._updateProgress(_.assign(_.clone(this._lastProgress), { taskState: 'Error' }));
+  }
+  this._error = err;
+  if (this._observer.error) {
+    this._observer.error(err);
+  }
+  this._reject(err);
+};
+
+function invalidBundle(message) {
+  return createFirestoreError('INVALID_ARGUMENT', 'Invalid bundle: ' + message);
+}
+
+function toBuffer(bundleData) {
+  if (Buffer.isBuffer(bundleData)) {
+    return bundleData;
+  } else if (_.isString(bundleData)) {
+    return Buffer.from(bundleData, 'utf8');
+  } else if (bundleData instanceof ArrayBuffer) {
+    return Buffer.from(bundleData);
+  } else if (bundleData instanceof Uint8Array) {
+    return Buffer.from(bundleData.buffer, bundleData.byteOffset, bundleData.byteLength);
+  }
+  throw invalidBundle('expected a Buffer, a Uint8Array, an ArrayBuffer or a string.');
+}
+
+// Splits the bundle into its JSON elements, each preceded by its length in
+// bytes.
+function readElements(bundleData) {
+  var buffer = toBuffer(bundleData);
+  var elements = [];
+  var offset = 0;
+  while (offset < buffer.length) {
+    var start = offset;
+    while (offset < buffer.length && buffer[offset] >= 0x30 && buffer[offset] <= 0x39) {
+      offset++;
+    }
+    if (offset === start) {
+      throw invalidBundle('expected the length of an element at byte ' + start + '.');
+    }
+    var end = offset + Number(buffer.toString('utf8', start, offset));
+    if (end > buffer.length) {
+      throw invalidBundle('reached the end of the bundle in the middle of an element.');
+    }
+    var element;
+    try {
+      element = JSON.parse(buffer.toString('utf8', offset, end));
+    } catch (err) {
+      throw invalidBundle('the element at byte ' + start + ' is not valid JSON.');
+    }
+    elements.push({ element: element, byteLength: end - start });
+    offset = end;
+  }
+  return elements;
+}
+
+module.exports = MockFirestoreLoadBundleTask;
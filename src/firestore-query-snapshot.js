@@ -1,23 +1,56 @@
 'use strict';
 
 var _ = require('./lodash');
+var DocumentChange = require('./firestore-document-change');
 var DocumentSnapshot = require('./firestore-document-snapshot');
+var SnapshotMetadata = require('./firestore-snapshot-metadata');
+var Timestamp = require('./timestamp');
+var utils = require('./utils');
 
-function MockFirestoreQuerySnapshot (ref, data) {
+function MockFirestoreQuerySnapshot (ref, data, keys, changes, converter, metadata, pendingKeys) {
   this._ref = ref;
-  this.data = _.cloneDeep(data) || {};
+  this._converter = converter || null;
+  this.data = utils.cloneFirestoreData(data) || {};
   if (_.isObject(this.data) && _.isEmpty(this.data)) {
     this.data = {};
   }
   this.size = _.size(this.data);
   this.empty = this.size === 0;
+  this.metadata = metadata || new SnapshotMetadata(false, false);
+  this.readTime = Timestamp.fromMillis(utils.getServerTime());
+
+  // object keys that look like integers are always enumerated first, so the
+  // query passes the document order along separately
+  keys = keys || _.keys(this.data);
+  // without a previous snapshot to compare to, every document was added
+  changes = changes || _.map(keys, function (key, i) {
+    return { type: 'added', oldIndex: -1, newIndex: i };
+  });
 
   var self = this;
-  this.docs = _.map(this.data, function (value, key) {
-    return new DocumentSnapshot(key, self._ref.doc(key), value);
+  this.docs = _.map(keys, function (key) {
+    var doc = self._doc(key);
+    var docMetadata = new SnapshotMetadata(_.includes(pendingKeys, key), self.metadata.fromCache);
+    return new DocumentSnapshot(doc.id, doc, self.data[key], docMetadata);
+  });
+
+  this._changes = _.map(changes, function (change) {
+    var doc = self.docs[change.newIndex];
+    if (change.type === 'removed') {
+      var ref = self._doc(change.key);
+      doc = new DocumentSnapshot(ref.id, ref, change.data, new SnapshotMetadata(false, self.metadata.fromCache));
+    }
+    var documentChange = new DocumentChange(change.type, doc, change.oldIndex, change.newIndex);
+    documentChange._metadataOnly = !!change.metadataOnly;
+    return documentChange;
   });
 }
 
+MockFirestoreQuerySnapshot.prototype._doc = function (key) {
+  var doc = this._ref.doc(key);
+  return this._converter ? doc.withConverter(this._converter) : doc;
+};
+
 MockFirestoreQuerySnapshot.prototype.forEach = function (callback, context) {
   var self = this;
   _.forEach(this.docs, function (doc) {
@@ -25,4 +58,17 @@ MockFirestoreQuerySnapshot.prototype.forEach = function (callback, context) {
   });
 };
 
+/**
+ * Lists the changes since the previous snapshot sent to the same listener
+ * @param {{includeMetadataChanges: boolean}} [options] whether documents
+ *   whose metadata changed, but not their data, are listed as modified
+ * @returns {Array<MockFirestoreDocumentChange>}
+ */
+MockFirestoreQuerySnapshot.prototype.docChanges = function (options) {
+  var includeMetadataChanges = !!(options && options.includeMetadataChanges);
+  return _.filter(this._changes, function (change) {
+    return includeMetadataChanges || !change._metadataOnly;
+  });
+};
+
 module.exports = MockFirestoreQuerySnapshot;
@@ -4,11 +4,30 @@ var _ = require('./lodash');
 var Stream = require('stream');
 var Promise = require('rsvp').Promise;
 var autoId = require('firebase-auto-ids');
+var AggregateField = require('./firestore-aggregate-field');
+var AggregateQuery = require('./firestore-aggregate-query');
 var FieldPath = require('./firestore-field-path');
 var QuerySnapshot = require('./firestore-query-snapshot');
+var SnapshotMetadata = require('./firestore-snapshot-metadata');
 var DocumentSnapshot = require('./firestore-document-snapshot');
+var comparator = require('./firestore-comparator');
+var createFirestoreError = require('./firestore-error');
 var Queue = require('./queue').Queue;
 var utils = require('./utils');
+var validate = require('./validators');
+
+var OPERATORS = ['<', '<=', '==', '!=', '>=', '>', 'array-contains', 'in', 'not-in', 'array-contains-any'];
+var INEQUALITY_OPERATORS = ['<', '<=', '!=', 'not-in', '>', '>='];
+var ARRAY_OPERATORS = ['in', 'not-in', 'array-contains-any'];
+var MAX_ARRAY_ELEMENTS = 10;
+// operators that cannot be combined with each other in a single query
+var CONFLICTING_OPERATORS = {
+  '!=': ['!=', 'not-in'],
+  'array-contains': ['array-contains', 'array-contains-any', 'not-in'],
+  'in': ['array-contains-any', 'in', 'not-in'],
+  'array-contains-any': ['array-contains', 'array-contains-any', 'in', 'not-in'],
+  'not-in': ['array-contains', 'array-contains-any', 'in', 'not-in', '!=']
+};
 
 function MockFirestoreQuery(path, data, parent, name) {
   this.errs = {};
@@ -19,10 +38,15 @@ function MockFirestoreQuery(path, data, parent, name) {
   this.parent = parent || null;
   this.firestore = parent ? parent.firestore : null;
   this.children = {};
+  this.filters = [];
   this.orderedProperties = [];
   this.orderedDirections = [];
   this.limited = 0;
-  this.buildStartFinder = function () { return function () { return true; }; };
+  this.limitedToLast = false;
+  this.allDescendants = false;
+  this.startBound = null;
+  this.endBound = null;
+  this._converter = null;
   this._setData(data);
 }
 
@@ -52,29 +76,45 @@ MockFirestoreQuery.prototype.getFlushQueue = function () {
 };
 
 MockFirestoreQuery.prototype._setData = function (data) {
-  this.data = utils.cleanFirestoreData(_.cloneDeep(data) || null);
+  this.data = utils.cleanFirestoreData(utils.cloneFirestoreData(data) || null);
 };
 
 MockFirestoreQuery.prototype._getData = function () {
-  return _.cloneDeep(this.data);
+  return utils.cloneFirestoreData(this.data);
 };
 
 MockFirestoreQuery.prototype.toString = function () {
   return this.path;
 };
 
-MockFirestoreQuery.prototype.get = function () {
+/**
+ * Runs the query against the backend or, while the network is disabled or
+ * with `{source: 'cache'}`, against the local data
+ * @param {{source: string}} [options] `source` is 'default', 'server' or
+ *   'cache'
+ * @returns {Promise<MockFirestoreQuerySnapshot>}
+ */
+MockFirestoreQuery.prototype.get = function (options) {
+  this._validateLimitToLast();
+  validate.firestoreGetOptions(options);
+  var source = options && options.source || 'default';
   var err = this._nextErr('get');
   var self = this;
   return new Promise(function (resolve, reject) {
     self._defer('get', _.toArray(arguments), function () {
       var results = self._results();
+      var fromCache = source === 'cache' || self._isOffline();
+      if (source === 'server' && fromCache) {
+        err = err || createFirestoreError('UNAVAILABLE', 'Failed to get documents from server. (However, these ' +
+          'documents may exist in the local cache. Run again without setting source to "server" to retrieve ' +
+          'the cached documents.)');
+      }
+      // the local cache does not enforce security rules
+      err = err || (fromCache ? null : self._listRulesError());
       if (err === null) {
-        if (_.size(self.data) !== 0) {
-          resolve(new QuerySnapshot(self.parent === null ? self : self.parent.collection(self.id), results));
-        } else {
-          resolve(new QuerySnapshot(self.parent === null ? self : self.parent.collection(self.id)));
-        }
+        var pendingKeys = self._pendingKeys(results);
+        var metadata = new SnapshotMetadata(pendingKeys.length > 0, fromCache);
+        resolve(self._querySnapshot(results, undefined, metadata, pendingKeys));
       } else {
         reject(err);
       }
@@ -101,44 +141,39 @@ MockFirestoreQuery.prototype.stream = function () {
   return stream;
 };
 
-MockFirestoreQuery.prototype.where = function (property, operator, value) {
-  var query = this.clone();
-  var path = getPropertyPath(property);
+/**
+ * Creates a query counting the documents in the results of this query
+ * @returns {MockFirestoreAggregateQuery}
+ */
+MockFirestoreQuery.prototype.count = function () {
+  return this.aggregate({ count: AggregateField.count() });
+};
 
-  // check if unsupported operator
-  if (operator !== '==' && operator !== 'array-contains') {
-    console.warn('Using unsupported where() operator for firebase-mock, returning entire dataset');
-  } else {
-    if (_.size(this.data) !== 0) {
-      var results = {};
-      _.forEach(this.data, function(data, key) {
-        var queryable = { data: data, key: key };
-        switch (operator) {
-          case '==':
-            if (_.isEqual(_.get(queryable, path), value)) {
-              results[key] = _.cloneDeep(data);
-            }
-            break;
-          case 'array-contains':
-            if (_.includes(_.get(data, property), value)) {
-              results[key] = _.cloneDeep(data);
-            }
-            break;
-          default:
-            results[key] = _.cloneDeep(data);
-            break;
-        }
-      });
-      query._setData(results);
-    } else {
-      query._setData(null);
-    }
-  }
+/**
+ * Creates a query computing the given aggregations over the results of this query
+ * @param {Object<string, MockFirestoreAggregateField>} aggregateSpec aggregations keyed by alias
+ * @returns {MockFirestoreAggregateQuery}
+ */
+MockFirestoreQuery.prototype.aggregate = function (aggregateSpec) {
+  return new AggregateQuery(this, aggregateSpec);
+};
 
+MockFirestoreQuery.prototype.where = function (property, operator, value) {
+  this._validateFilter(property, operator, value);
+
+  var query = this.clone();
+  query.filters.push({
+    field: getFieldName(property),
+    path: getPropertyPath(property),
+    operator: operator,
+    value: value
+  });
   return query;
 };
 
 MockFirestoreQuery.prototype.orderBy = function (property, direction) {
+  this._validateOrderBy(property, direction);
+
   var query = this.clone();
 
   query.orderedProperties.push(property);
@@ -148,88 +183,250 @@ MockFirestoreQuery.prototype.orderBy = function (property, direction) {
 };
 
 MockFirestoreQuery.prototype.limit = function (limit) {
+  validateLimit('limit', limit);
   var query = this.clone();
   query.limited = limit;
+  query.limitedToLast = false;
   return query;
 };
 
-MockFirestoreQuery.prototype.startAfter = function (doc) {
-  if (!(doc instanceof DocumentSnapshot)) {
-    console.warn('Using unsupported startAfter() parameter for firebase-mock, returning entire dataset');
-    return this;
-  }
+MockFirestoreQuery.prototype.limitToLast = function (limit) {
+  validateLimit('limitToLast', limit);
+  var query = this.clone();
+  query.limited = limit;
+  query.limitedToLast = true;
+  return query;
+};
 
-  if (this.orderedProperties.length === 0) {
-    throw new Error('Query must be ordered to paginate');
-  }
+MockFirestoreQuery.prototype.startAt = function (/* snapshotOrFieldValues */) {
+  var query = this.clone();
+  query.startBound = this._bound('startAt', _.toArray(arguments), true);
+  return query;
+};
 
+MockFirestoreQuery.prototype.startAfter = function (/* snapshotOrFieldValues */) {
   var query = this.clone();
+  query.startBound = this._bound('startAfter', _.toArray(arguments), false);
+  return query;
+};
 
-  query.buildStartFinder = function () {
-    var next = false;
+MockFirestoreQuery.prototype.endAt = function (/* snapshotOrFieldValues */) {
+  var query = this.clone();
+  query.endBound = this._bound('endAt', _.toArray(arguments), true);
+  return query;
+};
 
-    return function (data, key) {
-      if (next) {
-        return true;
-      } else {
-        next = key === doc.ref.id;
-        return false;
-      }
+MockFirestoreQuery.prototype.endBefore = function (/* snapshotOrFieldValues */) {
+  var query = this.clone();
+  query.endBound = this._bound('endBefore', _.toArray(arguments), false);
+  return query;
+};
+
+/**
+ * Builds a query cursor from either a document snapshot or a list of field
+ * values matching the orderBy clauses of the query.
+ * @param {string} methodName the cursor method, used in error messages
+ * @param {Array} args the arguments passed to the cursor method
+ * @param {boolean} inclusive whether documents at the cursor are part of the results
+ * @returns {{values: Array, id: (string|null), inclusive: boolean}}
+ */
+MockFirestoreQuery.prototype._bound = function (methodName, args, inclusive) {
+  var self = this;
+  var snapshot = args[0];
+  if (snapshot instanceof DocumentSnapshot) {
+    if (this.orderedProperties.length === 0) {
+      throw new Error('Query must be ordered to paginate');
+    }
+    if (!snapshot.exists) {
+      throw invalidArgument('Can\'t use a DocumentSnapshot that doesn\'t exist for ' + methodName + '().');
+    }
+    return {
+      values: _.map(this.orderedProperties, function (property) {
+        if (FieldPath.documentId().isEqual(property)) {
+          return self._documentKey(snapshot.ref);
+        }
+        var value = snapshot.get(property);
+        if (_.isUndefined(value)) {
+          throw invalidArgument('Invalid query. You are trying to start or end a query using a document for which ' +
+            'the field \'' + getFieldName(property) + '\' (used as the orderBy) does not exist.');
+        }
+        return value;
+      }),
+      id: this._documentKey(snapshot.ref),
+      inclusive: inclusive
     };
+  }
+
+  if (args.length > this.orderedProperties.length) {
+    throw invalidArgument('Too many arguments provided to ' + methodName + '(). The number of arguments must be ' +
+      'less than or equal to the number of orderBy() clauses');
+  }
+  _.forEach(args, function (value, i) {
+    if (FieldPath.documentId().isEqual(this.orderedProperties[i]) && !_.isString(value)) {
+      throw invalidArgument('Invalid query. Expected a string for document ID in ' + methodName + '(), but got a ' +
+        typeof value);
+    }
+  }.bind(this));
+  return {
+    values: args,
+    id: null,
+    inclusive: inclusive
   };
+};
 
-  return query;
+MockFirestoreQuery.prototype._validateFilter = function (property, operator, value) {
+  if (OPERATORS.indexOf(operator) === -1) {
+    throw invalidArgument('Invalid value "' + operator + '" provided to function Query.where() for its second argument. ' +
+      'Acceptable values: ' + OPERATORS.join(', '));
+  }
+
+  if (ARRAY_OPERATORS.indexOf(operator) !== -1) {
+    if (!Array.isArray(value) || value.length === 0) {
+      throw invalidArgument('Invalid Query. A non-empty array is required for \'' + operator + '\' filters.');
+    }
+    if (value.length > MAX_ARRAY_ELEMENTS) {
+      throw invalidArgument('Invalid Query. \'' + operator + '\' filter supports a maximum of ' + MAX_ARRAY_ELEMENTS +
+        ' elements in the value array.');
+    }
+  }
+
+  var field = getFieldName(property);
+  if (INEQUALITY_OPERATORS.indexOf(operator) !== -1) {
+    var inequalityField = this._inequalityField();
+    if (inequalityField !== null && inequalityField !== field) {
+      throw invalidArgument('Invalid query. All where filters with an inequality (<, <=, !=, not-in, >, or >=) must ' +
+        'be on the same field. But you have inequality filters on \'' + inequalityField + '\' and \'' + field + '\'');
+    }
+    if (this.orderedProperties.length > 0) {
+      validateOrderByAndInequalityMatch(field, getFieldName(this.orderedProperties[0]));
+    }
+  }
+
+  var conflicts = CONFLICTING_OPERATORS[operator] || [];
+  _.forEach(this.filters, function (filter) {
+    if (conflicts.indexOf(filter.operator) !== -1) {
+      if (filter.operator === operator) {
+        throw invalidArgument('Invalid query. You cannot use more than one \'' + operator + '\' filter.');
+      }
+      throw invalidArgument('Invalid query. You cannot use \'' + operator + '\' filters with \'' +
+        filter.operator + '\' filters.');
+    }
+  });
+};
+
+MockFirestoreQuery.prototype._validateOrderBy = function (property, direction) {
+  if (!_.isUndefined(direction) && direction !== 'asc' && direction !== 'desc') {
+    throw invalidArgument('Function Query.orderBy() has unknown direction \'' + direction +
+      '\', expected \'asc\' or \'desc\'.');
+  }
+  if (this.startBound !== null) {
+    throw invalidArgument('Invalid query. You must not call startAt() or startAfter() before calling orderBy().');
+  }
+  if (this.endBound !== null) {
+    throw invalidArgument('Invalid query. You must not call endAt() or endBefore() before calling orderBy().');
+  }
+
+  var inequalityField = this._inequalityField();
+  if (inequalityField !== null && this.orderedProperties.length === 0) {
+    validateOrderByAndInequalityMatch(inequalityField, getFieldName(property));
+  }
+};
+
+MockFirestoreQuery.prototype._inequalityField = function () {
+  var filter = _.find(this.filters, function (filter) {
+    return INEQUALITY_OPERATORS.indexOf(filter.operator) !== -1;
+  });
+  return filter ? filter.field : null;
 };
 
 MockFirestoreQuery.prototype.clone = function () {
   var query = new MockFirestoreQuery(this.path, this._getData(), this.parent, this.id);
 
+  query.filters = Array.from(this.filters);
   query.orderedProperties = Array.from(this.orderedProperties);
   query.orderedDirections = Array.from(this.orderedDirections);
   query.limited = this.limited;
-  query.buildStartFinder = this.buildStartFinder;
+  query.limitedToLast = this.limitedToLast;
+  query.allDescendants = this.allDescendants;
+  query.startBound = this.startBound;
+  query.endBound = this.endBound;
+  query._converter = this._converter;
 
   return query;
 };
 
-MockFirestoreQuery.prototype.onSnapshot = function (optionsOrObserverOrOnNext, observerOrOnNextOrOnError, onErrorArg) {
+/**
+ * Returns a query that converts the documents it reads with the given
+ * converter, or an untyped query when the converter is null. Collections
+ * return a typed reference to the same collection.
+ * @param {{toFirestore: Function, fromFirestore: Function}|null} converter
+ * @returns {MockFirestoreQuery}
+ */
+MockFirestoreQuery.prototype.withConverter = function (converter) {
+  if (this.DocumentReference) {
+    var untyped = this._untyped || this;
+    return converter ? utils.typedReference(untyped, converter) : untyped;
+  }
+  var query = this.clone();
+  query._converter = converter || null;
+  return query;
+};
+
+MockFirestoreQuery.prototype.onSnapshot = function () {
+  this._validateLimitToLast();
+  var listener = utils.parseSnapshotListenerArgs(_.toArray(arguments));
   var err = this._nextErr('onSnapshot');
   var self = this;
-  var onNext = optionsOrObserverOrOnNext;
-  var onError = observerOrOnNextOrOnError;
-  var includeMetadataChanges = optionsOrObserverOrOnNext.includeMetadataChanges;
-
-  if (includeMetadataChanges) {
-    // Note this doesn't truly mimic the firestore metadata changes behavior, however
-    // since everything is syncronous, there isn't any difference in behavior.
-    onNext = observerOrOnNextOrOnError;
-    onError = onErrorArg;
-  }
   var context = {
-    data: self._results(),
+    results: self._results(),
+    pendingKeys: null,
+    fromCache: self._isOffline()
   };
-  var onSnapshot = function (forceTrigger) {
-    // compare the current state to the one from when this function was created
-    // and send the data to the callback if different.
-    if (err === null) {
-      if (forceTrigger) {
-        const results = self._results();
-        if (_.size(self.data) !== 0) {
-          onNext(new QuerySnapshot(self.parent === null ? self : self.parent.collection(self.id), results));
-        } else {
-          onNext(new QuerySnapshot(self.parent === null ? self : self.parent.collection(self.id)));
-        }
+  context.pendingKeys = self._pendingKeys(context.results);
+  err = err || self._listRulesError();
+  var emit = function (changes) {
+    var metadata = new SnapshotMetadata(context.pendingKeys.length > 0, context.fromCache);
+    listener.onNext(self._querySnapshot(context.results, changes, metadata, context.pendingKeys));
+  };
+  var onSnapshot = function (initial) {
+    if (initial === true) {
+      if (err !== null) {
+        listener.onError(err);
       } else {
-        self.get().then(function (querySnapshot) {
-          var results = self._results();
-          if (!_.isEqual(results, context.data) || includeMetadataChanges) {
-            onNext(new QuerySnapshot(self.parent === null ? self : self.parent.collection(self.id), results));
-            context.data = results;
-          }
-        });
+        emit(undefined);
+      }
+      return;
+    }
+    // compare the current results to the ones last sent to the listener
+    var results = self._results();
+    if (err !== null) {
+      // a failed listener reports its error again when the results change
+      if (!_.isEqual(results, context.results)) {
+        context.results = results;
+        listener.onError(err);
       }
-    } else {
-      onError(err);
+      return;
+    }
+    var pendingKeys = self._pendingKeys(results);
+    var fromCache = self._isOffline();
+    var changes = _.isEqual(results, context.results) ? [] : self._docChanges(context.results, results);
+    // documents whose pending writes were made or acknowledged, or all of
+    // them when the network state changed, get metadata-only changes
+    var changedKeys = _.map(changes, 'key');
+    var fromCacheChanged = fromCache !== context.fromCache;
+    _.forEach(results, function (result, i) {
+      var pendingChanged = _.includes(pendingKeys, result.key) !== _.includes(context.pendingKeys, result.key);
+      if (!_.includes(changedKeys, result.key) && (fromCacheChanged || pendingChanged)) {
+        changes.push({ type: 'modified', key: result.key, oldIndex: i, newIndex: i, metadataOnly: true });
+      }
+    });
+    var metadataChanged = fromCacheChanged || (pendingKeys.length > 0) !== (context.pendingKeys.length > 0);
+    var dataChanged = changedKeys.length > 0;
+    context.results = results;
+    context.pendingKeys = pendingKeys;
+    context.fromCache = fromCache;
+    if (dataChanged || ((metadataChanged || changes.length > 0) && listener.options.includeMetadataChanges)) {
+      emit(changes);
     }
   };
 
@@ -242,56 +439,235 @@ MockFirestoreQuery.prototype.onSnapshot = function (optionsOrObserverOrOnNext, o
   return unsubscribe;
 };
 
+/**
+ * Lists the keys of the results with writes not acknowledged yet
+ * @param {Object[]} results
+ * @returns {string[]}
+ */
+MockFirestoreQuery.prototype._pendingKeys = function (results) {
+  var collection = this._collection();
+  return _.map(_.filter(results, function (result) {
+    return collection.doc(result.key)._hasPendingWrites();
+  }), 'key');
+};
+
+MockFirestoreQuery.prototype._isOffline = function () {
+  return !!this.firestore && !this.firestore._networkEnabled;
+};
+
+/**
+ * Checks the query against the security rules of its Firestore, if any
+ * @returns {Error|null}
+ */
+MockFirestoreQuery.prototype._listRulesError = function () {
+  return this.firestore ? this.firestore._queryRulesError(this) : null;
+};
+
+/**
+ * Runs the query against the current data
+ * @returns {Array} the matching documents as `{ key, data }` objects, in query order
+ */
 MockFirestoreQuery.prototype._results = function () {
-  var results = {};
-  var limit = 0;
-  var atStart = false;
-  var atEnd = false;
-  var startFinder = this.buildStartFinder();
-
-  var inRange = function(data, key) {
-    if (atEnd) {
-      return false;
-    } else if (atStart) {
-      return true;
-    } else {
-      atStart = startFinder(data, key);
-      return atStart;
+  var self = this;
+  var queryable = [];
+  _.forEach(self._sourceData(), function(data, key) {
+    var q = {
+      data: data,
+      key: key
+    };
+    if (self._matches(q)) {
+      queryable.push(q);
     }
-  };
-  if (_.size(this.data) === 0) {
-    return results;
+  });
+
+  queryable.sort(function (a, b) {
+    return self._compareDocuments(a, b);
+  });
+  queryable = _.filter(queryable, function (q) {
+    return self._inBounds(q);
+  });
+  if (self.limited > 0) {
+    queryable = self.limitedToLast ? queryable.slice(-self.limited) : queryable.slice(0, self.limited);
+  }
+
+  return _.map(queryable, function (q) {
+    return {
+      key: q.key,
+      data: _.cloneDeepWith(q.data, utils.cloneCustomizer)
+    };
+  });
+};
+
+MockFirestoreQuery.prototype._querySnapshot = function (results, changes, metadata, pendingKeys) {
+  var data = {};
+  _.forEach(results, function (result) {
+    data[result.key] = result.data;
+  });
+  var snapshot = new QuerySnapshot(this._collection(), data, _.map(results, 'key'), changes, this._converter,
+    metadata, pendingKeys);
+  snapshot.query = this;
+  return snapshot;
+};
+
+// The reference that result documents are looked up from. Collection group
+// results are keyed by their path, so they are looked up from the root.
+MockFirestoreQuery.prototype._collection = function () {
+  if (this.allDescendants) {
+    return this.firestore;
+  }
+  return this.parent === null ? this : this.parent.collection(this.id);
+};
+
+// Queries read the live data of their collection, so that results and
+// listeners reflect writes made after the query was built.
+MockFirestoreQuery.prototype._sourceData = function () {
+  if (this.allDescendants) {
+    return this.firestore._collectionGroupData(this.id);
   }
+  return this._collection().data;
+};
 
+// The key of a document in the source data: its id, or its path relative to
+// the root for collection group queries.
+MockFirestoreQuery.prototype._documentKey = function (ref) {
+  if (!this.allDescendants) {
+    return ref.id;
+  }
+  var segments = [];
+  while (ref && ref !== this.firestore) {
+    segments.unshift(ref.id);
+    ref = ref.parent;
+  }
+  return segments.join('/');
+};
 
+/**
+ * Diffs two result sets the way the Firestore SDK does: removals come first,
+ * then additions, then modifications, and each index is relative to the
+ * results with all previous changes applied.
+ * @param {Array} previous results previously sent to a listener
+ * @param {Array} current the current results
+ * @returns {Array} changes as `{ type, key, data, oldIndex, newIndex }` objects
+ */
+MockFirestoreQuery.prototype._docChanges = function (previous, current) {
   var self = this;
-  if (this.orderedProperties.length === 0) {
-    _.forEach(this.data, function(data, key) {
-      if (inRange(data, key) && (self.limited <= 0 || limit < self.limited)) {
-        results[key] = _.cloneDeepWith(data, utils.cloneCustomizer);
-        limit++;
+  var previousByKey = {};
+  var currentByKey = {};
+  _.forEach(previous, function (result) {
+    previousByKey[result.key] = result;
+  });
+  _.forEach(current, function (result) {
+    currentByKey[result.key] = result;
+  });
+
+  var removed = _.filter(previous, function (result) {
+    return !_.has(currentByKey, result.key);
+  });
+  var added = _.filter(current, function (result) {
+    return !_.has(previousByKey, result.key);
+  });
+  var modified = _.filter(current, function (result) {
+    return _.has(previousByKey, result.key) && !_.isEqual(previousByKey[result.key].data, result.data);
+  });
+
+  var tracker = previous.slice();
+  var changes = [];
+  var track = function (type) {
+    return function (result) {
+      var oldIndex = -1;
+      var newIndex = -1;
+      if (type !== 'added') {
+        oldIndex = _.findIndex(tracker, function (tracked) {
+          return tracked.key === result.key;
+        });
+        tracker.splice(oldIndex, 1);
       }
-    });
-  } else {
-    var queryable = [];
-    _.forEach(self.data, function(data, key) {
-      queryable.push({
-        data: data,
-        key: key
+      if (type !== 'removed') {
+        newIndex = _.findIndex(tracker, function (tracked) {
+          return self._compareDocuments(tracked, result) > 0;
+        });
+        if (newIndex === -1) {
+          newIndex = tracker.length;
+        }
+        tracker.splice(newIndex, 0, result);
+      }
+      changes.push({
+        type: type,
+        key: result.key,
+        data: result.data,
+        oldIndex: oldIndex,
+        newIndex: newIndex
       });
-    });
+    };
+  };
+  _.forEach(removed, track('removed'));
+  _.forEach(added, track('added'));
+  _.forEach(modified, track('modified'));
+  return changes;
+};
 
-    var orderBy = _.map(self.orderedProperties, getPropertyPath);
-    queryable = _.orderBy(queryable, orderBy, self.orderedDirections);
-    queryable.forEach(function(q) {
-      if (inRange(q.data, q.key) && (self.limited <= 0 || limit < self.limited)) {
-        results[q.key] = _.cloneDeepWith(q.data, utils.cloneCustomizer);
-        limit++;
-      }
-    });
+// Like the real backend, ordering by a field also filters out documents
+// where that field does not exist.
+MockFirestoreQuery.prototype._matches = function (queryable) {
+  return _.every(this.filters, function (filter) {
+    return matchesFilter(queryable, filter);
+  }) && _.every(this.orderedProperties, function (property) {
+    return _.has(queryable, getPropertyPath(property));
+  });
+};
+
+// Documents are ordered by each orderBy clause in turn, then by document id
+// in the direction of the last clause.
+MockFirestoreQuery.prototype._compareDocuments = function (a, b) {
+  return this._compareToBound(a, {
+    values: _.map(this.orderedProperties, function (property) {
+      return _.get(b, getPropertyPath(property));
+    }),
+    id: b.key
+  });
+};
+
+MockFirestoreQuery.prototype._validateLimitToLast = function () {
+  if (this.limitedToLast && this.orderedProperties.length === 0) {
+    throw createFirestoreError('UNIMPLEMENTED', 'limitToLast() queries require specifying at least one orderBy() clause');
+  }
+};
+
+MockFirestoreQuery.prototype._inBounds = function (queryable) {
+  if (this.startBound) {
+    var start = this._compareToBound(queryable, this.startBound);
+    if (start < 0 || (start === 0 && !this.startBound.inclusive)) {
+      return false;
+    }
+  }
+  if (this.endBound) {
+    var end = this._compareToBound(queryable, this.endBound);
+    if (end > 0 || (end === 0 && !this.endBound.inclusive)) {
+      return false;
+    }
   }
+  return true;
+};
 
-  return results;
+// Compares the position of a document in the query results with a cursor,
+// taking the direction of each orderBy clause into account.
+MockFirestoreQuery.prototype._compareToBound = function (queryable, bound) {
+  var self = this;
+  var comparison = 0;
+  _.forEach(bound.values, function (value, i) {
+    comparison = comparator.compare(_.get(queryable, getPropertyPath(self.orderedProperties[i])), value);
+    if (self.orderedDirections[i] === 'desc') {
+      comparison = -comparison;
+    }
+    return comparison === 0;
+  });
+  if (comparison === 0 && bound.id !== null) {
+    comparison = comparator.comparePaths(queryable.key, bound.id);
+    if (this.orderedDirections[this.orderedDirections.length - 1] === 'desc') {
+      comparison = -comparison;
+    }
+  }
+  return comparison;
 };
 
 MockFirestoreQuery.prototype._defer = function (sourceMethod, sourceArgs, callback) {
@@ -319,13 +695,92 @@ function extractName(path) {
   return ((path || '').match(/\/([^.$\[\]#\/]+)$/) || [null, null])[1];
 }
 
+function invalidArgument(message) {
+  return createFirestoreError('INVALID_ARGUMENT', message);
+}
+
+function validateLimit(methodName, limit) {
+  if (!_.isNumber(limit) || limit <= 0) {
+    throw invalidArgument('Function ' + methodName + '() requires a positive number, but it was: ' + limit + '.');
+  }
+}
+
+function validateOrderByAndInequalityMatch(inequalityField, orderByField) {
+  if (inequalityField !== orderByField) {
+    throw invalidArgument('Invalid query. You have a where filter with an inequality (<, <=, !=, not-in, >, or >=) ' +
+      'on field \'' + inequalityField + '\' and so you must also use \'' + inequalityField + '\' as your first ' +
+      'argument to orderBy(), but your first orderBy() is on field \'' + orderByField + '\' instead.');
+  }
+}
+
+function getFieldName(p) {
+  if (FieldPath.documentId().isEqual(p)) {
+    return '__name__';
+  } else if (p instanceof FieldPath) {
+    return p._toString();
+  } else {
+    return p;
+  }
+}
+
 function getPropertyPath(p) {
   if (FieldPath.documentId().isEqual(p)) {
-    return 'key';
+    return ['key'];
   } else if (p instanceof FieldPath) {
-    return 'data.' + p._path.join('.');
+    return ['data'].concat(p._path);
   } else {
-    return 'data.' + p;
+    return ['data'].concat(p.split('.'));
+  }
+}
+
+function arrayContains(array, value) {
+  return _.findIndex(array, function (element) {
+    return comparator.equals(element, value);
+  }) !== -1;
+}
+
+function matchesComparison(operator, comparison) {
+  switch (operator) {
+    case '<':
+      return comparison < 0;
+    case '<=':
+      return comparison <= 0;
+    case '==':
+      return comparison === 0;
+    case '!=':
+      return comparison !== 0;
+    case '>=':
+      return comparison >= 0;
+    default:
+      return comparison > 0;
+  }
+}
+
+// Mirrors the filter semantics of the Firestore SDK: documents missing the
+// field never match, and except for "!=" only values of the same type as
+// the filter value are compared.
+function matchesFilter(queryable, filter) {
+  if (!_.has(queryable, filter.path)) {
+    return false;
+  }
+  var other = _.get(queryable, filter.path);
+
+  switch (filter.operator) {
+    case 'array-contains':
+      return Array.isArray(other) && arrayContains(other, filter.value);
+    case 'array-contains-any':
+      return Array.isArray(other) && _.findIndex(other, function (element) {
+        return arrayContains(filter.value, element);
+      }) !== -1;
+    case 'in':
+      return arrayContains(filter.value, other);
+    case 'not-in':
+      return !arrayContains(filter.value, null) && !arrayContains(filter.value, other);
+    case '!=':
+      return matchesComparison(filter.operator, comparator.compare(other, filter.value));
+    default:
+      return comparator.typeOrder(other) === comparator.typeOrder(filter.value) &&
+        matchesComparison(filter.operator, comparator.compare(other, filter.value));
   }
 }
 
@@ -0,0 +1,649 @@
+'use strict';
+
+var _ = require('./lodash');
+var Bytes = require('./firestore-bytes');
+var comparator = require('./firestore-comparator');
+var expression = require('./rules-expression');
+var GeoPoint = require('./firestore-geo-point');
+var Timestamp = require('./timestamp');
+
+var evaluationError = expression.evaluationError;
+
+var DATABASE_PREFIX = ['databases', '(default)', 'documents'];
+var MAX_CALL_DEPTH = 20;
+
+// the methods each `allow` statement may name, with the operations they cover
+var METHODS = {
+  read: ['get', 'list'],
+  get: ['get'],
+  list: ['list'],
+  write: ['create', 'update', 'delete'],
+  create: ['create'],
+  update: ['update'],
+  delete: ['delete']
+};
+
+/**
+ * Parsed Firestore security rules, as found in a firestore.rules file.
+ * Throws an error with the position of the problem on invalid source.
+ * @param {string} source
+ */
+function MockFirestoreRules(source) {
+  this._root = parseRules(source);
+}
+
+/**
+ * Decides whether the rules allow an operation on a document
+ * @param {string} method 'get', 'list', 'create', 'update' or 'delete'
+ * @param {string} path the path of the document, relative to the root
+ * @param {Object} context
+ * @param {Object|null} context.auth the value of `request.auth`
+ * @param {Object|null} context.resource the stored data of the document
+ * @param {Object|null} [context.requestResource] the data of the document
+ *   after the write
+ * @param {Object} [context.query] the value of `request.query` for lists
+ * @param {function(string): Object|null} context.getData returns the data
+ *   of another document, for `get()` and `exists()`
+ * @param {function(string): Object|null} [context.getDataAfter] returns the
+ *   data of another document after the write, for `getAfter()` and
+ *   `existsAfter()`
+ * @returns {boolean|null} true if allowed, false if denied, or null if the
+ *   decision depends on data that could not be evaluated
+ */
+MockFirestoreRules.prototype.allows = function (method, path, context) {
+  var segments = DATABASE_PREFIX.concat(_.compact(path.split('/')));
+  var candidates = [];
+  collectMatches(this._root, segments, {}, [this._root.functions], candidates);
+  var sawError = false;
+  var allowed = false;
+  _.forEach(candidates, function (candidate) {
+    _.forEach(candidate.block.allows, function (allow) {
+      if (!_.includes(allow.methods, method)) {
+        return true;
+      }
+      try {
+        var env = createEnv(method, path, context, candidate);
+        allowed = expression.evaluate(allow.condition, env) === true;
+      } catch (err) {
+        if (!expression.isEvaluationError(err)) throw err;
+        sawError = true;
+      }
+      return !allowed;
+    });
+    return !allowed;
+  });
+  return allowed || (sawError ? null : false);
+};
+
+function parseRules(source) {
+  var parser = new expression.Parser(source, { paths: true });
+  if (parser.isKeyword('rules_version')) {
+    parser.next();
+    parser.expect('=');
+    var version = parser.next();
+    if (version.type !== 'string' || (version.value !== '1' && version.value !== '2')) {
+      throw parser.error('Unsupported rules_version', version);
+    }
+    parser.expect(';');
+  }
+  parser.expectKeyword('service');
+  var service = parser.expectIdentifier();
+  while (parser.accept('.')) {
+    service += '.' + parser.expectIdentifier();
+  }
+  if (service !== 'cloud.firestore') {
+    throw parser.error('Expected service cloud.firestore but found ' + service);
+  }
+  parser.expect('{');
+  var root = parseBlock(parser);
+  parser.expectEnd();
+  return root;
+}
+
+function parseBlock(parser) {
+  var block = { pattern: [], matches: [], allows: [], functions: {} };
+  while (!parser.accept('}')) {
+    if (parser.isKeyword('match')) {
+      parser.next();
+      var pattern = parseMatchPath(parser);
+      parser.expect('{');
+      var child = parseBlock(parser);
+      child.pattern = pattern;
+      block.matches.push(child);
+    } else if (parser.isKeyword('allow')) {
+      parser.next();
+      block.allows.push(parseAllow(parser));
+    } else if (parser.isKeyword('function')) {
+      parser.next();
+      var fn = parseFunction(parser);
+      block.functions[fn.name] = fn;
+    } else {
+      throw parser.unexpected('match, allow or function');
+    }
+  }
+  return block;
+}
+
+function parseMatchPath(parser) {
+  var lexer = parser.lexer;
+  var source = lexer.source;
+  var pattern = [];
+  lexer.skipWhitespace();
+  if (source[lexer.pos] !== '/') {
+    throw parser.error('Expected a path starting with /');
+  }
+  while (source[lexer.pos] === '/') {
+    lexer.pos++;
+    var match = source.slice(lexer.pos).match(/^\{([A-Za-z_][A-Za-z0-9_]*)(=\*\*)?\}/) ||
+      source.slice(lexer.pos).match(/^([^\/\s{}]+)/);
+    if (!match) {
+      throw parser.error('Invalid path segment');
+    }
+    lexer.pos += match[0].length;
+    if (match[0][0] !== '{') {
+      pattern.push({ type: 'literal', value: match[1] });
+    } else {
+      pattern.push({ type: match[2] ? 'rest' : 'wildcard', name: match[1] });
+    }
+  }
+  return pattern;
+}
+
+function parseAllow(parser) {
+  var methods = [];
+  do {
+    var token = parser.peek();
+    var method = parser.expectIdentifier();
+    if (!_.has(METHODS, method)) {
+      throw parser.error('Unknown method ' + method, token);
+    }
+    methods = _.union(methods, METHODS[method]);
+  } while (parser.accept(','));
+  var condition = { type: 'literal', value: true };
+  if (parser.accept(':')) {
+    parser.expectKeyword('if');
+    condition = parser.parseExpression();
+  }
+  parser.expect(';');
+  return { methods: methods, condition: condition };
+}
+
+function parseFunction(parser) {
+  var name = parser.expectIdentifier();
+  var params = [];
+  parser.expect('(');
+  if (!parser.accept(')')) {
+    do {
+      params.push(parser.expectIdentifier());
+    } while (parser.accept(','));
+    parser.expect(')');
+  }
+  parser.expect('{');
+  var bindings = [];
+  while (parser.isKeyword('let')) {
+    parser.next();
+    var variable = parser.expectIdentifier();
+    parser.expect('=');
+    bindings.push({ name: variable, value: parser.parseExpression() });
+    parser.expect(';');
+  }
+  parser.expectKeyword('return');
+  var body = parser.parseExpression();
+  parser.accept(';');
+  parser.expect('}');
+  return { name: name, params: params, bindings: bindings, body: body };
+}
+
+// Calls found once for every way the pattern matches a prefix of the segments
+function matchPattern(pattern, segments, bindings, found) {
+  if (pattern.length === 0) {
+    found(0, bindings);
+    return;
+  }
+  var part = pattern[0];
+  var rest = pattern.slice(1);
+  if (part.type === 'rest') {
+    for (var length = segments.length; length >= 0; length--) {
+      var withRest = _.assign({}, bindings);
+      withRest[part.name] = segments.slice(0, length).join('/');
+      matchPattern(rest, segments.slice(length), withRest, offset(found, length));
+    }
+  } else if (segments.length > 0) {
+    if (part.type === 'literal' && part.value !== segments[0]) {
+      return;
+    }
+    var next = bindings;
+    if (part.type === 'wildcard') {
+      next = _.assign({}, bindings);
+      next[part.name] = segments[0];
+    }
+    matchPattern(rest, segments.slice(1), next, offset(found, 1));
+  }
+}
+
+function offset(found, length) {
+  return function (consumed, bindings) {
+    found(consumed + length, bindings);
+  };
+}
+
+// collects the match blocks whose full path equals the segments, with the
+// functions visible in each, innermost first
+function collectMatches(block, segments, bindings, scopes, candidates) {
+  _.forEach(block.matches, function (child) {
+    matchPattern(child.pattern, segments, bindings, function (consumed, childBindings) {
+      var childScopes = [child.functions].concat(scopes);
+      if (consumed === segments.length) {
+        candidates.push({ block: child, bindings: childBindings, scopes: childScopes });
+      } else {
+        collectMatches(child, segments.slice(consumed), childBindings, childScopes, candidates);
+      }
+    });
+  });
+}
+
+function Namespace(functions) {
+  this.functions = functions;
+}
+
+function MapDiff(left, right) {
+  this.left = left;
+  this.right = right;
+}
+
+function resourceValue(path, data) {
+  if (data === null || _.isUndefined(data)) {
+    return null;
+  }
+  var segments = _.compact(path.split('/'));
+  return {
+    data: data,
+    id: segments[segments.length - 1],
+    __name__: DATABASE_PREFIX.concat(segments).join('/')
+  };
+}
+
+function relativePath(path) {
+  var segments = _.compact(String(pathValue(path)).split('/'));
+  var prefix = segments.slice(0, DATABASE_PREFIX.length);
+  if (prefix[0] !== 'databases' || prefix[2] !== 'documents' || segments.length % 2 !== 1) {
+    throw evaluationError('Invalid document path ' + path);
+  }
+  return segments.slice(DATABASE_PREFIX.length).join('/');
+}
+
+// document references in the data are compared with paths such as
+// /databases/$(database)/documents/users/$(request.auth.uid)
+function pathValue(value) {
+  if (!comparator.isReference(value)) {
+    return value;
+  }
+  var relative = value.firestore ? value.firestore._relativePath(value) : value.path;
+  return DATABASE_PREFIX.concat(_.compact(relative.split('/'))).join('/');
+}
+
+function typeOf(value) {
+  if (value === null || _.isUndefined(value)) return 'null';
+  if (typeof value === 'boolean') return 'bool';
+  if (typeof value === 'number') return Math.floor(value) === value ? 'int' : 'float';
+  if (_.isString(value)) return 'string';
+  if (value instanceof Date || value instanceof Timestamp) return 'timestamp';
+  if (value instanceof GeoPoint) return 'latlng';
+  if (value instanceof Bytes) return 'bytes';
+  if (comparator.isReference(value)) return 'path';
+  if (Array.isArray(value)) return 'list';
+  if (value instanceof MapDiff) return 'mapdiff';
+  if (value instanceof Namespace) return 'namespace';
+  return 'map';
+}
+
+function assertType(value, type, description) {
+  var actual = typeOf(value);
+  if (actual !== type && !(type === 'number' && (actual === 'int' || actual === 'float'))) {
+    throw evaluationError(description + ' expects a ' + type + ' but found ' + actual);
+  }
+  return value;
+}
+
+function listHas(list, value) {
+  return _.findIndex(list, function (element) {
+    return comparator.equals(element, value);
+  }) !== -1;
+}
+
+function uniqueList(list) {
+  return _.reduce(list, function (unique, value) {
+    if (!listHas(unique, value)) unique.push(value);
+    return unique;
+  }, []);
+}
+
+function toMillis(value) {
+  return value instanceof Timestamp ? value.toMillis() : value.getTime();
+}
+
+var STRING_METHODS = {
+  size: function (s) { return s.length; },
+  lower: function (s) { return s.toLowerCase(); },
+  upper: function (s) { return s.toUpperCase(); },
+  trim: function (s) { return s.trim(); },
+  split: function (s, separator) { return s.split(new RegExp(assertType(separator, 'string', 'split()'))); },
+  matches: function (s, regex) { return new RegExp('^(?:' + assertType(regex, 'string', 'matches()') + ')$').test(s); },
+  replace: function (s, regex, replacement) {
+    return s.replace(new RegExp(assertType(regex, 'string', 'replace()'), 'g'), replacement);
+  }
+};
+
+var LIST_METHODS = {
+  size: function (l) { return l.length; },
+  hasAll: function (l, other) {
+    return _.every(assertType(other, 'list', 'hasAll()'), function (value) { return listHas(l, value); });
+  },
+  hasAny: function (l, other) {
+    return _.findIndex(assertType(other, 'list', 'hasAny()'), function (value) { return listHas(l, value); }) !== -1;
+  },
+  hasOnly: function (l, other) {
+    assertType(other, 'list', 'hasOnly()');
+    return _.every(l, function (value) { return listHas(other, value); });
+  },
+  join: function (l, separator) { return l.join(separator); },
+  concat: function (l, other) { return l.concat(assertType(other, 'list', 'concat()')); },
+  removeAll: function (l, other) {
+    assertType(other, 'list', 'removeAll()');
+    return _.filter(l, function (value) { return !listHas(other, value); });
+  },
+  toSet: function (l) { return uniqueList(l); }
+};
+
+var MAP_METHODS = {
+  size: function (m) { return _.keys(m).length; },
+  keys: function (m) { return _.keys(m); },
+  values: function (m) { return _.map(_.keys(m), function (key) { return m[key]; }); },
+  get: function (m, key, defaultValue) {
+    var path = Array.isArray(key) ? key : [key];
+    var value = m;
+    for (var i = 0; i < path.length; i++) {
+      if (!_.isPlainObject(value) || !_.has(value, path[i])) {
+        return defaultValue;
+      }
+      value = value[path[i]];
+    }
+    return value;
+  },
+  diff: function (m, other) { return new MapDiff(m, assertType(other, 'map', 'diff()')); }
+};
+
+var MAP_DIFF_METHODS = {
+  addedKeys: function (diff) {
+    return _.filter(_.keys(diff.right), function (key) { return !_.has(diff.left, key); });
+  },
+  removedKeys: function (diff) {
+    return _.filter(_.keys(diff.left), function (key) { return !_.has(diff.right, key); });
+  },
+  changedKeys: function (diff) {
+    return _.filter(_.keys(diff.left), function (key) {
+      return _.has(diff.right, key) && !comparator.equals(diff.left[key], diff.right[key]);
+    });
+  },
+  unchangedKeys: function (diff) {
+    return _.filter(_.keys(diff.left), function (key) {
+      return _.has(diff.right, key) && comparator.equals(diff.left[key], diff.right[key]);
+    });
+  },
+  affectedKeys: function (diff) {
+    return MAP_DIFF_METHODS.addedKeys(diff)
+      .concat(MAP_DIFF_METHODS.removedKeys(diff), MAP_DIFF_METHODS.changedKeys(diff));
+  }
+};
+
+var TIMESTAMP_METHODS = {
+  toMillis: function (t) { return toMillis(t); },
+  seconds: function (t) { return Math.floor(toMillis(t) / 1000); },
+  nanos: function (t) { return Timestamp.fromMillis(toMillis(t)).nanoseconds; }
+};
+
+var EARTH_RADIUS_METERS = 6371000;
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+var LATLNG_METHODS = {
+  latitude: function (point) { return point.latitude; },
+  longitude: function (point) { return point.longitude; },
+  // great-circle distance in meters
+  distance: function (point, other) {
+    assertType(other, 'latlng', 'distance()');
+    var dLat = toRadians(other.latitude - point.latitude);
+    var dLng = toRadians(other.longitude - point.longitude);
+    var a = Math.pow(Math.sin(dLat / 2), 2) + Math.cos(toRadians(point.latitude)) *
+      Math.cos(toRadians(other.latitude)) * Math.pow(Math.sin(dLng / 2), 2);
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+  }
+};
+
+var BYTES_METHODS = {
+  size: function (bytes) { return bytes.toUint8Array().length; },
+  toBase64: function (bytes) { return bytes.toBase64(); },
+  toHexString: function (bytes) {
+    return _.map(_.toArray(bytes.toUint8Array()), function (byte) {
+      return (byte < 16 ? '0' : '') + byte.toString(16).toUpperCase();
+    }).join('');
+  }
+};
+
+var METHODS_BY_TYPE = {
+  string: STRING_METHODS,
+  list: LIST_METHODS,
+  map: MAP_METHODS,
+  mapdiff: MAP_DIFF_METHODS,
+  timestamp: TIMESTAMP_METHODS,
+  latlng: LATLNG_METHODS,
+  bytes: BYTES_METHODS
+};
+
+var GLOBALS = {
+  math: new Namespace({
+    abs: Math.abs,
+    ceil: Math.ceil,
+    floor: Math.floor,
+    round: Math.round,
+    sqrt: Math.sqrt,
+    pow: Math.pow,
+    isNaN: function (n) { return isNaN(n); },
+    isInfinite: function (n) { return n === Infinity || n === -Infinity; }
+  }),
+  timestamp: new Namespace({
+    value: function (millis) { return Timestamp.fromMillis(assertType(millis, 'int', 'timestamp.value()')); }
+  })
+};
+
+var CONVERSIONS = {
+  int: function (value) {
+    var number = Number(value);
+    if (isNaN(number)) throw evaluationError('Cannot convert ' + value + ' to int');
+    return number < 0 ? Math.ceil(number) : Math.floor(number);
+  },
+  float: function (value) {
+    var number = Number(value);
+    if (isNaN(number)) throw evaluationError('Cannot convert ' + value + ' to float');
+    return number;
+  },
+  string: function (value) {
+    return value === null ? 'null' : String(value);
+  },
+  debug: function (value) {
+    return value;
+  }
+};
+
+function createEnv(method, path, context, candidate) {
+  var segments = _.compact(path.split('/'));
+  var requestResource = context.requestResource;
+  var request = {
+    auth: context.auth,
+    method: method,
+    path: DATABASE_PREFIX.concat(segments).join('/'),
+    time: Timestamp.fromMillis(context.time)
+  };
+  if (requestResource !== null && !_.isUndefined(requestResource)) {
+    request.resource = resourceValue(path, requestResource);
+  }
+  if (context.query) {
+    request.query = context.query;
+  }
+  var variables = _.assign({
+    request: request,
+    resource: resourceValue(path, context.resource)
+  }, candidate.bindings);
+
+  var getDataAfter = context.getDataAfter || context.getData;
+  var builtins = {
+    get: function (target) {
+      var relative = relativePath(target);
+      return resourceValue(relative, context.getData(relative));
+    },
+    exists: function (target) {
+      return context.getData(relativePath(target)) !== null;
+    },
+    getAfter: function (target) {
+      var relative = relativePath(target);
+      return resourceValue(relative, getDataAfter(relative));
+    },
+    existsAfter: function (target) {
+      return getDataAfter(relativePath(target)) !== null;
+    }
+  };
+
+  function withLocals(locals, depth) {
+    return {
+      lookup: function (name) {
+        if (_.has(locals, name)) return locals[name];
+        if (_.has(variables, name)) return variables[name];
+        if (_.has(GLOBALS, name)) return GLOBALS[name];
+        throw evaluationError('Unknown variable ' + name);
+      },
+      member: function (object, name) {
+        if (typeOf(object) !== 'map' || !_.has(object, name) || _.isUndefined(object[name])) {
+          throw evaluationError('Property ' + name + ' is undefined on object');
+        }
+        return object[name];
+      },
+      index: function (object, key) {
+        if (Array.isArray(object) && typeOf(key) === 'int') {
+          if (key < 0 || key >= object.length) throw evaluationError('Index out of range');
+          return object[key];
+        }
+        return this.member(object, key);
+      },
+      call: function (name, args) {
+        var fn = findFunction(candidate.scopes, name);
+        if (fn) {
+          return callFunction(fn, args, depth);
+        } else if (_.has(builtins, name)) {
+          return builtins[name].apply(null, args);
+        } else if (_.has(CONVERSIONS, name)) {
+          return CONVERSIONS[name].apply(null, args);
+        }
+        throw evaluationError('Function not found error: Name: [' + name + '].');
+      },
+      method: function (object, name, args) {
+        var type = typeOf(object);
+        var methods = type === 'namespace' ? object.functions : METHODS_BY_TYPE[type];
+        if (!methods || !_.has(methods, name)) {
+          throw evaluationError('Function not found error: Name: [' + name + '].');
+        }
+        return type === 'namespace' ? methods[name].apply(null, args) :
+          methods[name].apply(null, [object].concat(args));
+      },
+      path: function (pathSegments) {
+        return _.map(pathSegments, String).join('/');
+      },
+      equals: function (a, b) {
+        return comparator.equals(pathValue(a), pathValue(b));
+      },
+      compare: function (a, b) {
+        var aType = typeOf(a);
+        var bType = typeOf(b);
+        var numbers = ['int', 'float'];
+        if (aType !== bType && !(_.includes(numbers, aType) && _.includes(numbers, bType))) {
+          throw evaluationError('Cannot compare ' + aType + ' with ' + bType);
+        }
+        if (!_.includes(['int', 'float', 'string', 'timestamp'], aType)) {
+          throw evaluationError('Cannot compare values of type ' + aType);
+        }
+        return comparator.compare(a, b);
+      },
+      contains: function (collection, value) {
+        if (Array.isArray(collection)) return listHas(collection, value);
+        if (typeOf(collection) === 'map') return _.has(collection, value);
+        throw evaluationError('Operator in expects a list or map');
+      },
+      isType: function (value, typeName) {
+        var type = typeOf(value);
+        if (typeName === 'number') return type === 'int' || type === 'float';
+        if (typeName === 'bool' || typeName === 'boolean') return type === 'bool';
+        if (typeName === 'path') return type === 'path' || type === 'string';
+        if (typeName === 'set') return type === 'list';
+        return type === typeName;
+      }
+    };
+  }
+
+  function callFunction(fn, args, depth) {
+    if (depth >= MAX_CALL_DEPTH) {
+      throw evaluationError('Maximum function call depth exceeded');
+    }
+    if (args.length !== fn.params.length) {
+      throw evaluationError('Function ' + fn.name + ' expects ' + fn.params.length + ' arguments');
+    }
+    var locals = {};
+    _.forEach(fn.params, function (param, i) {
+      locals[param] = args[i];
+    });
+    var env = withLocals(locals, depth + 1);
+    _.forEach(fn.bindings, function (binding) {
+      locals[binding.name] = expression.evaluate(binding.value, env);
+    });
+    return expression.evaluate(fn.body, env);
+  }
+
+  return withLocals({}, 0);
+}
+
+function findFunction(scopes, name) {
+  for (var i = 0; i < scopes.length; i++) {
+    if (_.has(scopes[i], name)) return scopes[i][name];
+  }
+  return null;
+}
+
+/**
+ * Builds the value of `request.auth` for a user of MockAuthentication
+ * @param {MockFirebaseUser|null} user
+ * @returns {Object|null}
+ */
+MockFirestoreRules.authContext = function (user) {
+  if (!user) {
+    return null;
+  }
+  var token = {
+    sub: user.uid,
+    firebase: {
+      sign_in_provider: user.providerId || 'custom',
+      identities: {}
+    }
+  };
+  _.forEach({
+    email: user.email,
+    email_verified: user.email ? !!user.emailVerified : undefined,
+    phone_number: user.phoneNumber,
+    name: user.displayName,
+    picture: user.photoURL
+  }, function (value, key) {
+    if (!_.isUndefined(value) && value !== null) token[key] = value;
+  });
+  return { uid: user.uid, token: _.assign(token, user.customClaims) };
+};
+
+module.exports = MockFirestoreRules;
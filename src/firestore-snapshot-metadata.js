@@ -0,0 +1,20 @@
+'use strict';
+
+/**
+ * Describes the state of the data in a snapshot
+ * @param {boolean} hasPendingWrites whether the snapshot contains local
+ *   writes that the backend has not acknowledged yet
+ * @param {boolean} fromCache whether the snapshot was read from the local
+ *   cache instead of the backend
+ */
+function MockFirestoreSnapshotMetadata(hasPendingWrites, fromCache) {
+  this.hasPendingWrites = !!hasPendingWrites;
+  this.fromCache = !!fromCache;
+}
+
+MockFirestoreSnapshotMetadata.prototype.isEqual = function (other) {
+  return other instanceof MockFirestoreSnapshotMetadata &&
+    this.hasPendingWrites === other.hasPendingWrites && this.fromCache === other.fromCache;
+};
+
+module.exports = MockFirestoreSnapshotMetadata;
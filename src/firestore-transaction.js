@@ -0,0 +1,76 @@
+'use strict';
+
+var _ = require('./lodash');
+var Promise = require('rsvp').Promise;
+var createFirestoreError = require('./firestore-error');
+
+/**
+ * A single attempt of a transaction. Writes are collected in a batch and
+ * committed once the update function resolves, provided nothing that was
+ * read has changed in the meantime.
+ * @param {MockFirestore} firestore
+ */
+function MockFirestoreTransaction(firestore) {
+  this._batch = firestore.batch();
+  this._reads = [];
+  this._hasWrites = false;
+}
+
+MockFirestoreTransaction.prototype.get = function (refOrQuery) {
+  if (this._hasWrites) {
+    return Promise.reject(createFirestoreError('INVALID_ARGUMENT',
+      'Firestore transactions require all reads to be executed before all writes.'));
+  }
+  var reads = this._reads;
+  return refOrQuery.get().then(function (snapshot) {
+    reads.push({ ref: refOrQuery, state: readState(refOrQuery) });
+    return snapshot;
+  });
+};
+
+MockFirestoreTransaction.prototype.getAll = function (/* ...docs */) {
+  var self = this;
+  return Promise.all(_.map(arguments, function (doc) {
+    return self.get(doc);
+  }));
+};
+
+MockFirestoreTransaction.prototype.set = function (doc, data, opts) {
+  this._hasWrites = true;
+  this._batch.set(doc, data, opts);
+  return this;
+};
+
+MockFirestoreTransaction.prototype.create = function (doc, data) {
+  this._hasWrites = true;
+  this._batch.create(doc, data);
+  return this;
+};
+
+MockFirestoreTransaction.prototype.update = function () {
+  this._hasWrites = true;
+  this._batch.update.apply(this._batch, arguments);
+  return this;
+};
+
+MockFirestoreTransaction.prototype.delete = function (doc, precondition) {
+  this._hasWrites = true;
+  this._batch.delete(doc, precondition);
+  return this;
+};
+
+MockFirestoreTransaction.prototype._hasConflict = function () {
+  return _.findIndex(this._reads, function (read) {
+    return !_.isEqual(readState(read.ref), read.state);
+  }) !== -1;
+};
+
+MockFirestoreTransaction.prototype._commit = function () {
+  return this._batch.commit();
+};
+
+function readState(refOrQuery) {
+  return _.isFunction(refOrQuery._results) ? refOrQuery._results() : refOrQuery._getData();
+}
+
+module.exports = MockFirestoreTransaction;
@@ -0,0 +1,24 @@
+'use strict';
+
+var _ = require('./lodash');
+
+/**
+ * An immutable vector of numbers, as created by `FieldValue.vector()`
+ * @param {Array<number>} values
+ */
+function MockFirestoreVectorValue(values) {
+  if (!Array.isArray(values) || !_.every(values, _.isNumber)) {
+    throw new TypeError('A vector must be an array of numbers');
+  }
+  this._values = values.slice();
+}
+
+MockFirestoreVectorValue.prototype.toArray = function () {
+  return this._values.slice();
+};
+
+MockFirestoreVectorValue.prototype.isEqual = function (other) {
+  return other instanceof MockFirestoreVectorValue && _.isEqual(this._values, other._values);
+};
+
+module.exports = MockFirestoreVectorValue;
@@ -3,14 +3,29 @@
 var _ = require('./lodash');
 var assert = require('assert');
 var Promise = require('rsvp').Promise;
+var AggregateField = require('./firestore-aggregate-field');
+var Bundle = require('./firestore-bundle');
+var Bytes = require('./firestore-bytes');
 var CollectionReference = require('./firestore-collection');
 var DocumentReference = require('./firestore-document');
 var FieldPath = require('./firestore-field-path');
 var FieldValue = require('./firestore-field-value');
+var GeoPoint = require('./firestore-geo-point');
+var LoadBundleTask = require('./firestore-load-bundle-task');
+var Query = require('./firestore-query');
 var Queue = require('./queue').Queue;
+var Rules = require('./firestore-rules');
+var Timestamp = require('./timestamp');
+var Transaction = require('./firestore-transaction');
+var VectorValue = require('./firestore-vector-value');
+var createFirestoreError = require('./firestore-error');
 var utils = require('./utils');
 var validate = require('./validators');
+var WriteResult = require('./write-result');
 var DEFAULT_PATH = 'Mock://';
+var DEFAULT_MAX_TRANSACTION_ATTEMPTS = 5;
+var MAX_BATCH_WRITES = 500;
+var QUERY_PLACEHOLDER_ID = '__query__';
 
 function MockFirestore(path, data, parent, name) {
   this.ref = this;
@@ -24,11 +39,35 @@ function MockFirestore(path, data, parent, name) {
   this.parent = parent || null;
   this.children = {};
   if (parent) parent.children[this.key] = this;
-  this.data = _.cloneDeep(data) || null;
+  this.data = utils.cloneFirestoreData(data) || null;
+  this._forcedTransactionConflicts = 0;
+  this._lastCommitTime = null;
+  this._lastCommitClock = null;
+  this._rules = null;
+  this._auth = null;
+  this._settings = { ignoreUndefinedProperties: false };
+  this._networkEnabled = true;
+  this._unacknowledgedWrites = [];
+  this._namedQueries = {};
+  this._loadedBundles = {};
 }
 
+MockFirestore.AggregateField = AggregateField;
+MockFirestore.Blob = Bytes;
+MockFirestore.Bytes = Bytes;
 MockFirestore.FieldPath = FieldPath;
 MockFirestore.FieldValue = FieldValue;
+MockFirestore.GeoPoint = GeoPoint;
+MockFirestore.VectorValue = VectorValue;
+
+// The modular SDK functions for aggregation queries
+MockFirestore.getCountFromServer = function (query) {
+  return query.count().get();
+};
+
+MockFirestore.getAggregateFromServer = function (query, aggregateSpec) {
+  return query.aggregate(aggregateSpec).get();
+};
 
 MockFirestore.prototype.flush = function (delay) {
   this.queue.flush(delay);
@@ -68,72 +107,234 @@ MockFirestore.prototype.getAll = function(/* ...docs */) {
   );
 };
 
-MockFirestore.prototype.runTransaction = function(transFunc) {
-  var batch = this.batch();
-  batch.get = function(doc) {
-    return doc.get();
+/**
+ * Runs the update function in a transaction. If a document read in the
+ * transaction changes before the writes are committed, the update function
+ * is run again, up to `options.maxAttempts` times in total.
+ * @param {function(MockFirestoreTransaction): *} updateFunction
+ * @param {{maxAttempts: number}} [options]
+ * @returns {Promise} resolves with the result of the update function
+ */
+MockFirestore.prototype.runTransaction = function(updateFunction, options) {
+  var maxAttempts = options && !_.isUndefined(options.maxAttempts) ?
+    options.maxAttempts : DEFAULT_MAX_TRANSACTION_ATTEMPTS;
+  if (maxAttempts < 1) {
+    throw createFirestoreError('INVALID_ARGUMENT', 'Max attempts must be at least 1');
+  }
+
+  var self = this;
+  if (!this._networkEnabled) {
+    return Promise.reject(createFirestoreError('UNAVAILABLE', 'Transaction failed because the client is offline.'));
+  }
+  var attempt = function (attemptsLeft) {
+    var transaction = new Transaction(self);
+    return new Promise(function (resolve) {
+      resolve(updateFunction(transaction));
+    }).then(function (value) {
+      var conflict = transaction._hasConflict();
+      if (self._forcedTransactionConflicts > 0) {
+        self._forcedTransactionConflicts--;
+        conflict = true;
+      }
+      if (!conflict) {
+        return transaction._commit().then(function () {
+          return value;
+        });
+      } else if (attemptsLeft > 1) {
+        return attempt(attemptsLeft - 1);
+      }
+      throw createFirestoreError('ABORTED', 'Too much contention on these documents. Please try again.');
+    });
   };
-  return new Promise(function(resolve, reject) {
-    Promise.resolve(transFunc(batch)).then(function(value) {
-      batch
-        .commit()
-        .then(function () {
-          resolve(value);
-        })
-        .catch(reject);
-    }).catch(reject);
-  });
+  return attempt(maxAttempts);
+};
+
+/**
+ * Makes the next transaction commits fail as if a document read in the
+ * transaction had been changed by another writer
+ * @param {number} [attempts=1] the number of commits to fail
+ */
+MockFirestore.prototype.forceTransactionConflict = function (attempts) {
+  this._forcedTransactionConflicts += _.isUndefined(attempts) ? 1 : attempts;
 };
 
-var processBatchQueue = function (queue) {
+/**
+ * Returns the time of a new commit. A commit that would not come after the
+ * previous one, such as any commit within the same millisecond of the server
+ * clock, is a microsecond after it instead, so every write creates a new
+ * document version. Only a clock set back with `setClock()` moves commit
+ * times back.
+ * @returns {Timestamp}
+ */
+MockFirestore.prototype._nextCommitTime = function () {
+  var clock = utils.getServerTime();
+  var time = Timestamp.fromMillis(clock);
+  var last = this._lastCommitTime;
+  if (last && clock >= this._lastCommitClock && (time.seconds < last.seconds ||
+    (time.seconds === last.seconds && time.nanoseconds <= last.nanoseconds))) {
+    var nanoseconds = last.nanoseconds + 1000;
+    time = new Timestamp(last.seconds + Math.floor(nanoseconds / 1e9), nanoseconds % 1e9);
+  }
+  this._lastCommitTime = time;
+  this._lastCommitClock = clock;
+  return time;
+};
+
+/**
+ * Computes the data of every document written by a batch without changing
+ * anything, so the batch can be applied atomically
+ * @param {Array} queue the writes of the batch, in order
+ * @param {number} serverTime the time used for server timestamps
+ * @returns {{error: Error|null, documents: Object, writes: Array}} the
+ *   documents and their new data by path, and every write with the data
+ *   before and after it, or the error of the first write that fails
+ */
+var computeBatchWrites = function (queue, serverTime) {
+  var documents = {};
+  var writes = [];
+  var error = null;
   _.forEach(queue, function (queueItem) {
     var method = queueItem.method;
     var doc = queueItem.args[0];
     var data = queueItem.args[1];
     var opts = queueItem.args[2];
 
+    if (!documents[doc.path]) {
+      documents[doc.path] = { doc: doc, data: doc._getData(), updateTime: doc._updateTime };
+    }
+    var current = documents[doc.path];
+    var before = current.data;
+    var rulesMethod = method;
+
     if (method === 'set') {
-      if (opts && opts.merge === true) {
-        doc._update(data, { setMerge: true });
+      rulesMethod = before === null ? 'create' : 'update';
+      if (opts && (opts.merge === true || opts.mergeFields)) {
+        current.data = doc._computeUpdate(current.data, data, { setMerge: true }, serverTime);
       } else {
-        doc.set(data);
+        current.data = doc._computeSet(data, serverTime);
       }
     } else if (method === 'create') {
-      doc.create(data);
+      error = doc._validateDoesNotExist(current.data);
+      if (error === null) {
+        current.data = doc._computeSet(data, serverTime);
+      }
     } else if (method === 'update') {
-      doc.update(data);
+      error = doc._validateExists(current.data) ||
+        doc._validatePrecondition(current.data, current.updateTime, queueItem.precondition) ||
+        doc._validateFieldUpdates(current.data, data);
+      if (error === null) {
+        current.data = doc._computeUpdate(current.data, data, { setMerge: false }, serverTime);
+      }
     } else if (method === 'delete') {
-      doc.delete();
+      error = doc._validatePrecondition(current.data, current.updateTime, queueItem.precondition);
+      if (error === null) {
+        current.data = null;
+      }
     }
+    error = error || doc._validateSize(current.data);
+    // the version written by this batch is not known until it is committed
+    current.updateTime = null;
+    writes.push({ doc: doc, method: rulesMethod, before: before, after: current.data });
+    return error === null;
+  });
+  return { error: error, documents: documents, writes: writes };
+};
+
+/**
+ * Checks every write of a batch against the security rules, with
+ * `getAfter()` seeing the state after the whole batch
+ * @param {Object} result as returned by computeBatchWrites
+ * @returns {Error|null}
+ */
+MockFirestore.prototype._batchRulesError = function (result) {
+  var self = this;
+  var getDataAfter = function (path) {
+    var doc = self.doc(path);
+    return _.has(result.documents, doc.path) ? result.documents[doc.path].data : doc._getData();
+  };
+  var error = null;
+  _.forEach(result.writes, function (write) {
+    error = write.doc._rulesError(write.method, write.before, write.method === 'delete' ? null : write.after,
+      getDataAfter);
+    return error === null;
   });
+  return error;
 };
 
 MockFirestore.prototype.batch = function () {
   var self = this;
   var queue = [];
+  var committed = false;
+  var assertNotCommitted = function () {
+    if (committed) {
+      throw createFirestoreError('FAILED_PRECONDITION',
+        'A write batch can no longer be used after commit() has been called.');
+    }
+  };
   var batch = {
     set: function(doc, data, opts) {
-      queue.push({ method: 'set', args: [doc, data, opts] });
+      assertNotCommitted();
+      data = doc._toFirestore(data, opts);
+      validate.firestoreData(data, self._settings);
+      queue.push({ method: 'set', args: [doc, doc._mergeFieldUpdates(data, opts) || data, opts] });
       return batch;
     },
     create: function(doc, data) {
+      assertNotCommitted();
+      data = doc._toFirestore(data);
+      validate.firestoreData(data, self._settings);
       queue.push({ method: 'create', args: [doc, data] });
       return batch;
     },
-    update: function(doc, data) {
-      queue.push({ method: 'update', args: [doc, data] });
+    update: function(doc) {
+      assertNotCommitted();
+      var update = doc._parseUpdateArgs(_.toArray(arguments).slice(1));
+      queue.push({ method: 'update', args: [doc, update.fields], precondition: update.precondition });
       return batch;
     },
-    delete: function(doc) {
-      queue.push({ method: 'delete', args: [doc] });
+    delete: function(doc, precondition) {
+      assertNotCommitted();
+      doc._assertValidPrecondition(precondition, 'delete');
+      queue.push({ method: 'delete', args: [doc], precondition: precondition });
       return batch;
     },
     commit: function() {
-      processBatchQueue(queue);
+      assertNotCommitted();
+      committed = true;
+      if (queue.length > MAX_BATCH_WRITES) {
+        return Promise.reject(createFirestoreError('INVALID_ARGUMENT',
+          'maximum ' + MAX_BATCH_WRITES + ' writes allowed per request'));
+      }
+      // like the SDK, the writes are applied locally when committed and
+      // acknowledged on flush
+      var commitTime = self._nextCommitTime();
+      var result = computeBatchWrites(queue, commitTime.toMillis());
+      var error = result.error || self._batchRulesError(result);
+      var write = [];
+      if (error === null) {
+        _.forEach(result.documents, function (current) {
+          current.doc._dataChanged(current.data, commitTime);
+        });
+        write = self._addPendingWrite(_.keys(result.documents));
+        self.queue.notifyPostFlushListeners();
+      }
+      var promise = new Promise(function (resolve, reject) {
+        self._defer('commit', _.toArray(arguments), function () {
+          self._whenAcknowledged(write, function () {
+            if (error === null) {
+              resolve(_.map(queue, function () {
+                return new WriteResult(commitTime);
+              }));
+            } else {
+              reject(error);
+            }
+          });
+        });
+      });
       if (self.queue.events.length > 0) {
         self.flush();
       }
-      return Promise.resolve();
+      return promise;
     }
   };
   return batch;
@@ -147,6 +348,296 @@ MockFirestore.prototype.doc = function (path) {
   return this._child(path, true);
 };
 
+/**
+ * Creates a query over every collection with the given id, at any depth
+ * @param {string} collectionId
+ * @returns {MockFirestoreQuery}
+ */
+MockFirestore.prototype.collectionGroup = function (collectionId) {
+  if (!_.isString(collectionId) || collectionId.indexOf('/') !== -1) {
+    throw new Error('Invalid collection ID \'' + collectionId + '\' passed to function collectionGroup(). ' +
+      'Collection IDs must not contain \'/\'.');
+  }
+  var query = new Query(this.path, null, this, collectionId);
+  query.allDescendants = true;
+  return query;
+};
+
+/**
+ * Walks the stored data, and the references created over it, for the data
+ * of every collection with the given id. Like in the data passed to the
+ * constructor, a subcollection is stored in the data of its document as a
+ * map of documents.
+ * @param {string} collectionId
+ * @returns {Object} document data keyed by document path
+ */
+MockFirestore.prototype._collectionGroupData = function (collectionId) {
+  var results = {};
+
+  // a reference, when one exists, has the latest data of its location
+  function visitCollection(path, id, data, ref) {
+    data = ref ? ref.data : data;
+    if (id === collectionId) {
+      _.forEach(data, function (docData, docId) {
+        results[path + '/' + docId] = docData;
+      });
+    }
+    var docs = ref ? ref.children : {};
+    _.forEach(_.union(_.keys(data), _.keys(docs)), function (docId) {
+      var doc = docs[docId];
+      visitSubcollections(path + '/' + docId, doc ? doc.data : data[docId], doc);
+    });
+  }
+
+  function visitSubcollections(path, data, ref) {
+    var collections = ref ? ref.children : {};
+    var ids = _.filter(_.keys(data), function (key) {
+      return isCollectionData(data[key]);
+    });
+    _.forEach(_.union(ids, _.keys(collections)), function (id) {
+      visitCollection(path + '/' + id, id, _.isObject(data) ? data[id] : null, collections[id]);
+    });
+  }
+
+  var self = this;
+  _.forEach(_.union(_.keys(this.data), _.keys(this.children)), function (id) {
+    var child = self.children[id];
+    if (!child || child instanceof CollectionReference) {
+      visitCollection(id, id, self._childData(id), child);
+    }
+  });
+  return results;
+};
+
+/**
+ * Changes the settings of the database. Only `ignoreUndefinedProperties`
+ * affects the mock: when it is true, undefined values inside of written
+ * objects are skipped instead of rejected.
+ * @param {Object} settings
+ */
+MockFirestore.prototype.settings = function (settings) {
+  if (!_.isPlainObject(settings)) {
+    throw createFirestoreError('INVALID_ARGUMENT', 'Value for argument "settings" is not a valid object.');
+  }
+  if (!_.isUndefined(settings.ignoreUndefinedProperties) && typeof settings.ignoreUndefinedProperties !== 'boolean') {
+    throw createFirestoreError('INVALID_ARGUMENT',
+      'Value for argument "settings.ignoreUndefinedProperties" is not a valid boolean.');
+  }
+  _.assign(this._settings, settings);
+};
+
+/**
+ * Takes the client offline: reads are served from the local data, and
+ * writes are applied locally but only acknowledged, settling their
+ * promises, once the network is enabled again
+ * @returns {Promise}
+ */
+MockFirestore.prototype.disableNetwork = function () {
+  var self = this;
+  return new Promise(function (resolve) {
+    self._defer('disableNetwork', _.toArray(arguments), function () {
+      self._networkEnabled = false;
+      resolve();
+    });
+  });
+};
+
+/**
+ * Brings the client back online and acknowledges the writes made while it
+ * was offline, in order
+ * @returns {Promise}
+ */
+MockFirestore.prototype.enableNetwork = function () {
+  var self = this;
+  return new Promise(function (resolve) {
+    self._defer('enableNetwork', _.toArray(arguments), function () {
+      self._networkEnabled = true;
+      // writes that were not flushed yet are acknowledged when they are
+      var writes = _.remove(self._unacknowledgedWrites, function (write) {
+        return write.callback !== null;
+      });
+      _.forEach(writes, function (write) {
+        write.callback();
+      });
+      resolve();
+    });
+  });
+};
+
+/**
+ * Records a write applied to the local data, which stays pending until the
+ * backend acknowledges it
+ * @param {Array<string>} paths the paths of the documents written
+ * @returns {Object} the pending write, to pass to `_whenAcknowledged()`
+ */
+MockFirestore.prototype._addPendingWrite = function (paths) {
+  var write = { paths: paths, callback: null };
+  this._unacknowledgedWrites.push(write);
+  return write;
+};
+
+/**
+ * Settles a write once the backend acknowledges it: immediately while the
+ * network is enabled, otherwise when it is enabled again
+ * @param {Object|Array<string>} write a write returned by
+ *   `_addPendingWrite()`, or the paths of the documents written
+ * @param {Function} callback settles the promise of the write
+ */
+MockFirestore.prototype._whenAcknowledged = function (write, callback) {
+  if (Array.isArray(write)) {
+    write = this._addPendingWrite(write);
+  }
+  write.callback = callback;
+  if (this._networkEnabled) {
+    _.remove(this._unacknowledgedWrites, function (pending) {
+      return pending === write;
+    });
+    callback();
+  }
+};
+
+/**
+ * @param {string} path the path of a document
+ * @returns {boolean} whether a write to the document waits to be
+ *   acknowledged
+ */
+MockFirestore.prototype._hasPendingWrites = function (path) {
+  return _.findIndex(this._unacknowledgedWrites, function (write) {
+    return _.includes(write.paths, path);
+  }) !== -1;
+};
+
+/**
+ * Creates a builder for a bundle of documents and named queries from this
+ * database, to be loaded with `loadBundle()`
+ * @param {string} [bundleId] an auto-generated id by default
+ * @returns {MockFirestoreBundle}
+ */
+MockFirestore.prototype.bundle = function (bundleId) {
+  return new Bundle(this, _.isUndefined(bundleId) ? CollectionReference.autoId() : bundleId);
+};
+
+/**
+ * Loads the documents and named queries of a bundle into the local data,
+ * notifying listeners like any other change
+ * @param {Buffer|Uint8Array|ArrayBuffer|string} bundleData
+ * @returns {MockFirestoreLoadBundleTask}
+ */
+MockFirestore.prototype.loadBundle = function (bundleData) {
+  var task = new LoadBundleTask();
+  var self = this;
+  this._defer('loadBundle', _.toArray(arguments), function () {
+    task._load(self, bundleData);
+  });
+  return task;
+};
+
+/**
+ * Looks up a query saved in a loaded bundle
+ * @param {string} name
+ * @returns {Promise<MockFirestoreQuery|null>}
+ */
+MockFirestore.prototype.namedQuery = function (name) {
+  var self = this;
+  return new Promise(function (resolve) {
+    self._defer('namedQuery', _.toArray(arguments), function () {
+      resolve(_.has(self._namedQueries, name) ? self._namedQueries[name] : null);
+    });
+  });
+};
+
+/**
+ * Enforces security rules on every read and write: operations the rules
+ * deny reject with PERMISSION_DENIED.
+ * @param {string|null} source the contents of a firestore.rules file, or
+ *   null to stop enforcing rules
+ */
+MockFirestore.prototype.setRules = function (source) {
+  this._rules = source === null ? null : new Rules(source);
+};
+
+/**
+ * Sets the authentication whose current user is `request.auth` in the
+ * security rules
+ * @param {MockAuthentication|null} auth
+ */
+MockFirestore.prototype.setAuth = function (auth) {
+  this._auth = auth;
+};
+
+/**
+ * Checks an operation against the security rules
+ * @param {string} method 'get', 'list', 'create', 'update' or 'delete'
+ * @param {string} path the path of the document relative to the root
+ * @param {Object} options the stored data (`resource`), the data after the
+ *   write (`requestResource`), `request.query` (`query`) and the data of
+ *   other documents after the write (`getDataAfter`)
+ * @returns {Error|null} a PERMISSION_DENIED error if the rules deny it
+ */
+MockFirestore.prototype._rulesError = function (method, path, options) {
+  if (this._rules === null) {
+    return null;
+  }
+  var self = this;
+  var context = _.assign({
+    auth: Rules.authContext(this._auth ? this._auth.currentUser : null),
+    time: utils.getServerTime(),
+    getData: function (documentPath) {
+      return self.doc(documentPath)._getData();
+    }
+  }, options);
+  var allowed = this._rules.allows(method, path, context);
+  if (allowed === true) {
+    return null;
+  }
+  return createFirestoreError('PERMISSION_DENIED', 'Missing or insufficient permissions.');
+};
+
+/**
+ * Checks a query against the security rules. Like the real backend, rules
+ * are not filters: they are evaluated once for the query, whatever it
+ * returns, with the fields its equality filters constrain as
+ * `resource.data`. A rule on any other field of the documents denies it.
+ * @param {MockFirestoreQuery} query
+ * @returns {Error|null}
+ */
+MockFirestore.prototype._queryRulesError = function (query) {
+  if (this._rules === null) {
+    return null;
+  }
+  var prefix = query.allDescendants ? query.id : this._relativePath(query._collection());
+  var id = QUERY_PLACEHOLDER_ID;
+  var data = {};
+  _.forEach(query.filters, function (filter) {
+    if (filter.operator !== '==') {
+      return;
+    }
+    if (filter.field === '__name__') {
+      id = _.isString(filter.value) ? filter.value.split('/').pop() : filter.value.id;
+    } else {
+      _.set(data, filter.path.slice(1), filter.value);
+    }
+  });
+  return this._rulesError('list', prefix + '/' + id, {
+    resource: data,
+    query: { limit: query.limited || null, offset: 0 }
+  });
+};
+
+/**
+ * Returns the path of a collection or document relative to the root
+ * @param {MockFirestoreCollection|MockFirestoreDocument} ref
+ * @returns {string}
+ */
+MockFirestore.prototype._relativePath = function (ref) {
+  var segments = [];
+  while (ref && ref !== this) {
+    segments.unshift(ref.id);
+    ref = ref.parent;
+  }
+  return segments.join('/');
+};
+
 MockFirestore.prototype._child = function (childPath, findingDoc) {
   assert(childPath, 'A child path is required');
   var parts = _.compact(childPath.split('/'));
@@ -218,6 +709,12 @@ MockFirestore.prototype._nextErr = function (type) {
   return err || null;
 };
 
+// Whether a field of stored document data is the data of a subcollection:
+// a map of documents
+function isCollectionData(value) {
+  return _.isPlainObject(value) && !_.isEmpty(value) && _.every(value, _.isPlainObject);
+}
+
 function extractName(path) {
   return ((path || '').match(/\/([^.$\[\]#\/]+)$/) || [null, null])[1];
 }
@@ -6,10 +6,17 @@ var utils    = require('./utils');
 var validate = require('./validators');
 var rsvp     = require('rsvp');
 
+// orderByChild() paths that select another ordering
+var INDEX_PATHS = {
+  '$key': 'orderByKey',
+  '$priority': 'orderByPriority',
+  '$value': 'orderByValue'
+};
+
 function MockQuery (ref) {
   this.ref = ref;
   this._events = [];
-  // startPri, endPri, startKey, endKey, and limit
+  // orderBy, startPri, endPri, startKey, endKey, and limit
   this._q = {};
 }
 
@@ -155,6 +162,40 @@ MockQuery.prototype.limitToLast = function (intVal) {
   return q;
 };
 
+MockQuery.prototype.orderByChild = function (path) {
+  var index = INDEX_PATHS[path];
+  if (index) {
+    throw new Error('Query.orderByChild: "' + path + '" is invalid.  Use Query.' + index + '() instead.');
+  }
+  if (typeof path !== 'string' || path === '' || /[.#$\[\]]/.test(path)) {
+    throw new Error('Query.orderByChild failed: First argument was an invalid path = "' + path +
+      '". Paths must be non-empty strings and can\'t contain ".", "#", "$", "[", or "]"');
+  }
+  return this._orderBy('Query.orderByChild', { type: 'child', path: path.replace(/^\/+|\/+$/g, '') });
+};
+
+MockQuery.prototype.orderByKey = function () {
+  return this._orderBy('Query.orderByKey', { type: 'key' });
+};
+
+MockQuery.prototype.orderByPriority = function () {
+  return this._orderBy('Query.orderByPriority', { type: 'priority' });
+};
+
+MockQuery.prototype.orderByValue = function () {
+  return this._orderBy('Query.orderByValue', { type: 'value' });
+};
+
+MockQuery.prototype._orderBy = function (method, orderBy) {
+  if (this._q.orderBy) {
+    throw new Error(method + ': You can\'t combine multiple orderBy calls.');
+  }
+  var q = new MockQuery(this.ref);
+  _.extend(q._q, this._q, { orderBy: orderBy });
+  assertEndpoints(q._q);
+  return q;
+};
+
 MockQuery.prototype.equalTo = function (priority, key) {
   return this.startAt(priority, key).endAt(priority, key);
 };
@@ -163,6 +204,7 @@ MockQuery.prototype.startAt = function (priority, key) {
   assertQuery('Query.startAt', priority, key);
   var q = new MockQuery(this.ref);
   _.extend(q._q, this._q, {startKey: key, startPri: priority});
+  assertEndpoints(q._q);
   return q;
 };
 
@@ -170,6 +212,7 @@ MockQuery.prototype.endAt = function (priority, key) {
   assertQuery('Query.endAt', priority, key);
   var q = new MockQuery(this.ref);
   _.extend(q._q, this._q, {endKey: key, endPri: priority});
+  assertEndpoints(q._q);
   return q;
 };
 
@@ -182,4 +225,18 @@ function assertQuery (method, pri, key) {
   }
 }
 
+// Keys are the only values there are to compare when ordering by key
+function assertEndpoints (q) {
+  if (!q.orderBy || q.orderBy.type !== 'key') {
+    return;
+  }
+  if (!_.isUndefined(q.startKey) || !_.isUndefined(q.endKey)) {
+    throw new Error('Query: When ordering by key, you may only pass one argument to startAt(), endAt(), or equalTo().');
+  }
+  if ((!_.isUndefined(q.startPri) && typeof q.startPri !== 'string') ||
+    (!_.isUndefined(q.endPri) && typeof q.endPri !== 'string')) {
+    throw new Error('Query: When ordering by key, the argument passed to startAt(), endAt(),or equalTo() must be a string.');
+  }
+}
+
 module.exports = MockQuery;
@@ -32,6 +32,13 @@ FlushQueue.prototype.onPostFlush = function(subscriber) {
   };
 };
 
+// runs the post-flush listeners for changes made outside of a flush
+FlushQueue.prototype.notifyPostFlushListeners = function () {
+  _.forEach(this.postFlushListeners.slice(), function (subscriber) {
+    subscriber();
+  });
+};
+
 FlushQueue.prototype.flushing = false;
 
 FlushQueue.prototype.flush = function (delay) {
@@ -0,0 +1,541 @@
+'use strict';
+
+var _ = require('./lodash');
+
+/*
+ * Tokenizer, parser and evaluator shared by the Firestore and Realtime
+ * Database security rules. Both languages use C-like expressions; what a
+ * name, member or method call means is left to the environment passed to
+ * `evaluate`.
+ */
+
+var PUNCTUATORS = [
+  '===', '!==', '==', '!=', '<=', '>=', '&&', '||',
+  '<', '>', '!', '+', '-', '*', '/', '%', '?', ':', '.', ',', ';', '(', ')', '[', ']', '{', '}', '='
+];
+
+var BINARY_PRECEDENCE = {
+  '||': 1,
+  '&&': 2,
+  '==': 3, '!=': 3, '===': 3, '!==': 3,
+  '<': 4, '<=': 4, '>': 4, '>=': 4, 'in': 4, 'is': 4,
+  '+': 5, '-': 5,
+  '*': 6, '/': 6, '%': 6
+};
+
+var ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', v: '\v', '0': '\0' };
+
+/**
+ * Creates the error thrown when an expression cannot be evaluated, e.g. a
+ * missing property. Rules treat such errors as a denial.
+ * @param {string} message
+ * @returns {Error}
+ */
+function evaluationError(message) {
+  var err = new Error(message);
+  err.evaluationError = true;
+  return err;
+}
+
+function isEvaluationError(err) {
+  return !!(err && err.evaluationError);
+}
+
+function Lexer(source) {
+  this.source = source;
+  this.pos = 0;
+}
+
+Lexer.prototype.error = function (message, pos) {
+  var before = this.source.slice(0, _.isUndefined(pos) ? this.pos : pos).split('\n');
+  return new Error('Rules syntax error at line ' + before.length + ', column ' +
+    (before[before.length - 1].length + 1) + ': ' + message);
+};
+
+Lexer.prototype.skipWhitespace = function () {
+  var source = this.source;
+  while (this.pos < source.length) {
+    var c = source[this.pos];
+    if (/\s/.test(c)) {
+      this.pos++;
+    } else if (source.substr(this.pos, 2) === '//') {
+      while (this.pos < source.length && source[this.pos] !== '\n') this.pos++;
+    } else if (source.substr(this.pos, 2) === '/*') {
+      var end = source.indexOf('*/', this.pos + 2);
+      if (end === -1) throw this.error('Unterminated comment');
+      this.pos = end + 2;
+    } else {
+      break;
+    }
+  }
+};
+
+Lexer.prototype.peek = function () {
+  var pos = this.pos;
+  var token = this.next();
+  this.pos = pos;
+  return token;
+};
+
+Lexer.prototype.next = function () {
+  this.skipWhitespace();
+  var source = this.source;
+  var start = this.pos;
+  if (start >= source.length) {
+    return { type: 'eof', value: null, pos: start };
+  }
+  var rest = source.slice(start);
+  var match = rest.match(/^[A-Za-z_$][A-Za-z0-9_$]*/);
+  if (match) {
+    this.pos += match[0].length;
+    return { type: 'identifier', value: match[0], pos: start };
+  }
+  match = rest.match(/^(\d+\.\d+|\d+)([eE][+-]?\d+)?/);
+  if (match) {
+    this.pos += match[0].length;
+    return { type: 'number', value: Number(match[0]), pos: start };
+  }
+  if (rest[0] === '"' || rest[0] === '\'') {
+    return { type: 'string', value: this._readString(rest[0]), pos: start };
+  }
+  for (var i = 0; i < PUNCTUATORS.length; i++) {
+    if (rest.substr(0, PUNCTUATORS[i].length) === PUNCTUATORS[i]) {
+      this.pos += PUNCTUATORS[i].length;
+      return { type: 'punctuator', value: PUNCTUATORS[i], pos: start };
+    }
+  }
+  throw this.error('Unexpected character \'' + rest[0] + '\'');
+};
+
+Lexer.prototype._readString = function (quote) {
+  var source = this.source;
+  var value = '';
+  this.pos++;
+  while (this.pos < source.length && source[this.pos] !== quote) {
+    var c = source[this.pos++];
+    if (c === '\\') {
+      c = source[this.pos++];
+      if (c === 'u') {
+        value += String.fromCharCode(parseInt(source.substr(this.pos, 4), 16));
+        this.pos += 4;
+      } else {
+        value += _.has(ESCAPES, c) ? ESCAPES[c] : c;
+      }
+    } else {
+      value += c;
+    }
+  }
+  if (this.pos >= source.length) {
+    throw this.error('Unterminated string');
+  }
+  this.pos++;
+  return value;
+};
+
+/**
+ * Recursive descent parser for rules expressions. The statement grammar of
+ * each rules language is parsed on top of it.
+ * @param {string} source
+ * @param {{paths: boolean, regex: boolean}} [options] whether a leading `/`
+ *   starts a path (Firestore) or a regular expression (Realtime Database)
+ */
+function Parser(source, options) {
+  this.lexer = new Lexer(source);
+  this.options = options || {};
+}
+
+Parser.prototype.peek = function () {
+  return this.lexer.peek();
+};
+
+Parser.prototype.next = function () {
+  return this.lexer.next();
+};
+
+Parser.prototype.error = function (message, token) {
+  return this.lexer.error(message, token ? token.pos : undefined);
+};
+
+Parser.prototype.isPunctuator = function (value) {
+  var token = this.peek();
+  return token.type === 'punctuator' && token.value === value;
+};
+
+Parser.prototype.isKeyword = function (value) {
+  var token = this.peek();
+  return token.type === 'identifier' && token.value === value;
+};
+
+Parser.prototype.accept = function (value) {
+  if (this.isPunctuator(value)) {
+    this.next();
+    return true;
+  }
+  return false;
+};
+
+Parser.prototype.expect = function (value) {
+  if (!this.accept(value)) {
+    throw this.unexpected('\'' + value + '\'');
+  }
+};
+
+Parser.prototype.expectKeyword = function (value) {
+  if (!this.isKeyword(value)) {
+    throw this.unexpected('\'' + value + '\'');
+  }
+  this.next();
+};
+
+Parser.prototype.expectIdentifier = function () {
+  var token = this.peek();
+  if (token.type !== 'identifier') {
+    throw this.unexpected('an identifier');
+  }
+  return this.next().value;
+};
+
+Parser.prototype.expectEnd = function () {
+  if (this.peek().type !== 'eof') {
+    throw this.unexpected('end of input');
+  }
+};
+
+Parser.prototype.unexpected = function (expected) {
+  var token = this.peek();
+  var found = token.type === 'eof' ? 'end of input' : '\'' + token.value + '\'';
+  return this.error('Expected ' + expected + ' but found ' + found, token);
+};
+
+Parser.prototype.parseExpression = function () {
+  var test = this._parseBinary(1);
+  if (this.accept('?')) {
+    var consequent = this.parseExpression();
+    this.expect(':');
+    var alternate = this.parseExpression();
+    return { type: 'conditional', test: test, consequent: consequent, alternate: alternate };
+  }
+  return test;
+};
+
+Parser.prototype._binaryOperator = function () {
+  var token = this.peek();
+  if ((token.type === 'punctuator' || token.type === 'identifier') && _.has(BINARY_PRECEDENCE, token.value)) {
+    return token.value;
+  }
+  return null;
+};
+
+Parser.prototype._parseBinary = function (minPrecedence) {
+  var left = this._parseUnary();
+  var operator = this._binaryOperator();
+  while (operator !== null && BINARY_PRECEDENCE[operator] >= minPrecedence) {
+    this.next();
+    var right;
+    if (operator === 'is') {
+      right = { type: 'typeName', name: this.expectIdentifier() };
+    } else {
+      right = this._parseBinary(BINARY_PRECEDENCE[operator] + 1);
+    }
+    left = {
+      type: operator === '&&' || operator === '||' ? 'logical' : 'binary',
+      operator: operator,
+      left: left,
+      right: right
+    };
+    operator = this._binaryOperator();
+  }
+  return left;
+};
+
+Parser.prototype._parseUnary = function () {
+  if (this.isPunctuator('!') || this.isPunctuator('-')) {
+    var operator = this.next().value;
+    return { type: 'unary', operator: operator, argument: this._parseUnary() };
+  }
+  return this._parsePostfix();
+};
+
+Parser.prototype._parsePostfix = function () {
+  var expression = this._parsePrimary();
+  for (;;) {
+    if (this.accept('.')) {
+      expression = { type: 'member', object: expression, property: this.expectIdentifier() };
+    } else if (this.accept('[')) {
+      expression = { type: 'index', object: expression, index: this.parseExpression() };
+      this.expect(']');
+    } else if (this.accept('(')) {
+      expression = { type: 'call', callee: expression, args: this._parseList(')') };
+    } else {
+      return expression;
+    }
+  }
+};
+
+Parser.prototype._parseList = function (close) {
+  var elements = [];
+  if (this.accept(close)) {
+    return elements;
+  }
+  do {
+    elements.push(this.parseExpression());
+  } while (this.accept(','));
+  this.expect(close);
+  return elements;
+};
+
+Parser.prototype._parsePrimary = function () {
+  var token = this.peek();
+  if (token.type === 'number' || token.type === 'string') {
+    this.next();
+    return { type: 'literal', value: token.value };
+  }
+  if (token.type === 'identifier') {
+    this.next();
+    if (token.value === 'true' || token.value === 'false') {
+      return { type: 'literal', value: token.value === 'true' };
+    } else if (token.value === 'null') {
+      return { type: 'literal', value: null };
+    }
+    return { type: 'identifier', name: token.value };
+  }
+  if (this.accept('(')) {
+    var expression = this.parseExpression();
+    this.expect(')');
+    return expression;
+  }
+  if (this.accept('[')) {
+    return { type: 'list', elements: this._parseList(']') };
+  }
+  if (this.accept('{')) {
+    return this._parseMap();
+  }
+  if (this.isPunctuator('/') && this.options.paths) {
+    return this._parsePath();
+  }
+  if (this.isPunctuator('/') && this.options.regex) {
+    return this._parseRegex();
+  }
+  throw this.unexpected('an expression');
+};
+
+Parser.prototype._parseMap = function () {
+  var entries = [];
+  if (this.accept('}')) {
+    return { type: 'map', entries: entries };
+  }
+  do {
+    var key = this.parseExpression();
+    this.expect(':');
+    entries.push({ key: key, value: this.parseExpression() });
+  } while (this.accept(','));
+  this.expect('}');
+  return { type: 'map', entries: entries };
+};
+
+// a path such as /databases/$(database)/documents/users/$(request.auth.uid)
+Parser.prototype._parsePath = function () {
+  var lexer = this.lexer;
+  var source = lexer.source;
+  var segments = [];
+  lexer.skipWhitespace();
+  while (source[lexer.pos] === '/') {
+    lexer.pos++;
+    if (source.substr(lexer.pos, 2) === '$(') {
+      lexer.pos += 2;
+      segments.push(this.parseExpression());
+      this.expect(')');
+    } else {
+      var match = source.slice(lexer.pos).match(/^[A-Za-z0-9_\-.~%()]+/);
+      if (!match) {
+        throw this.error('Invalid path segment');
+      }
+      // a closing parenthesis that is not part of (default) ends the path
+      var segment = /^\(default\)/.test(match[0]) ? '(default)' : match[0].replace(/\).*$/, '');
+      lexer.pos += segment.length;
+      segments.push({ type: 'literal', value: segment });
+    }
+  }
+  return { type: 'path', segments: segments };
+};
+
+Parser.prototype._parseRegex = function () {
+  var lexer = this.lexer;
+  var source = lexer.source;
+  lexer.skipWhitespace();
+  var match = source.slice(lexer.pos).match(/^\/((?:\\.|[^\/\\\n])+)\/([a-z]*)/);
+  if (!match) {
+    throw this.error('Invalid regular expression');
+  }
+  lexer.pos += match[0].length;
+  return { type: 'literal', value: new RegExp(match[1], match[2]) };
+};
+
+/**
+ * Parses a single expression
+ * @param {string} source
+ * @param {Object} [options] see Parser
+ * @returns {Object} the syntax tree
+ */
+function parseExpression(source, options) {
+  var parser = new Parser(source, options);
+  var expression = parser.parseExpression();
+  parser.expectEnd();
+  return expression;
+}
+
+function assertBoolean(value) {
+  if (typeof value !== 'boolean') {
+    throw evaluationError('Expected a boolean but found ' + JSON.stringify(value));
+  }
+  return value;
+}
+
+function attempt(node, env) {
+  try {
+    return { value: evaluate(node, env) };
+  } catch (err) {
+    if (!isEvaluationError(err)) throw err;
+    return { error: err };
+  }
+}
+
+// errors are absorbed when the other operand decides the result,
+// e.g. `error || true` is true and `error && false` is false
+function evaluateLogical(node, env) {
+  var decisive = node.operator === '||';
+  var left = attempt(node.left, env);
+  if (!left.error && assertBoolean(left.value) === decisive) {
+    return decisive;
+  }
+  var right = attempt(node.right, env);
+  if (!right.error && assertBoolean(right.value) === decisive) {
+    return decisive;
+  }
+  if (left.error) throw left.error;
+  if (right.error) throw right.error;
+  return !decisive;
+}
+
+function defaultArithmetic(operator, a, b) {
+  if (operator === '+') {
+    if (_.isString(a) && _.isString(b)) return a + b;
+    if (Array.isArray(a) && Array.isArray(b)) return a.concat(b);
+  }
+  if (typeof a !== 'number' || typeof b !== 'number') {
+    throw evaluationError('Invalid arguments for operator \'' + operator + '\'');
+  }
+  switch (operator) {
+    case '+': return a + b;
+    case '-': return a - b;
+    case '*': return a * b;
+    case '/':
+      if (b === 0) throw evaluationError('Division by zero');
+      return a / b;
+    default:
+      if (b === 0) throw evaluationError('Division by zero');
+      return a % b;
+  }
+}
+
+function evaluateBinary(node, env) {
+  var left = evaluate(node.left, env);
+  if (node.operator === 'is') {
+    return env.isType(left, node.right.name);
+  }
+  var right = evaluate(node.right, env);
+  switch (node.operator) {
+    case '==':
+    case '===':
+      return env.equals(left, right);
+    case '!=':
+    case '!==':
+      return !env.equals(left, right);
+    case '<':
+      return env.compare(left, right) < 0;
+    case '<=':
+      return env.compare(left, right) <= 0;
+    case '>':
+      return env.compare(left, right) > 0;
+    case '>=':
+      return env.compare(left, right) >= 0;
+    case 'in':
+      return env.contains(right, left);
+    default:
+      return (env.arithmetic || defaultArithmetic)(node.operator, left, right);
+  }
+}
+
+/**
+ * Evaluates a syntax tree. The environment gives names and values their
+ * meaning:
+ * - lookup(name): the value of a variable
+ * - member(object, name) and index(object, key): property access
+ * - call(name, args) and method(object, name, args): function calls
+ * - path(segments): builds a path literal
+ * - equals(a, b), compare(a, b), contains(collection, value) and
+ *   isType(value, typeName): operators
+ * - arithmetic(operator, a, b): optional, defaults to typed arithmetic
+ * Throws an evaluation error when the expression cannot be evaluated.
+ * @param {Object} node
+ * @param {Object} env
+ * @returns {*}
+ */
+function evaluate(node, env) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'identifier':
+      return env.lookup(node.name);
+    case 'member':
+      return env.member(evaluate(node.object, env), node.property);
+    case 'index':
+      return env.index(evaluate(node.object, env), evaluate(node.index, env));
+    case 'call':
+      var args = _.map(node.args, function (arg) {
+        return evaluate(arg, env);
+      });
+      if (node.callee.type === 'member') {
+        return env.method(evaluate(node.callee.object, env), node.callee.property, args);
+      } else if (node.callee.type === 'identifier') {
+        return env.call(node.callee.name, args);
+      }
+      throw evaluationError('Expression is not a function');
+    case 'unary':
+      var argument = evaluate(node.argument, env);
+      if (node.operator === '!') {
+        return !assertBoolean(argument);
+      }
+      if (typeof argument !== 'number') {
+        throw evaluationError('Invalid argument for operator \'-\'');
+      }
+      return -argument;
+    case 'logical':
+      return evaluateLogical(node, env);
+    case 'binary':
+      return evaluateBinary(node, env);
+    case 'conditional':
+      return evaluate(assertBoolean(evaluate(node.test, env)) ? node.consequent : node.alternate, env);
+    case 'list':
+      return _.map(node.elements, function (element) {
+        return evaluate(element, env);
+      });
+    case 'map':
+      return _.reduce(node.entries, function (map, entry) {
+        map[evaluate(entry.key, env)] = evaluate(entry.value, env);
+        return map;
+      }, {});
+    case 'path':
+      return env.path(_.map(node.segments, function (segment) {
+        return evaluate(segment, env);
+      }));
+    default:
+      throw evaluationError('Unknown expression ' + node.type);
+  }
+}
+
+exports.Parser = Parser;
+exports.parseExpression = parseExpression;
+exports.evaluate = evaluate;
+exports.evaluationError = evaluationError;
+exports.isEvaluationError = isEvaluationError;
@@ -1,11 +1,15 @@
 var MockAuthentication = require('./auth');
 var MockFirebase = require('./firebase');
 var MockFirestore = require('./firestore');
+var MockAggregateField = require('./firestore-aggregate-field');
+var MockBytes = require('./firestore-bytes');
 var MockFieldPath = require('./firestore-field-path');
 var MockFieldValue = require('./firestore-field-value');
+var MockGeoPoint = require('./firestore-geo-point');
 var MockMessaging = require('./messaging');
 var MockStorage = require('./storage');
 var MockTimestamp = require('./timestamp');
+var MockVectorValue = require('./firestore-vector-value');
 
 var EmailAuthProvider = function() {
   this.providerId = EmailAuthProvider.PROVIDER_ID;
@@ -63,13 +67,40 @@ function MockFirebaseSdk(createDatabase, createAuth, createFirestore, createStor
   MockFirebaseAuth.FacebookAuthProvider = FacebookAuthProvider;
   MockFirebaseAuth.GithubAuthProvider = GithubAuthProvider;
 
+  // goOffline() and goOnline() apply to the databases of every ref created
+  // through this SDK, including the refs created afterwards
+  var databaseRoots = [];
+  var databaseOnline = true;
+  function trackDatabase(ref) {
+    var root = ref && ref.root;
+    if (root && databaseRoots.indexOf(root) === -1) {
+      databaseRoots.push(root);
+      if (!databaseOnline) {
+        root.goOffline();
+      }
+    }
+    return ref;
+  }
+
   function MockFirebaseDatabase() {
     return {
       ref: function(path) {
-        return createDatabase ? createDatabase(path) : new MockFirebase(path);
+        return trackDatabase(createDatabase ? createDatabase(path) : new MockFirebase(path));
       },
       refFromURL: function(url) {
-        return createDatabase ? createDatabase(url) : new MockFirebase(url);
+        return trackDatabase(createDatabase ? createDatabase(url) : new MockFirebase(url));
+      },
+      goOffline: function() {
+        databaseOnline = false;
+        databaseRoots.forEach(function(root) {
+          root.goOffline();
+        });
+      },
+      goOnline: function() {
+        databaseOnline = true;
+        databaseRoots.forEach(function(root) {
+          root.goOnline();
+        });
       }
     };
   }
@@ -78,9 +109,16 @@ function MockFirebaseSdk(createDatabase, createAuth, createFirestore, createStor
   function MockFirebaseFirestore() {
     return createFirestore ? createFirestore() : new MockFirestore();
   }
+  MockFirebaseFirestore.AggregateField = MockAggregateField;
+  MockFirebaseFirestore.Blob = MockBytes;
+  MockFirebaseFirestore.Bytes = MockBytes;
   MockFirebaseFirestore.FieldPath = MockFieldPath;
   MockFirebaseFirestore.FieldValue = MockFieldValue;
+  MockFirebaseFirestore.GeoPoint = MockGeoPoint;
   MockFirebaseFirestore.Timestamp = MockTimestamp;
+  MockFirebaseFirestore.VectorValue = MockVectorValue;
+  MockFirebaseFirestore.getAggregateFromServer = MockFirestore.getAggregateFromServer;
+  MockFirebaseFirestore.getCountFromServer = MockFirestore.getCountFromServer;
 
   function MockFirebaseStorage() {
     return createStorage ? createStorage() : new MockStorage();
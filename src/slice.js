@@ -13,8 +13,11 @@ function Slice (queue, snap) {
   this.map = {};
   this.outerMap = {};
   this.keys = [];
-  this.props = this._makeProps(queue._q, this.ref, this.ref.getKeys().length);
-  this._build(this.ref, data);
+  this.orderBy = queue._q.orderBy || { type: 'priority' };
+  this._values = this._orderValues(this.ref, data);
+  this._orderedKeys = this._orderKeys(this.ref);
+  this.props = this._makeProps(queue._q, this._orderedKeys.length);
+  this._build(data);
 }
 
 Slice.prototype.prev = function (key) {
@@ -55,7 +58,7 @@ Slice.prototype.snap = function (key) {
     ref = ref.child(key);
     pri = this.pri(key);
   }
-  return new Snapshot(ref, data, pri);
+  return key ? new Snapshot(ref, data, pri) : new Snapshot(ref, data, pri, this.keys);
 };
 
 Slice.prototype.get = function (key) {
@@ -82,18 +85,12 @@ Slice.prototype.changeMap = function (slice) {
   return changes;
 };
 
-Slice.prototype._inRange = function (props, key, pri, pos) {
+Slice.prototype._inRange = function (props, key, pos) {
   if( pos === -1 ) { return false; }
-  if( !_.isUndefined(props.startPri) && utils.priorityComparator(pri, props.startPri) < 0 ) {
+  if( !_.isUndefined(props.startPri) && this._compare(props.startPri, props.startKey, key) > 0 ) {
     return false;
   }
-  if( !_.isUndefined(props.startKey) && utils.priorityComparator(key, props.startKey) < 0 ) {
-    return false;
-  }
-  if( !_.isUndefined(props.endPri) && utils.priorityComparator(pri, props.endPri) > 0 ) {
-    return false;
-  }
-  if( !_.isUndefined(props.endKey) && utils.priorityComparator(key, props.endKey) > 0 ) {
+  if( !_.isUndefined(props.endPri) && this._compare(props.endPri, props.endKey, key) < 0 ) {
     return false;
   }
   if( props.max > -1 && pos > props.max ) {
@@ -102,15 +99,77 @@ Slice.prototype._inRange = function (props, key, pri, pos) {
   return pos >= props.min;
 };
 
-Slice.prototype._findPos = function (pri, key, ref, isStartBoundary) {
-  var keys = ref.getKeys(), firstMatch = -1, lastMatch = -1;
+/**
+ * Compares a query boundary, given as the value being ordered by and an
+ * optional key, to the child at `key`
+ * @returns {number} negative if the boundary sorts before the child
+ */
+Slice.prototype._compare = function (value, key, childKey) {
+  var x = 0;
+  switch (this.orderBy.type) {
+    case 'priority':
+      return utils.priAndKeyComparator(value, key, this._values[childKey], childKey);
+    case 'key':
+      return _.isUndefined(value) ? 0 : utils.keyComparator(value, childKey);
+    default:
+      if (!_.isUndefined(value)) {
+        x = utils.valueComparator(value, this._values[childKey]);
+      }
+      if (x === 0 && !_.isUndefined(key)) {
+        x = utils.keyComparator(key, childKey);
+      }
+      return x;
+  }
+};
+
+// The value each child is ordered by
+Slice.prototype._orderValues = function (ref, data) {
+  var orderBy = this.orderBy;
+  var values = {};
+  var path = orderBy.type === 'child' ? orderBy.path.split('/') : null;
+  _.forEach(_.isObject(data) ? _.keys(data) : [], function (k) {
+    var value;
+    switch (orderBy.type) {
+      case 'priority':
+        value = ref.child(k).priority;
+        break;
+      case 'key':
+        value = k;
+        break;
+      case 'value':
+        value = data[k];
+        break;
+      case 'child':
+        value = _.get(data[k], path);
+        break;
+    }
+    values[k] = _.isUndefined(value) ? null : value;
+  });
+  return values;
+};
+
+// The keys of the children, in query order. The ref keeps its children
+// sorted by priority; other orderings break ties by key.
+Slice.prototype._orderKeys = function (ref) {
+  if (this.orderBy.type === 'priority') {
+    return ref.getKeys();
+  }
+  var values = this._values;
+  var byKey = this.orderBy.type === 'key';
+  return _.keys(values).sort(function (a, b) {
+    return (byKey ? 0 : utils.valueComparator(values[a], values[b])) || utils.keyComparator(a, b);
+  });
+};
+
+Slice.prototype._findPos = function (pri, key, isStartBoundary) {
+  var keys = this._orderedKeys, firstMatch = -1, lastMatch = -1;
   var len = keys.length, i, x, k;
   if(_.isUndefined(pri) && _.isUndefined(key)) {
     return -1;
   }
   for(i = 0; i < len; i++) {
     k = keys[i];
-    x = utils.priAndKeyComparator(pri, key, ref.child(k).priority, k);
+    x = this._compare(pri, key, k);
     if( x === 0 ) {
       // if the key is undefined, we may have several matching comparisons
       // so we will record both the first and last successful match
@@ -146,55 +205,42 @@ Slice.prototype._findPos = function (pri, key, ref, isStartBoundary) {
   }
 };
 
-Slice.prototype._makeProps = function (queueProps, ref, numRecords) {
+Slice.prototype._makeProps = function (queueProps, numRecords) {
   var out = {};
   _.forEach(queueProps, function(v,k) {
     if(!_.isUndefined(v)) {
       out[k] = v;
     }
   });
-  out.min = this._findPos(out.startPri, out.startKey, ref, true);
-  out.max = this._findPos(out.endPri, out.endKey, ref);
+  out.min = this._findPos(out.startPri, out.startKey, true);
+  out.max = this._findPos(out.endPri, out.endKey);
   if( !_.isUndefined(queueProps.limit) ) {
+    var first = out.min > -1 ? out.min : 0;
+    var last = out.max > -1 ? out.max : numRecords - 1;
     if (queueProps.limitorder !== 'first') {
       // limitToLast
-      if( out.min > -1 ) {
-        out.max = out.min + queueProps.limit;
-      }
-      else if( out.max > -1 ) {
-        out.min = out.max - queueProps.limit;
-      }
-      else if( queueProps.limit < numRecords ) {
-        out.max = numRecords-1;
-        out.min = Math.max(0, numRecords - queueProps.limit);
-      }
+      out.max = last;
+      out.min = Math.max(first, last - queueProps.limit + 1);
     } else {
       // limitToFirst
-      if( out.min > -1 ) {
-        out.max = out.min + queueProps.limit;
-      }
-      else if( out.max > -1 ) {
-        out.min = out.max - queueProps.limit;
-      }
-      else if( queueProps.limit < numRecords ) {
-        out.min = 0;
-        out.max = queueProps.limit - 1;
-      }
+      out.min = first;
+      out.max = Math.min(last, first + queueProps.limit - 1);
     }
   }
   return out;
 };
 
-Slice.prototype._build = function(ref, rawData) {
+Slice.prototype._build = function(rawData) {
   var self = this;
   var i = 0, map = this.map, keys = this.keys, outer = this.outerMap;
   var props = this.props, slicedData = this.data;
-  _.forEach(rawData, function(v,k) {
+  _.forEach(this._orderedKeys, function(k) {
+    if( !_.has(rawData, k) ) { return; }
     outer[k] = i < props.min? props.min - i : i - Math.max(props.min,0);
-    if( self._inRange(props, k, ref.child(k).priority, i++) ) {
+    if( self._inRange(props, k, i++) ) {
       map[k] = keys.length;
       keys.push(k);
-      slicedData[k] = v;
+      slicedData[k] = rawData[k];
     }
   });
 };
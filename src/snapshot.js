@@ -2,7 +2,14 @@
 
 var _ = require('./lodash');
 
-function MockDataSnapshot (ref, data, priority) {
+/**
+ * @param {MockFirebase} ref
+ * @param {*} data
+ * @param {*} priority
+ * @param {string[]} [keys] the order forEach() visits the children in, for
+ *   the snapshots of queries
+ */
+function MockDataSnapshot (ref, data, priority, keys) {
   this.ref = ref;
   this.key = ref.key;
   this._snapshotdata = _.cloneDeep(data);
@@ -12,6 +19,7 @@ function MockDataSnapshot (ref, data, priority) {
   this.getPriority = function () {
     return priority;
   };
+  this._keys = keys;
 }
 
 MockDataSnapshot.prototype.child = function (path) {
@@ -54,7 +62,8 @@ MockDataSnapshot.prototype.exists = function () {
 
 MockDataSnapshot.prototype.forEach = function (callback, context) {
   var self = this;
-  _.forEach(this._snapshotdata, function (value, key) {
+  var keys = this._keys || _.keys(this._snapshotdata);
+  _.forEach(keys, function (key) {
     callback.call(context, self.child(key));
   });
 };
@@ -24,4 +24,14 @@ Timestamp.prototype.toDate = function () {
   return new Date(millis);
 };
 
+Timestamp.prototype.toMillis = function () {
+  return this.seconds * 1000 + this.nanoseconds / (1000 * 1000);
+};
+
+Timestamp.prototype.isEqual = function (other) {
+  return other instanceof Timestamp &&
+    this.seconds === other.seconds &&
+    this.nanoseconds === other.nanoseconds;
+};
+
 module.exports = Timestamp;
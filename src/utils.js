@@ -3,8 +3,19 @@
 var Snapshot = require('./snapshot');
 var Timestamp = require('./timestamp');
 var FieldValue = require('./firestore-field-value');
+var Bytes = require('./firestore-bytes');
+var GeoPoint = require('./firestore-geo-point');
+var VectorValue = require('./firestore-vector-value');
+var comparator = require('./firestore-comparator');
 var _ = require('./lodash');
 
+// Firestore values that are immutable or, like document references, must
+// keep their identity, so cloning data shares them instead of copying them
+function isSharedFirestoreValue(value) {
+  return value instanceof Timestamp || value instanceof GeoPoint || value instanceof Bytes ||
+    value instanceof VectorValue || comparator.isReference(value);
+}
+
 exports.makeRefSnap = function makeRefSnap(ref) {
   return new Snapshot(ref, ref.getData(), ref.priority);
 };
@@ -82,6 +93,55 @@ exports.priorityComparator = function priorityComparator(a, b) {
   return 0;
 };
 
+var MIN_INTEGER_KEY = -2147483648;
+var MAX_INTEGER_KEY = 2147483647;
+
+function isIntegerKey(key) {
+  if (!/^(0|-?[1-9]\d*)$/.test(key)) {
+    return false;
+  }
+  var num = Number(key);
+  return num >= MIN_INTEGER_KEY && num <= MAX_INTEGER_KEY;
+}
+
+exports.keyComparator = function keyComparator(a, b) {
+  // keys that parse as 32-bit integers come first, in numeric order
+  if (a === b) {
+    return 0;
+  }
+  var aInt = isIntegerKey(a), bInt = isIntegerKey(b);
+  if (aInt && bInt) {
+    return Number(a) - Number(b);
+  }
+  if (aInt || bInt) {
+    return aInt ? -1 : 1;
+  }
+  return a < b ? -1 : 1;
+};
+
+var VALUE_TYPE_ORDER = ['null', 'boolean', 'number', 'string', 'object'];
+
+function valueType(value) {
+  return value === null || _.isUndefined(value) ? 'null' : typeof value;
+}
+
+exports.valueComparator = function valueComparator(a, b) {
+  // https://firebase.google.com/docs/database/web/lists-of-data#orderbychild
+  // null, then false and true, then numbers, then strings, then objects. The
+  // caller breaks ties, including between objects, by key.
+  var aType = valueType(a), bType = valueType(b);
+  if (aType !== bType) {
+    return _.indexOf(VALUE_TYPE_ORDER, aType) - _.indexOf(VALUE_TYPE_ORDER, bType);
+  }
+  if (aType === 'null' || aType === 'object' || a === b) {
+    return 0;
+  }
+  if (aType === 'boolean') {
+    return !a ? -1 : 1;
+  }
+  return a < b ? -1 : 1;
+};
+
 var serverClock, defaultClock;
 
 serverClock = defaultClock = function () {
@@ -92,6 +152,11 @@ exports.getServerTime = function getServerTime() {
   return serverClock();
 };
 
+// the difference between the server clock and the local clock, in ms
+exports.getServerTimeOffset = function getServerTimeOffset() {
+  return serverClock === defaultClock ? 0 : serverClock() - new Date().getTime();
+};
+
 exports.setServerClock = function setServerTime(fn) {
   serverClock = fn;
 };
@@ -100,8 +165,77 @@ exports.restoreServerClock = function restoreServerTime() {
   serverClock = defaultClock;
 };
 
-exports.isServerTimestamp = function isServerTimestamp(data) {
-  return _.isObject(data) && data['.sv'] === 'timestamp';
+// Resolvers for the Realtime Database server values, keyed by their type
+var serverValueResolvers = {};
+
+/**
+ * Registers how a Realtime Database server value, such as `timestamp` in
+ * `{'.sv': 'timestamp'}` or `increment` in `{'.sv': {increment: 1}}`, is
+ * resolved, replacing any resolver already registered for its type
+ * @param {string} type
+ * @param {Function} resolver called with the argument of the server value,
+ *   if any, the value currently stored at its location and the time of the
+ *   write, if known, and returning the value to write
+ */
+exports.registerServerValue = function registerServerValue(type, resolver) {
+  serverValueResolvers[type] = resolver;
+};
+
+exports.registerServerValue('timestamp', function (arg, current, time) {
+  return _.isUndefined(time) ? exports.getServerTime() : time;
+});
+
+exports.registerServerValue('increment', function (delta, current) {
+  return typeof current === 'number' ? current + delta : delta;
+});
+
+exports.isServerValue = function isServerValue(data) {
+  return _.isPlainObject(data) && _.has(data, '.sv');
+};
+
+/**
+ * Replaces a server value, such as `{'.sv': 'timestamp'}` or
+ * `{'.sv': {increment: 1}}`, with the value the server would write
+ * @param {*} data
+ * @param {*} current the value stored where data is written
+ * @param {number} [time] the server time of the write
+ * @returns {*} data, or the value of the server value
+ */
+exports.resolveServerValue = function resolveServerValue(data, current, time) {
+  if (!exports.isServerValue(data)) {
+    return data;
+  }
+  var sv = data['.sv'];
+  var type = _.isPlainObject(sv) ? _.keys(sv)[0] : sv;
+  if (!_.has(serverValueResolvers, type)) {
+    throw new Error('Unsupported server value: ' + JSON.stringify(sv));
+  }
+  return serverValueResolvers[type](_.isPlainObject(sv) ? sv[type] : undefined,
+    _.isUndefined(current) ? null : current, time);
+};
+
+/**
+ * Resolves the server values anywhere in data written at a location,
+ * against the data stored there. Priorities are resolved when they are set.
+ * @param {*} data
+ * @param {*} current the data stored where data is written
+ * @returns {*} a copy of data without server values
+ */
+exports.resolveServerValues = function resolveServerValues(data, current) {
+  if (exports.isServerValue(data) || !_.isObject(data)) {
+    return exports.resolveServerValue(data, current);
+  }
+  var result = Array.isArray(data) ? [] : {};
+  _.forEach(_.keys(data), function (key) {
+    if (key === '.priority') {
+      result[key] = data[key];
+    } else if (key === '.value') {
+      result[key] = resolveServerValues(data[key], current);
+    } else {
+      result[key] = resolveServerValues(data[key], _.isObject(current) ? current[key] : null);
+    }
+  });
+  return result;
 };
 
 exports.removeEmptyRtdbProperties = function removeEmptyRtdbProperties(obj) {
@@ -134,6 +268,14 @@ exports.removeEmptyRtdbProperties = function removeEmptyRtdbProperties(obj) {
 };
 
 exports.removeEmptyFirestoreProperties = function removeEmptyFirestoreProperties(obj, current, serverTime) {
+  if (Array.isArray(obj)) {
+    // undefined values only get this far with ignoreUndefinedProperties
+    return _.map(_.filter(obj, function (value) {
+      return !_.isUndefined(value);
+    }), function (value) {
+      return removeEmptyFirestoreProperties(value, null, serverTime);
+    });
+  }
   if (!_.isPlainObject(obj)) {
     return obj;
   }
@@ -148,8 +290,8 @@ exports.removeEmptyFirestoreProperties = function removeEmptyFirestoreProperties
 
   if (keys.length > 0) {
     for (var s in obj) {
-      var value = removeEmptyFirestoreProperties(obj[s], serverTime);
-      if (FieldValue.delete().isEqual(value)) {
+      var value = removeEmptyFirestoreProperties(obj[s], _.isObject(current) ? current[s] : null, serverTime);
+      if (_.isUndefined(value) || FieldValue.delete().isEqual(value)) {
         delete obj[s];
       } else if (FieldValue.serverTimestamp().isEqual(value)) {
         obj[s] = new Date(serverTime);
@@ -169,6 +311,8 @@ exports.removeEmptyFirestoreProperties = function removeEmptyFirestoreProperties
           // add to existing data
           obj[s] = current[s] + value.arg;
         }
+      } else {
+        obj[s] = value;
       }
     }
   }
@@ -233,8 +377,7 @@ exports.findUndefinedProperties = function (obj) {
       if (o[key] === undefined) {
         results.push(p.concat([key]).join('.'));
       } else {
-        var to = typeof o[key];
-        if (to === 'object') {
+        if (_.isPlainObject(o[key]) || Array.isArray(o[key])) {
           recurse(o[key], p.concat([key]));
         }
       }
@@ -252,8 +395,127 @@ exports.createThenableReference = function(reference, promise) {
   return reference;
 };
 
+/**
+ * Parses the arguments of a Firestore onSnapshot() call: optional listen
+ * options, followed by an observer object or by next and error callbacks
+ * @param {Array} args
+ * @returns {{options: Object, onNext: Function, onError: Function}}
+ */
+exports.parseSnapshotListenerArgs = function (args) {
+  var isObserver = function (arg) {
+    return _.isObject(arg) && (_.isFunction(arg.next) || _.isFunction(arg.error));
+  };
+  var options = {};
+  if (_.isPlainObject(args[0]) && !isObserver(args[0])) {
+    options = args[0];
+    args = args.slice(1);
+  }
+  if (isObserver(args[0])) {
+    return {
+      options: options,
+      onNext: _.bind(args[0].next || _.noop, args[0]),
+      onError: _.bind(args[0].error || _.noop, args[0])
+    };
+  }
+  return { options: options, onNext: args[0], onError: args[1] || _.noop };
+};
+
 exports.cloneCustomizer = function(value) {
   if (value instanceof Date) {
     return Timestamp.fromMillis(value.getTime());
+  } else if (isSharedFirestoreValue(value)) {
+    return value;
+  }
+};
+
+/**
+ * Deep clones Firestore data without copying immutable values and document
+ * references
+ * @param {*} data
+ * @returns {*}
+ */
+exports.cloneFirestoreData = function cloneFirestoreData(data) {
+  return _.cloneDeepWith(data, function (value) {
+    if (isSharedFirestoreValue(value)) {
+      return value;
+    }
+  });
+};
+
+/**
+ * Creates a view of a Firestore reference or query that converts data with
+ * the given converter. State is shared with the untyped reference, so writes
+ * through either of them are visible to both.
+ * @param {Object} reference the untyped reference
+ * @param {{toFirestore: Function, fromFirestore: Function}} converter
+ * @returns {Object}
+ */
+exports.typedReference = function typedReference(reference, converter) {
+  var typed = Object.create(reference);
+  _.forEach(_.keys(reference), function (key) {
+    if (key === 'ref' || key === '_converter') return;
+    Object.defineProperty(typed, key, {
+      enumerable: true,
+      get: function () {
+        return reference[key];
+      },
+      set: function (value) {
+        reference[key] = value;
+      }
+    });
+  });
+  typed._converter = converter;
+  typed._untyped = reference;
+  if (reference.ref === reference) {
+    typed.ref = typed;
   }
+  return typed;
+};
+
+function byteLength(string) {
+  return Buffer.byteLength(string, 'utf8') + 1;
+}
+
+function documentNameSize(path) {
+  return _.reduce(_.compact(path.split('/')), function (size, segment) {
+    return size + byteLength(segment);
+  }, 16);
+}
+
+function firestoreValueSize(value) {
+  if (_.isString(value)) {
+    return byteLength(value);
+  } else if (value === null || typeof value === 'boolean') {
+    return 1;
+  } else if (_.isNumber(value) || value instanceof Date || value instanceof Timestamp) {
+    return 8;
+  } else if (value instanceof GeoPoint) {
+    return 16;
+  } else if (value instanceof Bytes) {
+    return value._binaryString.length;
+  } else if (value instanceof VectorValue) {
+    return firestoreValueSize(value.toArray());
+  } else if (comparator.isReference(value)) {
+    return documentNameSize(value.firestore ? value.firestore._relativePath(value) : value.path);
+  } else if (Array.isArray(value)) {
+    return _.reduce(value, function (size, element) {
+      return size + firestoreValueSize(element);
+    }, 0);
+  } else if (_.isObject(value)) {
+    return _.reduce(value, function (size, fieldValue, key) {
+      return size + byteLength(key) + firestoreValueSize(fieldValue);
+    }, 0);
+  }
+  return 0;
+}
+
+/**
+ * Computes the storage size of a Firestore document, as described in
+ * https://firebase.google.com/docs/firestore/storage-size
+ * @param {string} path the path of the document relative to the root
+ * @param {Object} data the data of the document
+ * @returns {number} the size in bytes
+ */
+exports.firestoreDocumentSize = function firestoreDocumentSize(path, data) {
+  return documentNameSize(path) + firestoreValueSize(data) + 32;
 };
@@ -2,8 +2,14 @@
 
 var assert = require('assert');
 var format = require('util').format;
+var _ = require('./lodash');
+var createFirestoreError = require('./firestore-error');
+var FieldValue = require('./firestore-field-value');
 var findUndefinedProperties = require('./utils').findUndefinedProperties;
 
+var MAX_FIRESTORE_DEPTH = 20;
+var RESERVED_FIELD_NAME = /^__.*__$/;
+
 var events = ['value', 'child_added', 'child_removed', 'child_changed', 'child_moved'];
 exports.event = function (name) {
   assert(events.indexOf(name) > -1, format('"%s" is not a valid event, must be: %s', name, events.map(function (event) {
@@ -15,4 +21,107 @@ exports.data = function(obj){
   assert(obj !== undefined, 'Data is undefined');
   var undefinedProperties = findUndefinedProperties(obj);
   assert(undefinedProperties.length === 0, 'Data contains undefined properties at ' + undefinedProperties);
-};
\ No newline at end of file
+};
+
+function failFirestoreData(argument, message, path, hint) {
+  var field = path.length > 0 ? ' (found in field "' + path.join('.') + '")' : '';
+  throw createFirestoreError('INVALID_ARGUMENT', 'Value for argument "' + argument +
+    '" is not a valid Firestore document. ' + message + field + '.' + (hint ? ' ' + hint : ''));
+}
+
+function checkFirestoreFieldNames(argument, path) {
+  _.forEach(path, function (name, i) {
+    if (RESERVED_FIELD_NAME.test(name)) {
+      failFirestoreData(argument, 'Document fields cannot begin and end with "__"', path.slice(0, i + 1));
+    }
+  });
+}
+
+function checkFirestoreValue(argument, value, path, inArray, settings) {
+  if (path.length - 1 > MAX_FIRESTORE_DEPTH) {
+    failFirestoreData(argument, 'Input object is deeper than ' + MAX_FIRESTORE_DEPTH + ' levels', path);
+  }
+  if (value === undefined) {
+    if (!(settings && settings.ignoreUndefinedProperties)) {
+      failFirestoreData(argument, 'Cannot use "undefined" as a Firestore value', path,
+        'If you want to ignore undefined values, enable `ignoreUndefinedProperties`.');
+    } else if (path.length === 0) {
+      failFirestoreData(argument, '"undefined" values are only ignored inside of objects', path);
+    }
+  } else if (Array.isArray(value)) {
+    if (inArray) {
+      failFirestoreData(argument, 'Nested arrays are not supported', path);
+    }
+    _.forEach(value, function (element, i) {
+      checkFirestoreValue(argument, element, path.concat([String(i)]), true, settings);
+    });
+  } else if (value instanceof FieldValue) {
+    if (inArray) {
+      failFirestoreData(argument, 'FieldValue.' + value.type + '() cannot be used inside of an array', path);
+    }
+  } else if (_.isPlainObject(value)) {
+    _.forEach(_.keys(value), function (key) {
+      checkFirestoreFieldNames(argument, path.concat([key]));
+      checkFirestoreValue(argument, value[key], path.concat([key]), false, settings);
+    });
+  }
+}
+
+/**
+ * Throws the INVALID_ARGUMENT error of the Firestore SDK for data that
+ * cannot be written to a document
+ * @param {*} data the data passed to set(), create() or add()
+ * @param {{ignoreUndefinedProperties: boolean}} [settings] the settings of
+ *   the database
+ */
+exports.firestoreData = function (data, settings) {
+  checkFirestoreValue('data', data, [], false, settings);
+};
+
+/**
+ * Throws the INVALID_ARGUMENT error of the Firestore SDK for the fields
+ * passed to update()
+ * @param {Array<{path: Array<string>, value: *}>} fields
+ * @param {{ignoreUndefinedProperties: boolean}} [settings] the settings of
+ *   the database
+ */
+exports.firestoreUpdate = function (fields, settings) {
+  if (fields.length === 0) {
+    failFirestoreData('dataOrField', 'At least one field must be updated', []);
+  }
+  _.forEach(fields, function (field) {
+    checkFirestoreFieldNames('dataOrField', field.path);
+    checkFirestoreValue('dataOrField', field.value, field.path, false, settings);
+  });
+  // once sorted, a field that is a prefix of another directly precedes one
+  // of the fields it is a prefix of
+  var paths = _.map(fields, 'path').sort(comparePaths);
+  for (var i = 1; i < paths.length; i++) {
+    if (_.isEqual(paths[i - 1], paths[i].slice(0, paths[i - 1].length))) {
+      throw createFirestoreError('INVALID_ARGUMENT', 'Value for argument "dataOrField" is not a valid update map. ' +
+        'Field "' + paths[i - 1].join('.') + '" was specified multiple times.');
+    }
+  }
+};
+
+function comparePaths(a, b) {
+  for (var i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] !== b[i]) {
+      return a[i] < b[i] ? -1 : 1;
+    }
+  }
+  return a.length - b.length;
+}
+
+/**
+ * Throws the INVALID_ARGUMENT error of the Firestore SDK for invalid options
+ * passed to get()
+ * @param {{source: string}} [options]
+ */
+exports.firestoreGetOptions = function (options) {
+  var source = options && options.source;
+  if (!_.isUndefined(source) && !_.includes(['default', 'server', 'cache'], source)) {
+    throw createFirestoreError('INVALID_ARGUMENT', 'Invalid value "' + source + '" provided for "source": ' +
+      'must be one of "default", "server" or "cache".');
+  }
+};
@@ -0,0 +1,136 @@
+'use strict';
+
+var expect = require('chai').expect;
+var Rules = require('../../src/database-rules');
+
+describe('MockDatabaseRules', function () {
+
+  function context(overrides) {
+    var result = {
+      auth: null,
+      data: null,
+      time: 1000
+    };
+    for (var key in overrides) result[key] = overrides[key];
+    return result;
+  }
+
+  describe('parsing', function () {
+    it('accepts the whole file or only its rules', function () {
+      expect(new Rules({ rules: { '.read': true } }).allowsRead('/', context())).to.equal(true);
+      expect(new Rules({ '.read': true }).allowsRead('/', context())).to.equal(true);
+    });
+
+    it('names the rule with a syntax error', function () {
+      expect(function () {
+        new Rules({ users: { '$uid': { '.read': 'auth.uid ==' } } });
+      }).to.throw(/^Invalid rules at \/users\/\$uid\/\.read: Rules syntax error at line 1, column 12/);
+    });
+
+    it('rejects unknown rules and invalid values', function () {
+      expect(function () {
+        new Rules({ '.push': true });
+      }).to.throw('Invalid rules at /.push: unknown rule');
+      expect(function () {
+        new Rules({ '.write': 1 });
+      }).to.throw('Invalid rules at /.write: expected a boolean or a string');
+      expect(function () {
+        new Rules({ '.indexOn': [1] });
+      }).to.throw('Invalid rules at /.indexOn: expected a string or an array of strings');
+      expect(function () {
+        new Rules({ '$a': {}, '$b': {} });
+      }).to.throw('Invalid rules at /$b: only one wildcard is allowed per location');
+    });
+  });
+
+  describe('#allowsRead', function () {
+    it('cascades from parents to children', function () {
+      var rules = new Rules({ public: { '.read': true }, private: { '$id': { '.read': false } } });
+      expect(rules.allowsRead('/public/a/b', context())).to.equal(true);
+      expect(rules.allowsRead('/private/a', context())).to.equal(false);
+      expect(rules.allowsRead('/', context())).to.equal(false);
+    });
+
+    it('binds wildcards and reads existing data', function () {
+      var rules = new Rules({
+        rooms: {
+          '$room': {
+            '.read': 'root.child(\'members\').child($room).hasChild(auth.uid) || data.child(\'public\').val() == true'
+          }
+        }
+      });
+      var data = { members: { a: { bob: true } }, rooms: { b: { public: true } } };
+      expect(rules.allowsRead('/rooms/a', context({ auth: { uid: 'bob' }, data: data }))).to.equal(true);
+      expect(rules.allowsRead('/rooms/a', context({ auth: { uid: 'alice' }, data: data }))).to.equal(false);
+      expect(rules.allowsRead('/rooms/b', context({ data: data }))).to.equal(true);
+    });
+
+    it('denies when a rule fails to evaluate', function () {
+      var rules = new Rules({ '.read': 'auth.uid == \'bob\'' });
+      expect(rules.allowsRead('/', context())).to.equal(false);
+    });
+  });
+
+  describe('#allowsWrite', function () {
+    it('exposes the data before and after the write', function () {
+      var rules = new Rules({
+        counter: {
+          '.write': 'newData.val() == data.val() + 1',
+          '.validate': 'newData.isNumber()'
+        }
+      });
+      var data = { counter: 1 };
+      expect(rules.allowsWrite({ '/counter': 2 }, context({ data: data }))).to.equal(true);
+      expect(rules.allowsWrite({ '/counter': 3 }, context({ data: data }))).to.equal(false);
+    });
+
+    it('checks every location of a multi-path write', function () {
+      var rules = new Rules({ a: { '.write': true }, b: { '.write': false } });
+      expect(rules.allowsWrite({ '/a/x': 1 }, context())).to.equal(true);
+      expect(rules.allowsWrite({ '/a/x': 1, '/b/x': 1 }, context())).to.equal(false);
+    });
+
+    it('resolves server timestamps to now', function () {
+      var rules = new Rules({ updated: { '.write': true, '.validate': 'newData.val() == now' } });
+      expect(rules.allowsWrite({ '/updated': { '.sv': 'timestamp' } }, context())).to.equal(true);
+      expect(rules.allowsWrite({ '/updated': 5 }, context())).to.equal(false);
+    });
+
+    it('resolves server increments against the stored data', function () {
+      var rules = new Rules({ counter: { '.write': 'newData.val() == data.val() + 1' } });
+      var data = { counter: 1 };
+      expect(rules.allowsWrite({ '/counter': { '.sv': { increment: 1 } } }, context({ data: data }))).to.equal(true);
+      expect(rules.allowsWrite({ '/counter': { '.sv': { increment: 2 } } }, context({ data: data }))).to.equal(false);
+    });
+
+    it('supports string methods and regular expressions', function () {
+      var rules = new Rules({
+        '$key': {
+          '.write': '$key.beginsWith(\'user_\') && newData.val().matches(/^[a-z]+@example\\.com$/i)' +
+            ' && newData.val().toLowerCase().contains(\'bob\') && newData.val().length > 3'
+        }
+      });
+      expect(rules.allowsWrite({ '/user_1': 'Bob@example.com' }, context())).to.equal(true);
+      expect(rules.allowsWrite({ '/user_1': 'bob@example.org' }, context())).to.equal(false);
+      expect(rules.allowsWrite({ '/admin': 'bob@example.com' }, context())).to.equal(false);
+    });
+  });
+
+  describe('#indexOn', function () {
+    it('returns the indexed children of a location', function () {
+      var rules = new Rules({ users: { '$uid': { posts: { '.indexOn': 'date' } } } });
+      expect(rules.indexOn('/users/bob/posts')).to.deep.equal(['date']);
+      expect(rules.indexOn('/users')).to.deep.equal([]);
+    });
+  });
+
+  describe('.authContext', function () {
+    it('adds the provider to the Firestore auth context', function () {
+      var auth = Rules.authContext({ uid: 'a', providerId: 'google.com' });
+      expect(auth.uid).to.equal('a');
+      expect(auth.provider).to.equal('google');
+      expect(auth.token.sub).to.equal('a');
+      expect(Rules.authContext(null)).to.equal(null);
+    });
+  });
+});
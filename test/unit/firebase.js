@@ -2,6 +2,7 @@
 
 var chai = require('chai');
 var sinon = require('sinon');
+var Promise = require('rsvp').Promise;
 
 chai.use(require('chai-as-promised'));
 chai.use(require('sinon-chai'));
@@ -9,6 +10,7 @@ chai.use(require('sinon-chai'));
 var expect = chai.expect;
 var Firebase = require('../../').MockFirebase;
 var _ = {
+  map: require('../../src/lodash').map,
   noop: require('lodash.noop')
 };
 
@@ -123,6 +125,68 @@ describe('MockFirebase', function () {
 
   });
 
+  describe('ServerValue.increment', function () {
+
+    var counters;
+    beforeEach(function () {
+      counters = new Firebase().child('counters');
+      counters.autoFlush();
+      counters.set({ likes: 5, name: 'post' });
+    });
+
+    it('adds to the stored number', function () {
+      counters.child('likes').set(Firebase.ServerValue.increment(2));
+      expect(counters.child('likes').getData()).to.equal(7);
+    });
+
+    it('writes the delta where no number is stored', function () {
+      counters.child('name').set(Firebase.ServerValue.increment(3));
+      counters.child('views').set(Firebase.ServerValue.increment(-1));
+      expect(counters.getData()).to.deep.equal({ likes: 5, name: 3, views: -1 });
+    });
+
+    it('resolves increments in child data and updates', function () {
+      counters.set({ likes: Firebase.ServerValue.increment(1), stats: { views: 2 } });
+      expect(counters.child('likes').getData()).to.equal(6);
+      counters.update({
+        likes: Firebase.ServerValue.increment(1),
+        'stats/views': Firebase.ServerValue.increment(10)
+      });
+      expect(counters.getData()).to.deep.equal({ likes: 7, stats: { views: 12 } });
+    });
+
+    it('resolves nested increments on new paths once', function () {
+      counters.child('deep').set({ x: { y: Firebase.ServerValue.increment(1) } });
+      expect(counters.child('deep/x/y').getData()).to.equal(1);
+      counters.child('deep').set({ x: { y: Firebase.ServerValue.increment(1) } });
+      expect(counters.child('deep/x/y').getData()).to.equal(2);
+      counters.update({ 'stats/views': Firebase.ServerValue.increment(1) });
+      expect(counters.child('stats').getData()).to.deep.equal({ views: 1 });
+    });
+
+    it('resolves increments in pushed data', function () {
+      var child = counters.push(Firebase.ServerValue.increment(4));
+      expect(child.getData()).to.equal(4);
+    });
+
+    it('resolves increments returned by a transaction', function () {
+      return counters.child('likes').transaction(function () {
+        return Firebase.ServerValue.increment(1);
+      }).then(function (result) {
+        expect(result.committed).to.equal(true);
+        expect(result.snapshot.val()).to.equal(6);
+        expect(counters.child('likes').getData()).to.equal(6);
+      });
+    });
+
+    it('notifies listeners of the resolved value', function () {
+      counters.child('likes').on('value', spy);
+      counters.child('likes').set(Firebase.ServerValue.increment(1));
+      expect(spy.lastCall.args[0].val()).to.equal(6);
+    });
+
+  });
+
   describe('#flush', function () {
 
     it('flushes the queue and returns itself', function () {
@@ -231,6 +295,128 @@ describe('MockFirebase', function () {
 
   });
 
+  describe('#setRules', function () {
+
+    var root;
+    beforeEach(function () {
+      root = ref.root;
+      root.autoFlush();
+      root.setRules({
+        rules: {
+          users: {
+            '$uid': {
+              '.read': 'auth != null && auth.uid === $uid',
+              '.write': 'auth != null && auth.uid === $uid',
+              '.validate': 'newData.hasChildren([\'name\'])',
+              name: {
+                '.validate': 'newData.isString() && newData.val().length <= 10'
+              },
+              '$other': {
+                '.validate': false
+              }
+            }
+          },
+          posts: {
+            '.indexOn': ['date']
+          }
+        }
+      });
+    });
+
+    function signIn(uid) {
+      root.changeAuthState({ uid: uid, providerId: 'password' });
+    }
+
+    it('rejects denied writes with PERMISSION_DENIED', function () {
+      return expect(root.child('users/bob').set({ name: 'Bob' }))
+        .to.be.rejectedWith('PERMISSION_DENIED: Permission denied')
+        .then(function () {
+          expect(root.child('users/bob').getData()).to.equal(null);
+        });
+    });
+
+    it('allows writes with the current auth state', function () {
+      signIn('bob');
+      return root.child('users/bob').set({ name: 'Bob' }).then(function () {
+        expect(root.child('users/bob/name').getData()).to.equal('Bob');
+        return expect(root.child('users/alice').set({ name: 'Alice' })).to.be.rejected;
+      });
+    });
+
+    it('takes the auth state from another authentication', function () {
+      var auth = new Firebase();
+      auth.changeAuthState({ uid: 'bob' });
+      auth.flush();
+      root.setAuth(auth);
+      return expect(root.child('users/bob').set({ name: 'Bob' })).to.be.fulfilled;
+    });
+
+    it('applies .validate rules to parents and children of the written data', function () {
+      signIn('bob');
+      return root.child('users/bob').set({ name: 'Bob' }).then(function () {
+        return Promise.all([
+          expect(root.child('users/bob/name').set('Robert Robertson')).to.be.rejected,
+          expect(root.child('users/bob').update({ age: 30 })).to.be.rejected,
+          expect(root.child('users/bob').set({ age: 30 })).to.be.rejected,
+          expect(root.child('users/bob/name').set('Robert')).to.be.fulfilled
+        ]);
+      });
+    });
+
+    it('does not validate deleted data', function () {
+      signIn('bob');
+      return root.child('users/bob').set({ name: 'Bob' }).then(function () {
+        return root.child('users/bob').remove();
+      }).then(function () {
+        expect(root.child('users/bob').getData()).to.equal(null);
+      });
+    });
+
+    it('checks push() and transaction()', function () {
+      signIn('bob');
+      return Promise.all([
+        expect(root.child('users').push({ name: 'Bob' })).to.be.rejectedWith('PERMISSION_DENIED'),
+        expect(root.child('users/alice/name').transaction(function () {
+          return 'Alice';
+        })).to.be.rejectedWith('PERMISSION_DENIED')
+      ]);
+    });
+
+    it('cancels denied reads with PERMISSION_DENIED', function () {
+      var cancel = sinon.spy();
+      root.child('users/bob').on('value', spy, cancel);
+      expect(spy.callCount).to.equal(0);
+      expect(cancel.firstCall.args[0].code).to.equal('PERMISSION_DENIED');
+      expect(cancel.firstCall.args[0].message).to.equal('permission_denied at /users/bob: ' +
+        'Client doesn\'t have permission to access the desired data.');
+      return expect(root.child('users').once('value')).to.be.rejectedWith('permission_denied at /users');
+    });
+
+    it('allows reads granted by a parent', function () {
+      signIn('bob');
+      root.child('users/bob/name').on('value', spy);
+      expect(spy.callCount).to.equal(1);
+    });
+
+    it('warns about queries on children without .indexOn', function () {
+      sinon.stub(console, 'warn');
+      try {
+        root.child('posts').orderByChild('date');
+        root.child('posts').orderByChild('title');
+        expect(console.warn.callCount).to.equal(1);
+        expect(console.warn.firstCall.args[0]).to.contain('".indexOn": "title" at /posts');
+      } finally {
+        console.warn.restore();
+      }
+    });
+
+    it('can be removed again', function () {
+      root.setRules(null);
+      return expect(root.child('users/bob').set({ age: 1 })).to.be.fulfilled;
+    });
+
+  });
+
   describe('#fakeEvent', function () {
 
     it('can trigger a fake value event', function () {
@@ -655,6 +841,190 @@ describe('MockFirebase', function () {
 
   });
 
+  describe('#onDisconnect', function () {
+    beforeEach(function () {
+      ref.autoFlush();
+    });
+
+    it('applies the queued writes when the client disconnects', function () {
+      ref.child('a').on('value', spy);
+      ref.child('a/aString').onDisconnect().set('offline');
+      ref.child('b').onDisconnect().remove();
+      ref.onDisconnect().update({ 'c/aNumber': 30, 'f': { aString: 'foxtrot' } });
+      expect(ref.getData().a.aString).to.equal('alpha');
+      spy.resetHistory();
+      ref.simulateDisconnect();
+      var data = ref.getData();
+      expect(data.a.aString).to.equal('offline');
+      expect(data.b).to.equal(undefined);
+      expect(data.c).to.deep.equal({ aString: 'charlie', aNumber: 30, aBoolean: true });
+      expect(data.f).to.deep.equal({ aString: 'foxtrot' });
+      expect(spy.callCount).to.equal(1);
+      expect(spy.firstCall.args[0].val().aString).to.equal('offline');
+    });
+
+    it('applies the writes in order, only once', function () {
+      ref.child('a').onDisconnect().set(1);
+      ref.child('a').onDisconnect().set(2);
+      ref.simulateDisconnect();
+      expect(ref.child('a').getData()).to.equal(2);
+      ref.child('a').set(3);
+      ref.simulateDisconnect();
+      expect(ref.child('a').getData()).to.equal(3);
+    });
+
+    it('sets the priority and resolves server timestamps', function () {
+      Firebase.setClock(function () {
+        return 42;
+      });
+      ref.child('a').onDisconnect().setWithPriority({ seen: Firebase.ServerValue.TIMESTAMP }, 5);
+      ref.simulateDisconnect();
+      Firebase.restoreClock();
+      expect(ref.child('a').getData()).to.deep.equal({ seen: 42 });
+      expect(ref.child('a').priority).to.equal(5);
+    });
+
+    it('cancels the writes at the location and its children', function () {
+      ref.child('a/aString').onDisconnect().remove();
+      ref.child('b').onDisconnect().remove();
+      ref.child('ab').onDisconnect().set(true);
+      return ref.child('a').onDisconnect().cancel(spy).then(function () {
+        expect(spy).to.have.been.calledWith(null);
+        ref.simulateDisconnect();
+        var data = ref.getData();
+        expect(data.a.aString).to.equal('alpha');
+        expect(data.b).to.equal(undefined);
+        expect(data.ab).to.equal(true);
+      });
+    });
+
+    it('checks security rules when the write is queued', function () {
+      ref.setRules({ data: { a: { '.write': true } } });
+      ref.child('a').onDisconnect().remove();
+      return expect(ref.child('b').onDisconnect().remove(spy)).to.be.rejectedWith('PERMISSION_DENIED')
+        .then(function () {
+          expect(spy.firstCall.args[0].code).to.equal('PERMISSION_DENIED');
+          ref.simulateDisconnect();
+          expect(ref.getData().a).to.equal(undefined);
+          expect(ref.getData().b).to.not.equal(undefined);
+        });
+    });
+
+    it('validates the written data', function () {
+      expect(function () {
+        ref.onDisconnect().set(undefined);
+      }).to.throw('Data is undefined');
+      expect(function () {
+        ref.onDisconnect().update('a');
+      }).to.throw('First argument must be an object when calling "onDisconnect().update"');
+    });
+  });
+
+  describe('.info', function () {
+    var root;
+    beforeEach(function () {
+      root = ref.root;
+      root.autoFlush();
+    });
+
+    afterEach(function () {
+      root.child('.info/connected').off();
+      root.child('.info/serverTimeOffset').off();
+      Firebase.restoreClock();
+    });
+
+    it('is not part of the data of the root', function () {
+      expect(root.child('.info').getData()).to.deep.equal({ connected: true, serverTimeOffset: 0 });
+      expect(root.getData()).to.have.all.keys('data');
+      root.set({ a: 1 });
+      expect(root.child('.info/connected').getData()).to.equal(true);
+    });
+
+    it('is readable whatever the security rules', function () {
+      root.setRules({ '.read': false });
+      root.child('.info/connected').on('value', spy);
+      expect(spy.firstCall.args[0].val()).to.equal(true);
+    });
+
+    it('reports the offset of the server clock', function () {
+      root.child('.info/serverTimeOffset').on('value', spy);
+      Firebase.setClock(function () {
+        return new Date().getTime() + 5000;
+      });
+      expect(spy.callCount).to.equal(2);
+      expect(spy.lastCall.args[0].val()).to.be.within(4990, 5000);
+      Firebase.restoreClock();
+      expect(spy.callCount).to.equal(3);
+      expect(spy.lastCall.args[0].val()).to.equal(0);
+    });
+
+    it('reads the offset of the server clock without listeners', function () {
+      var clock = sinon.stub().returns(new Date().getTime() + 5000);
+      Firebase.setClock(clock);
+      expect(clock.called).to.equal(false);
+      expect(root.child('.info/serverTimeOffset').getData()).to.be.within(4990, 5000);
+    });
+
+    it('stops updating the offset for listeners that were removed', function () {
+      root.child('.info/serverTimeOffset').on('value', spy);
+      root.child('.info/serverTimeOffset').off('value', spy);
+      Firebase.setClock(function () {
+        return new Date().getTime() + 5000;
+      });
+      expect(spy.callCount).to.equal(1);
+    });
+  });
+
+  describe('#goOffline', function () {
+    beforeEach(function () {
+      ref.autoFlush();
+    });
+
+    it('changes the connection state without a flush', function () {
+      ref.autoFlush(false);
+      ref.goOffline();
+      expect(ref.root.child('.info/connected').getData()).to.equal(false);
+      ref.goOnline();
+      expect(ref.root.child('.info/connected').getData()).to.equal(true);
+      expect(ref.getFlushQueue()).to.have.length(0);
+    });
+
+    it('notifies .info/connected listeners', function () {
+      ref.root.child('.info/connected').on('value', spy);
+      ref.goOffline();
+      ref.goOffline();
+      ref.goOnline();
+      expect(spy.callCount).to.equal(3);
+      expect(spy.getCall(1).args[0].val()).to.equal(false);
+      expect(spy.getCall(2).args[0].val()).to.equal(true);
+    });
+
+    it('applies writes locally and syncs them when back online', function () {
+      var settled = sinon.spy();
+      ref.goOffline();
+      ref.child('a/aString').set('offline').then(settled);
+      ref.child('b').update({ aNumber: 20 }, settled);
+      ref.child('c').remove(settled);
+      expect(ref.child('a/aString').getData()).to.equal('offline');
+      expect(ref.child('b/aNumber').getData()).to.equal(20);
+      expect(ref.child('c').getData()).to.equal(null);
+      return Promise.resolve().then(function () {
+        expect(settled.callCount).to.equal(0);
+        ref.goOnline();
+        expect(settled.callCount).to.equal(1);
+        expect(settled.firstCall.args[0]).to.equal(null);
+      }).then(function () {
+        expect(settled.callCount).to.equal(2);
+      });
+    });
+
+    it('performs the onDisconnect writes', function () {
+      ref.child('a/online').onDisconnect().set(false);
+      ref.goOffline();
+      expect(ref.child('a/online').getData()).to.equal(false);
+    });
+  });
+
   describe('#on', function () {
 
     it('validates the event name', function () {
@@ -891,7 +1261,123 @@ describe('MockFirebase', function () {
           echo: 5
       });
   });
-});
+
+    describe('lifecycle', function () {
+
+      var counter;
+      beforeEach(function () {
+        counter = new Firebase().child('counter');
+        counter.set(1);
+        counter.flush();
+      });
+
+      function increment(value) {
+        return (value || 0) + 1;
+      }
+
+      it('runs the function with the cached value right away', function () {
+        var fn = sinon.spy(increment);
+        counter.parent.child('missing').transaction(fn);
+        counter.transaction(fn);
+        expect(fn.firstCall.args[0]).to.equal(null);
+        expect(fn.secondCall.args[0]).to.equal(1);
+      });
+
+      it('runs the function again when a competing write lands first', function () {
+        var fn = sinon.spy(increment);
+        var promise = counter.transaction(fn);
+        counter.set(10);
+        counter.flush();
+        return promise.then(function (result) {
+          expect(fn.callCount).to.equal(2);
+          expect(fn.secondCall.args[0]).to.equal(10);
+          expect(result.committed).to.equal(true);
+          expect(result.snapshot.val()).to.equal(11);
+          expect(counter.getData()).to.equal(11);
+        });
+      });
+
+      it('fails with maxretry after 25 retries', function () {
+        var fn = sinon.spy(increment);
+        var finished = sinon.spy();
+        counter.forceTransactionConflict(26);
+        var promise = counter.transaction(fn, finished);
+        counter.flush();
+        return expect(promise).to.be.rejectedWith('maxretry').then(function () {
+          expect(fn.callCount).to.equal(26);
+          expect(finished.firstCall.args).to.deep.equal([new Error('maxretry'), false, null]);
+          expect(counter.getData()).to.equal(1);
+        });
+      });
+
+      it('commits after fewer conflicts', function () {
+        var fn = sinon.spy(increment);
+        counter.forceTransactionConflict(25);
+        var promise = counter.transaction(fn);
+        counter.flush();
+        return promise.then(function (result) {
+          expect(fn.callCount).to.equal(26);
+          expect(result.committed).to.equal(true);
+        });
+      });
+
+      it('fires local events right away when applying locally', function () {
+        counter.on('value', spy);
+        counter.flush();
+        counter.transaction(increment);
+        expect(spy.callCount).to.equal(2);
+        expect(spy.lastCall.args[0].val()).to.equal(2);
+        counter.flush();
+        expect(spy.callCount).to.equal(2);
+      });
+
+      it('fires events only on commit without applyLocally', function () {
+        counter.on('value', spy);
+        counter.flush();
+        counter.transaction(increment, null, false);
+        expect(spy.callCount).to.equal(1);
+        expect(counter.getData()).to.equal(1);
+        counter.flush();
+        expect(spy.callCount).to.equal(2);
+        expect(counter.getData()).to.equal(2);
+      });
+
+      it('reverts the local value when the transaction aborts', function () {
+        var calls = 0;
+        counter.on('value', spy);
+        counter.flush();
+        var promise = counter.transaction(function (value) {
+          return calls++ === 0 ? value + 1 : undefined;
+        });
+        counter.forceTransactionConflict();
+        counter.flush();
+        return promise.then(function (result) {
+          expect(result.committed).to.equal(false);
+          expect(result.snapshot.val()).to.equal(1);
+          expect(_.map(spy.args, function (args) {
+            return args[0].val();
+          })).to.deep.equal([1, 2, 1]);
+        });
+      });
+
+      it('checks the rules against the data before the transaction', function () {
+        counter.root.setRules({ counter: { '.read': true, '.write': 'newData.val() == data.val() + 1' } });
+        var promise = counter.transaction(increment);
+        counter.flush();
+        return promise.then(function (result) {
+          expect(result.committed).to.equal(true);
+          expect(counter.getData()).to.equal(2);
+          var denied = counter.transaction(function (value) {
+            return value + 2;
+          });
+          counter.flush();
+          return expect(denied).to.be.rejectedWith('PERMISSION_DENIED');
+        }).then(function () {
+          expect(counter.getData()).to.equal(2);
+        });
+      });
+    });
+  });
 
   describe('#push', function () {
 
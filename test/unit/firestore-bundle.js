@@ -0,0 +1,347 @@
+'use strict';
+
+var chai = require('chai');
+var sinon = require('sinon');
+var Promise = require('rsvp').Promise;
+
+chai.use(require('chai-as-promised'));
+
+var expect = chai.expect;
+var _ = require('../../src/lodash');
+var Firebase = require('../../').MockFirebase;
+var Firestore = require('../../').MockFirestore;
+var Query = require('../../src/firestore-query');
+var Timestamp = require('../../src/timestamp');
+
+describe('MockFirestoreBundle', function () {
+
+  afterEach(Firebase.restoreClock);
+
+  var source, db;
+  beforeEach(function () {
+    source = new Firestore();
+    source.autoFlush();
+    db = new Firestore();
+    db.autoFlush();
+    return Promise.all([
+      source.doc('cities/la').set({ name: 'LA', population: 4, tags: ['west'], founded: new Timestamp(100, 5000000) }),
+      source.doc('cities/sf').set({ name: 'SF', population: 1, capital: null, location: new Firestore.GeoPoint(1, 2) }),
+      source.doc('cities/ny').set({ name: 'NY', population: 8, state: source.doc('states/ny') }),
+      source.doc('cities/sf/landmarks/bridge').set({ type: 'bridge', height: 227.4 })
+    ]);
+  });
+
+  // splits a bundle into its elements
+  function elements(buffer) {
+    var result = [];
+    var text = buffer.toString('utf8');
+    var offset = 0;
+    while (offset < buffer.length) {
+      var length = parseInt(text.slice(offset), 10);
+      offset += String(length).length;
+      result.push(JSON.parse(buffer.slice(offset, offset + length).toString('utf8')));
+      offset += length;
+    }
+    return result;
+  }
+
+  function build(queryName, query) {
+    var bundle = source.bundle('my-bundle');
+    return query.get().then(function (snap) {
+      return bundle.add(queryName, snap).build();
+    });
+  }
+
+  describe('#build', function () {
+    it('serializes length-prefixed metadata, named queries and documents', function () {
+      var query = source.collection('cities').where('population', '>', 2).orderBy('population', 'desc').limit(5);
+      return build('big-cities', query).then(function (buffer) {
+        var parsed = elements(buffer);
+        var metadataLength = String(JSON.stringify(parsed[0])).length;
+        expect(parsed[0].metadata).to.include({ id: 'my-bundle', version: 1, totalDocuments: 2 });
+        expect(parsed[0].metadata.totalBytes).to.equal(buffer.length - metadataLength -
+          String(metadataLength).length);
+        expect(parsed[1].namedQuery.name).to.equal('big-cities');
+        expect(parsed[1].namedQuery.bundledQuery).to.deep.equal({
+          parent: 'projects/mock-project/databases/(default)/documents',
+          structuredQuery: {
+            from: [{ collectionId: 'cities', allDescendants: false }],
+            where: {
+              fieldFilter: { field: { fieldPath: 'population' }, op: 'GREATER_THAN', value: { integerValue: '2' } }
+            },
+            orderBy: [{ field: { fieldPath: 'population' }, direction: 'DESCENDING' }],
+            limit: { value: 5 }
+          },
+          limitType: 'FIRST'
+        });
+        expect(_.map(parsed.slice(2), function (element) {
+          return _.keys(element)[0];
+        })).to.deep.equal(['documentMetadata', 'document', 'documentMetadata', 'document']);
+        expect(parsed[2].documentMetadata).to.include({
+          name: 'projects/mock-project/databases/(default)/documents/cities/ny',
+          exists: true
+        });
+        expect(parsed[2].documentMetadata.queries).to.deep.equal(['big-cities']);
+        expect(parsed[3].document.fields).to.deep.equal({
+          name: { stringValue: 'NY' },
+          population: { integerValue: '8' },
+          state: { referenceValue: 'projects/mock-project/databases/(default)/documents/states/ny' }
+        });
+      });
+    });
+
+    it('encodes every type of value', function () {
+      return source.doc('cities/la').get().then(function (snap) {
+        var parsed = elements(source.bundle('b').add(snap).build());
+        expect(parsed[0].metadata.totalDocuments).to.equal(1);
+        expect(parsed[2].document.fields).to.deep.equal({
+          name: { stringValue: 'LA' },
+          population: { integerValue: '4' },
+          tags: { arrayValue: { values: [{ stringValue: 'west' }] } },
+          founded: { timestampValue: { seconds: '100', nanos: 5000000 } }
+        });
+      });
+    });
+
+    it('encodes missing documents as metadata only', function () {
+      return source.doc('cities/none').get().then(function (snap) {
+        var parsed = elements(source.bundle('b').add(snap).build());
+        expect(parsed).to.have.length(2);
+        expect(parsed[1].documentMetadata.exists).to.equal(false);
+      });
+    });
+
+    it('encodes null and NaN filters as unary filters', function () {
+      var query = source.collection('cities').where('capital', '==', null).where('population', '!=', NaN);
+      return build('q', query).then(function (buffer) {
+        expect(elements(buffer)[1].namedQuery.bundledQuery.structuredQuery.where).to.deep.equal({
+          compositeFilter: {
+            op: 'AND',
+            filters: [
+              { unaryFilter: { op: 'IS_NULL', field: { fieldPath: 'capital' } } },
+              { unaryFilter: { op: 'IS_NOT_NAN', field: { fieldPath: 'population' } } }
+            ]
+          }
+        });
+      });
+    });
+
+    it('rejects invalid arguments and duplicate query names', function () {
+      var bundle = source.bundle('b');
+      expect(function () {
+        bundle.add('name');
+      }).to.throw('Bundle.add() expects either a DocumentSnapshot or a query name and a QuerySnapshot.');
+      return source.collection('cities').get().then(function (snap) {
+        bundle.add('all', snap);
+        expect(function () {
+          bundle.add('all', snap);
+        }).to.throw('Query name conflict: all has already been added.');
+      });
+    });
+  });
+
+  describe('#loadBundle', function () {
+    it('reports the current progress to observers registered after the load with autoFlush', function () {
+      var progress = [];
+      var complete = sinon.spy();
+      return build('all', source.collection('cities')).then(function (buffer) {
+        var task = db.loadBundle(buffer);
+        task.onProgress(function (p) {
+          progress.push(p);
+        }, null, complete);
+        return task.then(function (result) {
+          expect(progress).to.deep.equal([result]);
+          expect(result.taskState).to.equal('Success');
+          expect(complete.callCount).to.equal(1);
+        });
+      });
+    });
+
+    it('reports the failure to observers registered after the load failed', function () {
+      db.autoFlush(false);
+      var task = db.loadBundle('not a bundle');
+      db.flush();
+      var error = sinon.spy();
+      task.onProgress(null, error);
+      return task.then(function () {
+        throw new Error('Expected the load to fail');
+      }, function (err) {
+        expect(error).to.have.been.calledWith(err);
+      });
+    });
+
+    it('writes the documents of the bundle and reports progress', function () {
+      var progress = [];
+      var complete = sinon.spy();
+      return build('all', source.collection('cities')).then(function (buffer) {
+        db.autoFlush(false);
+        var task = db.loadBundle(buffer);
+        task.onProgress(function (p) {
+          progress.push(p);
+        }, null, complete);
+        db.flush().autoFlush();
+        return task.then(function (result) {
+          expect(result).to.deep.equal({
+            taskState: 'Success',
+            documentsLoaded: 3,
+            totalDocuments: 3,
+            bytesLoaded: result.totalBytes,
+            totalBytes: result.totalBytes
+          });
+          return db.doc('cities/la').get();
+        });
+      }).then(function (snap) {
+        expect(_.map(progress, 'taskState')).to.deep.equal(['Running', 'Running', 'Running', 'Running', 'Success']);
+        expect(_.map(progress, 'documentsLoaded')).to.deep.equal([0, 1, 2, 3, 3]);
+        expect(complete.callCount).to.equal(1);
+        expect(snap.get('founded').isEqual(new Timestamp(100, 5000000))).to.equal(true);
+        expect(snap.get('tags')).to.deep.equal(['west']);
+        return db.doc('cities/sf').get();
+      }).then(function (snap) {
+        expect(snap.get('location').isEqual(new Firestore.GeoPoint(1, 2))).to.equal(true);
+        expect(snap.get('capital')).to.equal(null);
+        return db.doc('cities/ny').get();
+      }).then(function (snap) {
+        expect(snap.get('state').path).to.equal(db.doc('states/ny').path);
+        expect(snap.get('state').firestore).to.equal(db);
+      });
+    });
+
+    it('notifies listeners of the loaded documents', function () {
+      var spy = sinon.spy();
+      db.collection('cities').onSnapshot(spy);
+      return build('all', source.collection('cities')).then(function (buffer) {
+        return db.loadBundle(buffer);
+      }).then(function () {
+        expect(spy.callCount).to.equal(2);
+        expect(spy.lastCall.args[0].size).to.equal(3);
+      });
+    });
+
+    it('keeps documents that changed after the bundle was built', function () {
+      var later = Date.now() + 60000;
+      var buffer;
+      return build('all', source.collection('cities')).then(function (result) {
+        buffer = result;
+        Firebase.setClock(function () {
+          return later;
+        });
+        return db.doc('cities/la').set({ name: 'Los Angeles' });
+      }).then(function () {
+        Firebase.restoreClock();
+        return db.loadBundle(buffer);
+      }).then(function () {
+        expect(db.doc('cities/la').data).to.deep.equal({ name: 'Los Angeles' });
+        expect(db.doc('cities/sf').data.name).to.equal('SF');
+      });
+    });
+
+    it('accepts strings, Uint8Arrays and ArrayBuffers', function () {
+      return build('all', source.collection('cities')).then(function (buffer) {
+        var array = new Uint8Array(buffer);
+        return Promise.all([
+          new Firestore().autoFlush().loadBundle(buffer.toString('utf8')),
+          new Firestore().autoFlush().loadBundle(array),
+          new Firestore().autoFlush().loadBundle(array.buffer)
+        ]);
+      }).then(function (results) {
+        expect(_.map(results, 'documentsLoaded')).to.deep.equal([3, 3, 3]);
+      });
+    });
+
+    it('skips a bundle that was already loaded', function () {
+      return build('all', source.collection('cities')).then(function (buffer) {
+        return db.loadBundle(buffer).then(function () {
+          return db.doc('cities/la').delete();
+        }).then(function () {
+          return db.loadBundle(buffer);
+        });
+      }).then(function (progress) {
+        expect(progress.taskState).to.equal('Success');
+        expect(db.doc('cities/la').data).to.equal(null);
+      });
+    });
+
+    it('fails on invalid bundles without writing anything', function () {
+      var error = sinon.spy();
+      return build('all', source.collection('cities')).then(function (buffer) {
+        db.autoFlush(false);
+        var task = db.loadBundle(buffer.slice(0, buffer.length - 10));
+        task.onProgress(null, error);
+        db.flush();
+        return expect(task).to.be.rejectedWith('Invalid bundle: reached the end of the bundle in the middle ' +
+          'of an element.');
+      }).then(function () {
+        expect(error.callCount).to.equal(1);
+        expect(db.doc('cities/la').data).to.equal(null);
+        db.autoFlush();
+        return expect(db.loadBundle('{}')).to.be.rejectedWith('Invalid bundle: expected the length of an ' +
+          'element at byte 0.');
+      });
+    });
+  });
+
+  describe('#namedQuery', function () {
+    function load(query) {
+      return build('q', query).then(function (buffer) {
+        return db.loadBundle(buffer);
+      }).then(function () {
+        return db.namedQuery('q');
+      });
+    }
+
+    function ids(query) {
+      return query.get().then(function (snap) {
+        return _.map(snap.docs, 'id');
+      });
+    }
+
+    it('resolves with null for unknown queries', function () {
+      return expect(db.namedQuery('unknown')).to.eventually.equal(null);
+    });
+
+    it('restores filters, ordering and limits', function () {
+      var query = source.collection('cities').where('population', '>', 2).orderBy('population', 'desc').limit(1);
+      return load(query).then(function (named) {
+        expect(named).to.be.an.instanceof(Query);
+        return ids(named);
+      }).then(function (result) {
+        expect(result).to.deep.equal(['ny']);
+      });
+    });
+
+    it('restores limitToLast and cursors from snapshots', function () {
+      return source.doc('cities/sf').get().then(function (sf) {
+        var query = source.collection('cities').orderBy('population').startAfter(sf).limitToLast(1);
+        return load(query);
+      }).then(function (named) {
+        expect(named.limitedToLast).to.equal(true);
+        expect(named.startBound).to.deep.equal({ values: [1], id: 'sf', inclusive: false });
+        return ids(named);
+      }).then(function (result) {
+        expect(result).to.deep.equal(['ny']);
+      });
+    });
+
+    it('restores collection group queries and document id filters', function () {
+      var query = source.collectionGroup('landmarks')
+        .where(Firestore.FieldPath.documentId(), 'in', ['cities/sf/landmarks/bridge'])
+        .where(new Firestore.FieldPath('a.b'), '==', 'c');
+      return load(query).then(function (named) {
+        expect(named.allDescendants).to.equal(true);
+        expect(named.filters[0].value).to.deep.equal(['cities/sf/landmarks/bridge']);
+        expect(named.filters[1].path).to.deep.equal(['data', 'a.b']);
+      });
+    });
+
+    it('reads the current data', function () {
+      return load(source.collection('cities').where('population', '<', 5)).then(function (named) {
+        return db.doc('cities/tokyo').set({ population: 3 }).then(function () {
+          return ids(named);
+        });
+      }).then(function (result) {
+        expect(result).to.have.members(['la', 'sf', 'tokyo']);
+      });
+    });
+  });
+});
@@ -0,0 +1,26 @@
+'use strict';
+
+var expect = require('chai').expect;
+var Bytes = require('../../src/firestore-bytes');
+
+describe('Bytes', function () {
+  it('converts between base64 and Uint8Array', function () {
+    var bytes = Bytes.fromUint8Array(new Uint8Array([0, 1, 255]));
+    expect(bytes.toBase64()).to.equal('AAH/');
+    expect(Array.prototype.slice.call(Bytes.fromBase64String('AAH/').toUint8Array())).to.deep.equal([0, 1, 255]);
+    expect(bytes.toString()).to.equal('Bytes(base64: AAH/)');
+  });
+
+  it('only accepts a Uint8Array', function () {
+    expect(function () {
+      Bytes.fromUint8Array([1]);
+    }).to.throw('Bytes.fromUint8Array() expects a Uint8Array');
+  });
+
+  describe('#isEqual', function () {
+    it('compares the bytes', function () {
+      expect(Bytes.fromBase64String('AAH/').isEqual(Bytes.fromUint8Array(new Uint8Array([0, 1, 255])))).to.equal(true);
+      expect(Bytes.fromBase64String('AAH/').isEqual(Bytes.fromBase64String('AAE='))).to.equal(false);
+    });
+  });
+});
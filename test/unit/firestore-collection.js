@@ -179,6 +179,58 @@ describe('MockFirestoreCollection', function () {
     });
   });
 
+  describe('#withConverter', function () {
+    var converter;
+    beforeEach(function () {
+      converter = {
+        toFirestore: function (name) {
+          return { name: name };
+        },
+        fromFirestore: function (snapshot) {
+          return snapshot.get('name');
+        }
+      };
+    });
+
+    it('returns a typed reference to the same collection', function () {
+      var typed = collection.withConverter(converter);
+      expect(typed.path).to.equal(collection.path);
+      expect(typed.withConverter(null)).to.equal(collection);
+      expect(typed.doc('a').withConverter(null)).to.equal(collection.doc('a'));
+      expect(typed.doc('a')._converter).to.equal(converter);
+    });
+
+    it('converts the documents of queries', function () {
+      var promise = collection.withConverter(converter).where('name', '==', 'a').get();
+      db.flush();
+      return promise.then(function (snap) {
+        expect(_.map(snap.docs, function (doc) {
+          return doc.data();
+        })).to.deep.equal(['a']);
+        expect(snap.docs[0].ref._converter).to.equal(converter);
+      });
+    });
+
+    it('converts queries', function () {
+      var query = collection.where('name', '==', 'a').withConverter(converter);
+      var promise = query.get();
+      db.flush();
+      return promise.then(function (snap) {
+        expect(snap.docs[0].data()).to.equal('a');
+        expect(query.withConverter(null)._converter).to.equal(null);
+      });
+    });
+
+    it('converts the data of added documents', function () {
+      var promise = collection.withConverter(converter).add('added');
+      db.flush();
+      return promise.then(function (ref) {
+        expect(ref._converter).to.equal(converter);
+        expect(ref.withConverter(null).data).to.deep.equal({ name: 'added' });
+      });
+    });
+  });
+
   describe('#where', function () {
     it('caches children', function () {
       expect(db.doc('doc')).to.equal(db.doc('doc'));
@@ -244,19 +296,116 @@ describe('MockFirestoreCollection', function () {
       ]);
     });
 
-    it('returns all documents when using unsupported operator', function() {
-      var expected = 6;
+    it('returns matched documents for range operators', function() {
+      var results1 = collection.where('name', '>', 1).get();
+      var results2 = collection.where('name', '>=', 1).get();
+      var results3 = collection.where('name', '<', 3).get();
+      var results4 = collection.where('name', '<=', 3).get();
+      var results5 = collection.where('name', '>', 'a').get();
+      var results6 = collection.where('name', '<', 'c').get();
+      db.flush();
+
+      return Promise.all([
+        expect(results1).to.eventually.have.property('size').to.equal(2),
+        expect(results2).to.eventually.have.property('size').to.equal(3),
+        expect(results3).to.eventually.have.property('size').to.equal(2),
+        expect(results4).to.eventually.have.property('size').to.equal(3),
+        expect(results5).to.eventually.have.property('size').to.equal(2),
+        expect(results6).to.eventually.have.property('size').to.equal(2)
+      ]);
+    });
+
+    it('only compares values of the same type for range operators', function() {
+      var results1 = collection.where('name', '>', 0).get();
+      var results2 = collection.where('name', '<', 'z').get();
+      var results3 = collection.where('complex', '>', null).get();
+      db.flush();
+
+      return Promise.all([
+        expect(results1).to.eventually.have.property('size').to.equal(3),
+        expect(results2).to.eventually.have.property('size').to.equal(3),
+        expect(results3).to.eventually.have.property('size').to.equal(0)
+      ]);
+    });
+
+    it('compares timestamps and dates for range operators', function() {
+      db.autoFlush();
+      var group = db.collection('group');
+      group.doc('a').set({ date: new Date(1000) });
+      group.doc('b').set({ date: Timestamp.fromMillis(2000) });
+
+      return Promise.all([
+        expect(group.where('date', '>', Timestamp.fromMillis(1000)).get()).to.eventually.have.property('size').to.equal(1),
+        expect(group.where('date', '>=', new Date(1000)).get()).to.eventually.have.property('size').to.equal(2),
+        expect(group.where('date', '==', new Date(2000)).get()).to.eventually.have.property('size').to.equal(1)
+      ]);
+    });
+
+    it('returns matched documents for operator "!="', function() {
+      var results1 = collection.where('name', '!=', 1).get();
+      var results2 = collection.where('array', '!=', ['x']).get();
+      db.flush();
+
+      return Promise.all([
+        expect(results1).to.eventually.have.property('size').to.equal(5),
+        expect(results2).to.eventually.have.property('size').to.equal(3)
+      ]);
+    });
+
+    it('returns matched documents for operator "in"', function() {
+      var results1 = collection.where('name', 'in', [1, 'a', 'z']).get();
+      var results2 = collection.where(Firestore.FieldPath.documentId(), 'in', ['b', '3']).get();
+      db.flush();
+
+      return Promise.all([
+        expect(results1).to.eventually.have.property('size').to.equal(2),
+        expect(results2).to.eventually.have.property('size').to.equal(2)
+      ]);
+    });
 
-      var results1 = collection.where('name', '>', 3).get();
-      var results2 = collection.where('name', '>', 0).get();
+    it('returns matched documents for operator "not-in"', function() {
+      var results1 = collection.where('name', 'not-in', [1, 'a', 'z']).get();
+      var results2 = collection.where('array', 'not-in', [['x']]).get();
+      var results3 = collection.where('name', 'not-in', [1, null]).get();
       db.flush();
 
       return Promise.all([
-        expect(results1).to.eventually.have.property('size').to.equal(expected),
-        expect(results2).to.eventually.have.property('size').to.equal(expected)
+        expect(results1).to.eventually.have.property('size').to.equal(4),
+        expect(results2).to.eventually.have.property('size').to.equal(3),
+        expect(results3).to.eventually.have.property('size').to.equal(0)
       ]);
     });
 
+    it('returns matched documents for operator "array-contains-any"', function() {
+      var results1 = collection.where('array', 'array-contains-any', ['x', 'y']).get();
+      var results2 = collection.where('array', 'array-contains-any', ['xx', 'z']).get();
+      var results3 = collection.where('name', 'array-contains-any', ['a']).get();
+      db.flush();
+
+      return Promise.all([
+        expect(results1).to.eventually.have.property('size').to.equal(3),
+        expect(results2).to.eventually.have.property('size').to.equal(1),
+        expect(results3).to.eventually.have.property('size').to.equal(0)
+      ]);
+    });
+
+    it('supports range operators on nested paths', function() {
+      var results1 = collection.where('complex.name', '>=', 2).get();
+      var results2 = collection.where(new Firestore.FieldPath('complex', 'array'), 'array-contains', 'x').get();
+      db.flush();
+
+      return Promise.all([
+        expect(results1).to.eventually.have.property('size').to.equal(2),
+        expect(results2).to.eventually.have.property('size').to.equal(1)
+      ]);
+    });
+
+    it('throws when using an unsupported operator', function() {
+      expect(function () {
+        collection.where('name', '=', 3);
+      }).to.throw('Invalid value "=" provided to function Query.where() for its second argument');
+    });
+
     it('returns matched documents with multiple where calls', function() {
       var results1 = collection.where('name_type', '==', 'string').where('name', '==', 'a').get();
       var results2 = collection.where('name_type', '==', 'number').where('name', '==', 'a').get();
@@ -286,6 +435,122 @@ describe('MockFirestoreCollection', function () {
     });
   });
 
+  describe('query validation', function () {
+    function expectInvalid(fn, message) {
+      try {
+        fn();
+      } catch (err) {
+        expect(err.message).to.equal(message);
+        expect(err.code).to.equal(3);
+        return;
+      }
+      throw new Error('Expected query to be invalid');
+    }
+
+    it('rejects inequality filters on different fields', function () {
+      expectInvalid(function () {
+        collection.where('name', '>', 1).where('value', '<', 3);
+      }, 'Invalid query. All where filters with an inequality (<, <=, !=, not-in, >, or >=) must be on the same ' +
+        'field. But you have inequality filters on \'name\' and \'value\'');
+      expect(function () {
+        collection.where('name', '>', 1).where('name', '<', 3).where('value', '==', 3);
+      }).to.not.throw();
+    });
+
+    it('rejects a first orderBy that does not match the inequality field', function () {
+      var message = 'Invalid query. You have a where filter with an inequality (<, <=, !=, not-in, >, or >=) on ' +
+        'field \'name\' and so you must also use \'name\' as your first argument to orderBy(), but your first ' +
+        'orderBy() is on field \'value\' instead.';
+      expectInvalid(function () {
+        collection.where('name', '>', 1).orderBy('value');
+      }, message);
+      expectInvalid(function () {
+        collection.orderBy('value').where('name', '!=', 1);
+      }, message);
+      expect(function () {
+        collection.where('name', '>', 1).orderBy('name').orderBy('value');
+      }).to.not.throw();
+    });
+
+    it('rejects too many elements for array filters', function () {
+      expectInvalid(function () {
+        collection.where('name', 'in', [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+      }, 'Invalid Query. \'in\' filter supports a maximum of 10 elements in the value array.');
+      expectInvalid(function () {
+        collection.where('array', 'array-contains-any', []);
+      }, 'Invalid Query. A non-empty array is required for \'array-contains-any\' filters.');
+    });
+
+    it('rejects conflicting operators', function () {
+      expectInvalid(function () {
+        collection.where('name', 'not-in', [1]).where('name', '!=', 2);
+      }, 'Invalid query. You cannot use \'!=\' filters with \'not-in\' filters.');
+      expectInvalid(function () {
+        collection.where('name', 'in', [1]).where('value', 'in', [2]);
+      }, 'Invalid query. You cannot use more than one \'in\' filter.');
+    });
+
+    it('rejects an unknown orderBy direction', function () {
+      expectInvalid(function () {
+        collection.orderBy('name', 'descending');
+      }, 'Function Query.orderBy() has unknown direction \'descending\', expected \'asc\' or \'desc\'.');
+    });
+
+    it('rejects orderBy after a cursor', function () {
+      expectInvalid(function () {
+        collection.orderBy('name').startAt(1).orderBy('value');
+      }, 'Invalid query. You must not call startAt() or startAfter() before calling orderBy().');
+      expectInvalid(function () {
+        collection.orderBy('name').endAt(1).orderBy('value');
+      }, 'Invalid query. You must not call endAt() or endBefore() before calling orderBy().');
+    });
+
+    it('rejects cursors with more values than orderBy clauses', function () {
+      expectInvalid(function () {
+        collection.startAt(1);
+      }, 'Too many arguments provided to startAt(). The number of arguments must be less than or equal to the ' +
+        'number of orderBy() clauses');
+      expectInvalid(function () {
+        collection.orderBy('name').endBefore(1, 2);
+      }, 'Too many arguments provided to endBefore(). The number of arguments must be less than or equal to the ' +
+        'number of orderBy() clauses');
+    });
+
+    it('rejects cursors with a non-string document id', function () {
+      expectInvalid(function () {
+        collection.orderBy(Firestore.FieldPath.documentId()).startAfter(1);
+      }, 'Invalid query. Expected a string for document ID in startAfter(), but got a number');
+    });
+
+    it('rejects snapshot cursors missing the ordered field', function () {
+      db.autoFlush();
+      return collection.doc('a').get().then(function (snap) {
+        expectInvalid(function () {
+          collection.orderBy('array').startAt(snap);
+        }, 'Invalid query. You are trying to start or end a query using a document for which the field \'array\' ' +
+          '(used as the orderBy) does not exist.');
+      });
+    });
+
+    it('rejects snapshot cursors for missing documents', function () {
+      db.autoFlush();
+      return collection.doc('missing').get().then(function (snap) {
+        expectInvalid(function () {
+          collection.orderBy('name').endAt(snap);
+        }, 'Can\'t use a DocumentSnapshot that doesn\'t exist for endAt().');
+      });
+    });
+
+    it('rejects non-positive limits', function () {
+      expectInvalid(function () {
+        collection.limit(0);
+      }, 'Function limit() requires a positive number, but it was: 0.');
+      expectInvalid(function () {
+        collection.orderBy('name').limitToLast(-1);
+      }, 'Function limitToLast() requires a positive number, but it was: -1.');
+    });
+  });
+
   describe('#stream', function () {
     function makeSnapComparable(snap) {
       return {
@@ -330,6 +595,33 @@ describe('MockFirestoreCollection', function () {
       }).to.not.throw();
     });
 
+    it('orders GeoPoints, Bytes, references and vectors by type and value', function () {
+      var places = db.collection('places');
+      var values = {
+        a: new Firestore.GeoPoint(10, 0),
+        b: db.doc('places/z'),
+        c: new Firestore.GeoPoint(-10, 0),
+        d: Firestore.Bytes.fromBase64String('AQ=='),
+        e: Firestore.FieldValue.vector([1])
+      };
+      db.autoFlush();
+      return Promise.all(_.map(_.keys(values), function (id) {
+        return places.doc(id).set({ value: values[id] });
+      })).then(function () {
+        return Promise.all([
+          places.orderBy('value').get(),
+          places.where('value', '==', new Firestore.GeoPoint(-10, 0)).get(),
+          places.where('value', '>', new Firestore.GeoPoint(0, 0)).get(),
+          places.where('value', '==', db.doc('places/z')).get()
+        ]);
+      }).then(function (snaps) {
+        var ids = snaps.map(function (snap) {
+          return snap.docs.map(function (snapshot) { return snapshot.id; });
+        });
+        expect(ids).to.deep.equal([['d', 'b', 'c', 'a', 'e'], ['c'], ['a'], ['b']]);
+      });
+    });
+
     it('returns documents is desired order', function(done) {
       var results1 = collection.orderBy('name').get();
       var results2 = collection.orderBy('name', 'desc').get();
@@ -346,7 +638,7 @@ describe('MockFirestoreCollection', function () {
         snaps[1].forEach(function(doc) {
           names.push(doc.data().name);
         });
-        expect(names).to.deep.equal([1, 2, 3, 'c', 'b', 'a']);
+        expect(names).to.deep.equal(['c', 'b', 'a', 3, 2, 1]);
         done();
       }).catch(done);
     });
@@ -367,7 +659,7 @@ describe('MockFirestoreCollection', function () {
         snaps[1].forEach(function(doc) {
           names.push(doc.data().name);
         });
-        expect(names).to.deep.equal([1, 2, 3, 'c', 'b', 'a']);
+        expect(names).to.deep.equal(['c', 'b', 'a', 3, 2, 1]);
         done();
       }).catch(done);
     });
@@ -388,7 +680,7 @@ describe('MockFirestoreCollection', function () {
         snaps[1].forEach(function(doc) {
           names.push(doc.data().name);
         });
-        expect(names).to.deep.equal([1, 2, 3, 'c', 'b', 'a']);
+        expect(names).to.deep.equal(['c', 'b', 'a', 3, 2, 1]);
         done();
       }).catch(done);
     });
@@ -452,6 +744,63 @@ describe('MockFirestoreCollection', function () {
       }).catch(done);
       db.flush();
     });
+
+    it('orders values of different types by Firestore type order', function() {
+      db.autoFlush();
+      var group = db.collection('group');
+      group.doc('map').set({ value: { a: 1 } });
+      group.doc('string').set({ value: 'a' });
+      group.doc('array').set({ value: [1] });
+      group.doc('timestamp').set({ value: new Date(1000) });
+      group.doc('number').set({ value: 1 });
+      group.doc('null').set({ value: null });
+      group.doc('boolean').set({ value: true });
+
+      return group.orderBy('value').get().then(function (snap) {
+        expect(snap.docs.map(function (doc) { return doc.id; })).to.deep.equal([
+          'null', 'boolean', 'number', 'timestamp', 'string', 'array', 'map'
+        ]);
+      });
+    });
+
+    it('breaks ties by document id in the direction of the last order', function() {
+      db.autoFlush();
+      var group = db.collection('group');
+      group.doc('b').set({ value: 1, other: 1 });
+      group.doc('c').set({ value: 1, other: 1 });
+      group.doc('a').set({ value: 1, other: 1 });
+      group.doc('d').set({ value: 0, other: 1 });
+
+      return Promise.all([
+        group.orderBy('value').get(),
+        group.orderBy('other').orderBy('value', 'desc').get()
+      ]).then(function (snaps) {
+        expect(snaps[0].docs.map(function (doc) { return doc.id; })).to.deep.equal(['d', 'a', 'b', 'c']);
+        expect(snaps[1].docs.map(function (doc) { return doc.id; })).to.deep.equal(['c', 'b', 'a', 'd']);
+      });
+    });
+
+    it('excludes documents without the ordered field', function() {
+      var results = collection.orderBy('array').get();
+      db.flush();
+
+      return results.then(function (snap) {
+        expect(snap.docs.map(function (doc) { return doc.id; })).to.deep.equal(['b', '2', '1', 'c']);
+      });
+    });
+
+    it('returns documents ordered by id when no order is given', function() {
+      db.autoFlush();
+      var group = db.collection('group');
+      group.doc('b').set({ value: 1 });
+      group.doc('10').set({ value: 2 });
+      group.doc('a').set({ value: 3 });
+      group.doc('9').set({ value: 4 });
+
+      return group.get().then(function (snap) {
+        expect(snap.docs.map(function (doc) { return doc.id; })).to.deep.equal(['10', '9', 'a', 'b']);
+      });
+    });
   });
 
   describe('#startAfter', function () {
@@ -504,6 +853,123 @@ describe('MockFirestoreCollection', function () {
         }
       ).to.throw();
     });
+
+    it('returns data after the specified field values', function () {
+      return collection
+        .orderBy('a')
+        .startAfter(2)
+        .get()
+        .then(function(snaps) {
+          expect(snaps.docs.map(function (d) { return d.data().a; })).to.deep.equal([3, 4, 5]);
+        });
+    });
+
+    it('respects the direction of the order', function () {
+      return collection
+        .orderBy('a', 'desc')
+        .startAfter(doc2Snap)
+        .get()
+        .then(function(snaps) {
+          expect(snaps.docs.map(function (d) { return d.data().a; })).to.deep.equal([1]);
+        });
+    });
+  });
+
+  describe('cursors', function () {
+    var doc2Snap;
+
+    function values(snaps) {
+      return snaps.docs.map(function (d) { return d.data().a; });
+    }
+
+    beforeEach(function () {
+      db.autoFlush();
+
+      collection = db.collection('cursors');
+      collection.doc('d1').set({a: 1, b: 'x'});
+      collection.doc('d2').set({a: 2, b: 'x'});
+      collection.doc('d3').set({a: 3, b: 'y'});
+      collection.doc('d4').set({a: 4, b: 'y'});
+      collection.doc('d5').set({a: 5, b: 'y'});
+
+      return collection.doc('d2').get().then(function (snap) {
+        doc2Snap = snap;
+      });
+    });
+
+    describe('#startAt', function () {
+      it('returns data starting at the specified snapshot', function () {
+        return collection.orderBy('a').startAt(doc2Snap).get().then(function (snaps) {
+          expect(values(snaps)).to.deep.equal([2, 3, 4, 5]);
+        });
+      });
+
+      it('returns data starting at the specified field values', function () {
+        return collection.orderBy('b').orderBy('a').startAt('y', 4).get().then(function (snaps) {
+          expect(values(snaps)).to.deep.equal([4, 5]);
+        });
+      });
+
+      it('allows fewer field values than orderBy clauses', function () {
+        return collection.orderBy('b').orderBy('a').startAt('y').get().then(function (snaps) {
+          expect(values(snaps)).to.deep.equal([3, 4, 5]);
+        });
+      });
+
+      it('throws with no order', function () {
+        expect(function () {
+          collection.startAt(1);
+        }).to.throw();
+      });
+    });
+
+    describe('#endAt', function () {
+      it('returns data ending at the specified snapshot', function () {
+        return collection.orderBy('a').endAt(doc2Snap).get().then(function (snaps) {
+          expect(values(snaps)).to.deep.equal([1, 2]);
+        });
+      });
+
+      it('returns data ending at the specified field values', function () {
+        return collection.orderBy('a').startAt(2).endAt(4).get().then(function (snaps) {
+          expect(values(snaps)).to.deep.equal([2, 3, 4]);
+        });
+      });
+
+      it('includes every document matching a partial cursor', function () {
+        return collection.orderBy('b').orderBy('a').endAt('x').get().then(function (snaps) {
+          expect(values(snaps)).to.deep.equal([1, 2]);
+        });
+      });
+    });
+
+    describe('#endBefore', function () {
+      it('returns data before the specified snapshot', function () {
+        return collection.orderBy('a').endBefore(doc2Snap).get().then(function (snaps) {
+          expect(values(snaps)).to.deep.equal([1]);
+        });
+      });
+
+      it('returns data before the specified field values', function () {
+        return collection.orderBy('a', 'desc').endBefore(2).get().then(function (snaps) {
+          expect(values(snaps)).to.deep.equal([5, 4, 3]);
+        });
+      });
+
+      it('uses the document id to tell apart documents with equal values', function () {
+        return collection.doc('d3').get().then(function (doc3Snap) {
+          return collection.orderBy('b').endBefore(doc3Snap).get();
+        }).then(function (snaps) {
+          expect(values(snaps)).to.deep.equal([1, 2]);
+        });
+      });
+    });
+
+    it('replaces an earlier cursor of the same kind', function () {
+      return collection.orderBy('a').startAt(1).startAfter(3).endBefore(1).endAt(4).get().then(function (snaps) {
+        expect(values(snaps)).to.deep.equal([4]);
+      });
+    });
   });
 
   describe('#limit', function () {
@@ -528,6 +994,133 @@ describe('MockFirestoreCollection', function () {
       ]);
     });
   });
+
+  describe('#limitToLast', function () {
+    beforeEach(function () {
+      db.autoFlush();
+    });
+
+    it('returns the last documents in query order', function() {
+      return collection.orderBy('name').limitToLast(2).get().then(function (snap) {
+        expect(snap.docs.map(function (doc) { return doc.data().name; })).to.deep.equal(['b', 'c']);
+      });
+    });
+
+    it('works with cursors', function() {
+      return collection.orderBy('name').endBefore('a').limitToLast(2).get().then(function (snap) {
+        expect(snap.docs.map(function (doc) { return doc.data().name; })).to.deep.equal([2, 3]);
+      });
+    });
+
+    it('is replaced by limit', function() {
+      return collection.orderBy('name').limitToLast(2).limit(1).get().then(function (snap) {
+        expect(snap.docs.map(function (doc) { return doc.data().name; })).to.deep.equal([1]);
+      });
+    });
+
+    it('throws without an order', function() {
+      expect(function () {
+        collection.limitToLast(2).get();
+      }).to.throw('limitToLast() queries require specifying at least one orderBy() clause');
+      expect(function () {
+        collection.limitToLast(2).onSnapshot(function () {});
+      }).to.throw('limitToLast() queries require specifying at least one orderBy() clause');
+    });
+  });
+
+  describe('#count', function () {
+    beforeEach(function () {
+      db.autoFlush();
+    });
+
+    it('counts the documents in the results', function () {
+      return collection.count().get().then(function (snap) {
+        expect(snap.data()).to.deep.equal({ count: 6 });
+      });
+    });
+
+    it('respects filters, cursors and limits', function () {
+      return Promise.all([
+        collection.where('name_type', '==', 'string').count().get(),
+        collection.orderBy('name').startAfter(2).count().get(),
+        collection.orderBy('name').limit(2).count().get(),
+        collection.where('name', '==', 'z').count().get()
+      ]).then(function (snaps) {
+        expect(snaps.map(function (snap) { return snap.data().count; })).to.deep.equal([3, 4, 2, 0]);
+      });
+    });
+
+    it('resolves with a snapshot referencing the aggregate query', function () {
+      var query = collection.count();
+      return query.get().then(function (snap) {
+        expect(snap.query).to.equal(query);
+        expect(snap.readTime).to.be.an.instanceof(Timestamp);
+      });
+    });
+
+    it('can simulate an error', function () {
+      var err = new Error('An error occured.');
+      var query = collection.count();
+      query.errs.get = err;
+      return expect(query.get()).to.be.rejectedWith(err);
+    });
+  });
+
+  describe('#aggregate', function () {
+    var AggregateField = Firestore.AggregateField;
+
+    beforeEach(function () {
+      db.autoFlush();
+    });
+
+    it('computes sums and averages of numeric values', function () {
+      return collection.aggregate({
+        total: AggregateField.sum('name'),
+        mean: AggregateField.average(new Firestore.FieldPath('complex', 'name')),
+        count: AggregateField.count()
+      }).get().then(function (snap) {
+        expect(snap.data()).to.deep.equal({ total: 6, mean: 2, count: 6 });
+      });
+    });
+
+    it('respects filters, cursors and limits', function () {
+      return collection.orderBy('name').endBefore(3).aggregate({
+        total: AggregateField.sum('name'),
+        mean: AggregateField.average('name')
+      }).get().then(function (snap) {
+        expect(snap.data()).to.deep.equal({ total: 3, mean: 1.5 });
+      });
+    });
+
+    it('returns 0 for sums and null for averages without numeric values', function () {
+      return collection.where('name_type', '==', 'string').aggregate({
+        total: AggregateField.sum('name'),
+        mean: AggregateField.average('name')
+      }).get().then(function (snap) {
+        expect(snap.data()).to.deep.equal({ total: 0, mean: null });
+      });
+    });
+
+    it('compares aggregate queries', function () {
+      var query = collection.aggregate({ total: AggregateField.sum('name') });
+      expect(query.isEqual(collection.aggregate({ total: AggregateField.sum('name') }))).to.equal(true);
+      expect(query.isEqual(collection.aggregate({ total: AggregateField.average('name') }))).to.equal(false);
+      expect(query.isEqual(collection.limit(1).aggregate({ total: AggregateField.sum('name') }))).to.equal(false);
+    });
+
+    it('can be run with getAggregateFromServer and getCountFromServer', function () {
+      return Promise.all([
+        Firestore.getAggregateFromServer(collection.orderBy('name').endBefore(3), {
+          total: AggregateField.sum('name')
+        }),
+        Firestore.getCountFromServer(collection.where('name_type', '==', 'string'))
+      ]).then(function (snaps) {
+        expect(snaps[0].data()).to.deep.equal({ total: 3 });
+        expect(snaps[1].data()).to.deep.equal({ count: 3 });
+      });
+    });
+  });
+
   describe('#listDocuments', function () {
     it('retrieves all data for existing collection', function(done) {
       db.autoFlush();
@@ -615,8 +1208,8 @@ describe('MockFirestoreCollection', function () {
       process.nextTick(function() {
         expect(callCount).to.equal(2);
 
-        collection.doc('a').update({name: 'AA'}, {setMerge: true});
         unsubscribe();
+        collection.doc('a').update({name: 'AA'}, {setMerge: true});
 
         collection.flush();
 
@@ -629,6 +1222,75 @@ describe('MockFirestoreCollection', function () {
 
     });
 
+    it('reports all documents as added in the first snapshot', function () {
+      var snap;
+      collection.orderBy('name').limit(2).onSnapshot(function (_snap) {
+        snap = _snap;
+      });
+
+      expect(snap.docChanges().map(function (change) {
+        return [change.type, change.doc.id, change.oldIndex, change.newIndex];
+      })).to.deep.equal([
+        ['added', '1', -1, 0],
+        ['added', '2', -1, 1]
+      ]);
+    });
+
+    it('reports the changes since the previous snapshot', function () {
+      var snaps = [];
+      collection.orderBy('name').onSnapshot(function (snap) {
+        snaps.push(snap);
+      });
+
+      var batch = db.batch();
+      batch.delete(collection.doc('1'));
+      batch.set(collection.doc('d'), { name: 'd' });
+      batch.update(collection.doc('b'), { name: 0 });
+      batch.update(collection.doc('c'), { name_type: 'other' });
+      batch.commit();
+
+      expect(snaps.length).to.equal(2);
+      expect(snaps[1].docs.map(function (doc) { return doc.id; })).to.deep.equal(['b', '2', '3', 'a', 'c', 'd']);
+      expect(snaps[1].docChanges().map(function (change) {
+        return [change.type, change.doc.id, change.oldIndex, change.newIndex];
+      })).to.deep.equal([
+        ['removed', '1', 0, -1],
+        ['added', 'd', -1, 5],
+        ['modified', 'b', 3, 0],
+        ['modified', 'c', 4, 4]
+      ]);
+      expect(snaps[1].docChanges()[0].doc.data()).to.deep.equal(require('./data.json').collections['1']);
+      expect(snaps[1].docChanges()[2].doc.data().name).to.equal(0);
+    });
+
+    it('notifies listeners on filtered queries of later writes', function () {
+      var snaps = [];
+      collection.where('name_type', '==', 'string').onSnapshot(function (snap) {
+        snaps.push(snap);
+      });
+
+      var batch = db.batch();
+      batch.update(collection.doc('1'), { name_type: 'string' });
+      batch.update(collection.doc('a'), { name_type: 'number' });
+      batch.commit();
+
+      expect(snaps.length).to.equal(2);
+      expect(snaps[1].docs.map(function (doc) { return doc.id; })).to.deep.equal(['1', 'b', 'c']);
+      expect(snaps[1].docChanges().map(function (change) {
+        return change.type + ' ' + change.doc.id;
+      })).to.deep.equal(['removed a', 'added 1']);
+    });
+
+    it('does not notify listeners when the results do not change', function () {
+      var callback = sinon.spy();
+      collection.where('name_type', '==', 'string').onSnapshot(callback);
+
+      collection.doc('1').update({ name: 'other' });
+      collection.flush();
+
+      expect(callback.callCount).to.equal(1);
+    });
+
     it('Calls onError if error', function (done) {
       var error = new Error("An error occured.");
       collection.errs.onSnapshot = error;
@@ -649,5 +1311,53 @@ describe('MockFirestoreCollection', function () {
       collection.flush();
     });
 
+    context('metadata', function () {
+      it('raises a snapshot with pending writes for local writes', function () {
+        var snapshots = [];
+        collection.onSnapshot(function (snap) {
+          snapshots.push(snap);
+        });
+        collection.doc('a').update({ name: 'changed' });
+        collection.flush();
+        expect(snapshots.length).to.equal(2);
+        expect(snapshots[0].metadata.hasPendingWrites).to.equal(false);
+        expect(snapshots[1].metadata.hasPendingWrites).to.equal(true);
+        expect(_.map(snapshots[1].docs, function (doc) {
+          return doc.metadata.hasPendingWrites;
+        })).to.deep.equal(_.map(snapshots[1].docs, function (doc) {
+          return doc.id === 'a';
+        }));
+      });
+
+      it('raises a metadata-only snapshot with includeMetadataChanges', function () {
+        var snapshots = [];
+        collection.onSnapshot({ includeMetadataChanges: true }, {
+          next: function (snap) {
+            snapshots.push(snap);
+          }
+        });
+        collection.doc('a').update({ name: 'changed' });
+        collection.flush();
+        expect(_.map(snapshots, 'metadata.hasPendingWrites')).to.deep.equal([false, true, false]);
+        expect(snapshots[2].docChanges()).to.deep.equal([]);
+        var changes = snapshots[2].docChanges({ includeMetadataChanges: true });
+        expect(changes.length).to.equal(1);
+        expect(changes[0].type).to.equal('modified');
+        expect(changes[0].doc.id).to.equal('a');
+        expect(changes[0].doc.metadata.hasPendingWrites).to.equal(false);
+      });
+
+      it('raises the pending snapshot when the write is made', function () {
+        var snapshots = [];
+        collection.onSnapshot({ includeMetadataChanges: true }, function (snap) {
+          snapshots.push(snap);
+        });
+        collection.doc('a').set({ name: 'changed' });
+        expect(_.map(snapshots, 'metadata.hasPendingWrites')).to.deep.equal([false, true]);
+        expect(snapshots[1].docChanges()[0].doc.data()).to.deep.equal({ name: 'changed' });
+        collection.flush();
+        expect(_.map(snapshots, 'metadata.hasPendingWrites')).to.deep.equal([false, true, false]);
+      });
+    });
   });
 });
@@ -0,0 +1,113 @@
+'use strict';
+
+var expect = require('chai').expect;
+var comparator = require('../../src/firestore-comparator');
+var Firestore = require('../../').MockFirestore;
+var Bytes = require('../../src/firestore-bytes');
+var GeoPoint = require('../../src/firestore-geo-point');
+var Timestamp = require('../../src/timestamp');
+var VectorValue = require('../../src/firestore-vector-value');
+
+describe('FirestoreComparator', function () {
+
+  var db;
+  beforeEach(function () {
+    db = new Firestore();
+  });
+
+  describe('#compare', function () {
+    it('orders values by type', function () {
+      var values = [
+        null,
+        true,
+        1,
+        new Date(1000),
+        'a',
+        Bytes.fromBase64String('AQ=='),
+        db.doc('collection/doc'),
+        new GeoPoint(0, 0),
+        ['a'],
+        new VectorValue([1]),
+        { a: 1 }
+      ];
+      var sorted = values.slice().reverse().sort(comparator.compare);
+      sorted.forEach(function (value, i) {
+        expect(value).to.equal(values[i]);
+      });
+    });
+
+    it('orders bytes by byte value, then by length', function () {
+      var values = [
+        Bytes.fromUint8Array(new Uint8Array([])),
+        Bytes.fromUint8Array(new Uint8Array([1])),
+        Bytes.fromUint8Array(new Uint8Array([1, 0])),
+        Bytes.fromUint8Array(new Uint8Array([255]))
+      ];
+      var sorted = values.slice().reverse().sort(comparator.compare);
+      sorted.forEach(function (value, i) {
+        expect(value).to.equal(values[i]);
+      });
+    });
+
+    it('orders geopoints by latitude, then by longitude', function () {
+      expect(comparator.compare(new GeoPoint(-10, 50), new GeoPoint(10, -50))).to.equal(-1);
+      expect(comparator.compare(new GeoPoint(10, 50), new GeoPoint(10, -50))).to.equal(1);
+      expect(comparator.compare(new GeoPoint(10, 50), new GeoPoint(10, 50))).to.equal(0);
+    });
+
+    it('orders vectors by dimension, then by value', function () {
+      expect(comparator.compare(new VectorValue([9, 9]), new VectorValue([1, 1, 1]))).to.equal(-1);
+      expect(comparator.compare(new VectorValue([1, 2]), new VectorValue([1, 1]))).to.equal(1);
+    });
+
+    it('orders NaN before other numbers', function () {
+      expect(comparator.compare(NaN, -Infinity)).to.equal(-1);
+      expect(comparator.compare(NaN, NaN)).to.equal(0);
+    });
+
+    it('orders false before true', function () {
+      expect(comparator.compare(false, true)).to.equal(-1);
+    });
+
+    it('compares timestamps and dates', function () {
+      expect(comparator.compare(Timestamp.fromMillis(1000), new Date(1000))).to.equal(0);
+      expect(comparator.compare(new Date(999), Timestamp.fromMillis(1000))).to.equal(-1);
+    });
+
+    it('orders strings by code point', function () {
+      expect(comparator.compare('a', 'b')).to.equal(-1);
+      expect(comparator.compare('a', 'aa')).to.equal(-1);
+      expect(comparator.compare('\uD83D\uDE00', '\uFFFD')).to.equal(1);
+    });
+
+    it('orders references by path segments', function () {
+      expect(comparator.compare(db.doc('a/b'), db.doc('a/b/c/d'))).to.equal(-1);
+      expect(comparator.compare(db.doc('a/c'), db.doc('a/b/c/d'))).to.equal(1);
+      expect(comparator.compare(db.doc('a/b'), db.doc('a/b'))).to.equal(0);
+    });
+
+    it('orders arrays element by element, then by length', function () {
+      expect(comparator.compare([1, 2], [1, 3])).to.equal(-1);
+      expect(comparator.compare([1, 2], [1])).to.equal(1);
+      expect(comparator.compare([2], [1, 2])).to.equal(1);
+    });
+
+    it('orders maps by sorted keys and values, then by size', function () {
+      expect(comparator.compare({ a: 1 }, { b: 0 })).to.equal(-1);
+      expect(comparator.compare({ b: 1, a: 2 }, { a: 1, b: 2 })).to.equal(1);
+      expect(comparator.compare({ a: 1 }, { a: 1, b: 2 })).to.equal(-1);
+    });
+  });
+
+  describe('#equals', function () {
+    it('compares values deeply', function () {
+      expect(comparator.equals({ a: [1, { b: 'c' }] }, { a: [1, { b: 'c' }] })).to.equal(true);
+      expect(comparator.equals({ a: [1, { b: 'c' }] }, { a: [1, { b: 'd' }] })).to.equal(false);
+    });
+
+    it('does not equate values of different types', function () {
+      expect(comparator.equals(0, false)).to.equal(false);
+      expect(comparator.equals('1', 1)).to.equal(false);
+    });
+  });
+});
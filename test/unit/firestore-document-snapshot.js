@@ -3,6 +3,7 @@
 var expect   = require('chai').use(require('sinon-chai')).expect;
 var sinon    = require('sinon');
 var Snapshot = require('../../src/firestore-document-snapshot');
+var SnapshotMetadata = require('../../src/firestore-snapshot-metadata');
 var Firestore = require('../../').MockFirestore;
 
 describe('DocumentSnapshot', function () {
@@ -125,4 +126,14 @@ describe('DocumentSnapshot', function () {
       expect(new Snapshot('docid', ref, data).ref).to.equal(ref);
     });
   });
+
+  describe('#metadata', function () {
+    it('defaults to an acknowledged snapshot from the server', function () {
+      var metadata = new Snapshot('docid', ref, {}).metadata;
+      expect(metadata.hasPendingWrites).to.equal(false);
+      expect(metadata.fromCache).to.equal(false);
+      expect(metadata.isEqual(new SnapshotMetadata(false, false))).to.equal(true);
+      expect(metadata.isEqual(new SnapshotMetadata(true, false))).to.equal(false);
+    });
+  });
 });
@@ -11,6 +11,7 @@ var expect = chai.expect;
 var _ = require('../../src/lodash');
 var Firestore = require('../../').MockFirestore;
 var Firebase = require('../../').MockFirebase;
+var Timestamp = require('../../src/timestamp');
 
 describe('MockFirestoreDocument', function () {
 
@@ -76,6 +77,89 @@ describe('MockFirestoreDocument', function () {
     });
   });
 
+  describe('#withConverter', function () {
+    function Title(text) {
+      this.text = text;
+    }
+
+    var converter;
+    beforeEach(function () {
+      converter = {
+        toFirestore: sinon.spy(function (title) {
+          return { title: title.text };
+        }),
+        fromFirestore: sinon.spy(function (snapshot) {
+          return new Title(snapshot.data().title);
+        })
+      };
+    });
+
+    it('returns a typed reference to the same document', function () {
+      var typed = doc.withConverter(converter);
+      expect(typed.path).to.equal(doc.path);
+      expect(typed.parent).to.equal(doc.parent);
+      expect(typed.withConverter(null)).to.equal(doc);
+    });
+
+    it('converts the data read from the document', function () {
+      var typed = doc.withConverter(converter);
+      var promise = typed.get();
+      db.flush();
+      return promise.then(function (snap) {
+        expect(snap.ref).to.equal(typed);
+        expect(snap.data()).to.deep.equal(new Title('title'));
+        expect(snap.get('title')).to.equal('title');
+        expect(converter.fromFirestore.firstCall.args[0].ref).to.equal(doc);
+      });
+    });
+
+    it('passes the snapshot options to fromFirestore', function () {
+      var promise = doc.withConverter(converter).get();
+      db.flush();
+      return promise.then(function (snap) {
+        snap.data({ serverTimestamps: 'estimate' });
+        expect(converter.fromFirestore.firstCall.args[1]).to.deep.equal({ serverTimestamps: 'estimate' });
+      });
+    });
+
+    it('returns null for a missing document', function () {
+      var promise = db.doc('missing').withConverter(converter).get();
+      db.flush();
+      return promise.then(function (snap) {
+        expect(snap.data()).to.equal(null);
+        expect(converter.fromFirestore.callCount).to.equal(0);
+      });
+    });
+
+    it('converts the data written with set and create', function () {
+      doc.withConverter(converter).set(new Title('set'));
+      db.doc('created').withConverter(converter).create(new Title('created'));
+      db.flush();
+      expect(doc.data).to.deep.equal({ title: 'set' });
+      expect(db.doc('created').data).to.deep.equal({ title: 'created' });
+    });
+
+    it('passes merge options to toFirestore', function () {
+      doc.withConverter(converter).set(new Title('merged'), { merge: true });
+      db.flush();
+      expect(converter.toFirestore).to.have.been.calledWith(new Title('merged'), { merge: true });
+      expect(doc.data).to.deep.equal({ title: 'merged' });
+    });
+
+    it('does not convert updates', function () {
+      doc.withConverter(converter).update({ title: 'updated' });
+      db.flush();
+      expect(converter.toFirestore.callCount).to.equal(0);
+      expect(doc.data).to.deep.equal({ title: 'updated' });
+    });
+
+    it('returns untyped subcollections', function () {
+      var collection = doc.withConverter(converter).collection('children');
+      expect(collection.parent).to.equal(doc);
+      expect(collection._converter).to.equal(null);
+    });
+  });
+
   describe('#get', function () {
     it('gets value of doc', function (done) {
       db.doc('doc').get().then(function(snap) {
@@ -91,6 +175,92 @@ describe('MockFirestoreDocument', function () {
 
       expect(ref.get()).to.eventually.have.property('ref').equal(ref);
     });
+
+    context('document times', function () {
+      afterEach(Firebase.restoreClock);
+
+      it('exposes the create and update times of the doc', function () {
+        var newDoc = db.doc('newDoc');
+        Firebase.setClock(function () {
+          return 1000;
+        });
+        newDoc.set({ value: 1 });
+        db.flush();
+        Firebase.setClock(function () {
+          return 2000;
+        });
+        newDoc.update({ value: 2 });
+        var promise = newDoc.get();
+        db.flush();
+        return promise.then(function (snap) {
+          expect(snap.createTime.toMillis()).to.equal(1000);
+          expect(snap.updateTime.toMillis()).to.equal(2000);
+          expect(snap.readTime.toMillis()).to.equal(2000);
+        });
+      });
+
+      it('keeps the update time when a write changes nothing', function () {
+        var newDoc = db.doc('newDoc');
+        Firebase.setClock(function () {
+          return 1000;
+        });
+        newDoc.set({ value: 1 });
+        db.flush();
+        Firebase.setClock(function () {
+          return 2000;
+        });
+        newDoc.set({ value: 1 });
+        var promise = newDoc.get();
+        db.flush();
+        return promise.then(function (snap) {
+          expect(snap.updateTime.toMillis()).to.equal(1000);
+        });
+      });
+
+      it('gives writes within the same millisecond distinct update times', function () {
+        var newDoc = db.doc('newDoc');
+        Firebase.setClock(function () {
+          return 1000;
+        });
+        newDoc.set({ value: 1 });
+        db.flush();
+        var first = newDoc._updateTime;
+        newDoc.set({ value: 2 });
+        db.flush();
+        expect(newDoc._updateTime.isEqual(first)).to.equal(false);
+        expect(Math.floor(newDoc._updateTime.toMillis())).to.equal(1000);
+      });
+
+      it('keeps update times increasing past a millisecond worth of writes', function () {
+        var newDoc = db.doc('newDoc');
+        Firebase.setClock(function () {
+          return 1999;
+        });
+        var times = [];
+        for (var i = 0; i < 1002; i++) {
+          newDoc.set({ value: i });
+          db.flush();
+          times.push(newDoc._updateTime);
+        }
+        _.forEach(times.slice(1), function (time, i) {
+          var previous = times[i];
+          expect(time.seconds > previous.seconds ||
+            (time.seconds === previous.seconds && time.nanoseconds > previous.nanoseconds)).to.equal(true);
+        });
+        expect(times[1001]).to.have.property('seconds', 2);
+        expect(times[1001]).to.have.property('nanoseconds', 1000);
+      });
+
+      it('has no create or update time for a missing doc', function () {
+        var promise = db.doc('missing').get();
+        db.flush();
+        return promise.then(function (snap) {
+          expect(snap.createTime).to.equal(undefined);
+          expect(snap.updateTime).to.equal(undefined);
+          expect(snap.readTime).to.have.property('seconds');
+        });
+      });
+    });
   });
 
   describe('#create', function () {
@@ -204,11 +374,16 @@ describe('MockFirestoreDocument', function () {
 
     it('sets value of doc with server timestamp', function (done) {
       doc.set({
-        serverTime: Firestore.FieldValue.serverTimestamp()
+        serverTime: Firestore.FieldValue.serverTimestamp(),
+        nested: {
+          serverTime: Firestore.FieldValue.serverTimestamp()
+        }
       });
       doc.get().then(function(snap) {
         expect(snap.exists).to.equal(true);
         expect(snap.get('serverTime')).to.have.property('seconds');
+        expect(isNaN(snap.get('serverTime').seconds)).to.equal(false);
+        expect(isNaN(snap.get('nested.serverTime').seconds)).to.equal(false);
         done();
       }).catch(done);
 
@@ -217,7 +392,7 @@ describe('MockFirestoreDocument', function () {
 
     it('sets value of doc with ref', function (done) {
       var ref = db.doc('ref');
-      ref.create();
+      ref.create({});
       doc.set({
         ref: ref
       });
@@ -230,6 +405,27 @@ describe('MockFirestoreDocument', function () {
       db.flush();
     });
 
+    it('keeps GeoPoint, Bytes, VectorValue and reference values', function () {
+      var ref = db.doc('collection/ref');
+      var data = {
+        location: new Firestore.GeoPoint(52.5, 13.4),
+        avatar: Firestore.Bytes.fromBase64String('AAH/'),
+        embedding: Firestore.FieldValue.vector([0.1, 0.2]),
+        nested: { ref: ref }
+      };
+      db.autoFlush();
+      return doc.set(data).then(function () {
+        return doc.get();
+      }).then(function (snap) {
+        var result = snap.data();
+        expect(result.location).to.be.an.instanceof(Firestore.GeoPoint);
+        expect(result.location.isEqual(data.location)).to.equal(true);
+        expect(result.avatar.isEqual(data.avatar)).to.equal(true);
+        expect(result.embedding.toArray()).to.deep.equal([0.1, 0.2]);
+        expect(result.nested.ref).to.equal(ref);
+      });
+    });
+
     it('overrides existing data when using FieldValue.increment()', function (done) {
       doc.set({
         titles: 10
@@ -343,6 +539,47 @@ describe('MockFirestoreDocument', function () {
     });
   });
 
+  describe('#set with mergeFields', function () {
+    beforeEach(function () {
+      doc.set({ a: { b: 1, c: 2 }, d: 3 });
+      db.flush();
+    });
+
+    it('writes only the listed fields', function () {
+      doc.set({ a: { b: 10, c: 20 }, d: 30, e: 40 }, { mergeFields: ['a.b', new Firestore.FieldPath('e')] });
+      db.flush();
+      expect(doc.data).to.deep.equal({ a: { b: 10, c: 2 }, d: 3, e: 40 });
+    });
+
+    it('replaces the whole value of a listed map', function () {
+      doc.set({ a: { c: 5 } }, { mergeFields: ['a'] });
+      db.flush();
+      expect(doc.data).to.deep.equal({ a: { c: 5 }, d: 3 });
+    });
+
+    it('creates a missing document', function () {
+      var other = db.doc('other');
+      other.set({ a: 1, b: 2 }, { mergeFields: ['b'] });
+      db.flush();
+      expect(other.data).to.deep.equal({ b: 2 });
+    });
+
+    it('throws when a listed field is missing from the data', function () {
+      expect(function () {
+        doc.set({ a: { b: 1 } }, { mergeFields: ['a.c'] });
+      }).to.throw('Value for argument "data" is not a valid Firestore document. Input data is missing for field "a.c".');
+    });
+
+    it('throws on invalid options', function () {
+      expect(function () {
+        doc.set({ a: 1 }, { merge: true, mergeFields: ['a'] });
+      }).to.throw('You cannot specify both "merge" and "mergeFields".');
+      expect(function () {
+        doc.set({ a: 1 }, { mergeFields: 'a' });
+      }).to.throw('"mergeFields" is not an array.');
+    });
+  });
+
   describe('#update', function () {
     it('updates value of doc', function (done) {
       doc.set({
@@ -536,6 +773,193 @@ describe('MockFirestoreDocument', function () {
 
       db.flush();
     });
+
+    it('updates the doc when the lastUpdateTime precondition holds', function () {
+      var updateTime = doc._updateTime;
+      var promise = doc.update({ title: 'new title' }, { lastUpdateTime: updateTime });
+      db.flush();
+      return promise.then(function () {
+        expect(doc.data.title).to.equal('new title');
+        expect(doc._updateTime.isEqual(updateTime)).to.equal(false);
+      });
+    });
+
+    it('rejects with FAILED_PRECONDITION when the doc changed since lastUpdateTime', function () {
+      var updateTime = doc._updateTime;
+      doc.update({ title: 'other title' });
+      var promise = doc.update({ title: 'new title' }, { lastUpdateTime: updateTime });
+      db.flush();
+      return promise.then(function () {
+        throw new Error('update should have failed');
+      }, function (err) {
+        expect(err.code).to.equal(9);
+        expect(err.message).to.match(/^the stored version \(\d+\) does not match the required base version \(\d+\)$/);
+        expect(doc.data.title).to.equal('other title');
+      });
+    });
+
+    it('throws on an invalid precondition', function () {
+      expect(function () {
+        doc.update({ title: 'new title' }, { exists: false });
+      }).to.throw('Argument "precondition" is not a valid precondition. "exists" is not allowed to have the value false (allowed values: true)');
+      expect(function () {
+        doc.update({ title: 'new title' }, { lastUpdateTime: new Date() });
+      }).to.throw('Argument "precondition" is not a valid precondition. "lastUpdateTime" is not a Firestore Timestamp.');
+      expect(function () {
+        doc.update({ title: 'new title' }, { exists: true, lastUpdateTime: doc._updateTime });
+      }).to.throw('Argument "precondition" is not a valid precondition. Input specifies more than one precondition.');
+    });
+
+    context('field paths', function () {
+      beforeEach(function () {
+        doc.set({ a: { b: 1, c: 2 }, d: { e: 3 }, f: 'text' });
+        db.flush();
+      });
+
+      it('replaces only the field named by a dotted key', function () {
+        doc.update({ 'a.b': { x: 1 }, 'g.h': 4 });
+        db.flush();
+        expect(doc.data).to.deep.equal({ a: { b: { x: 1 }, c: 2 }, d: { e: 3 }, f: 'text', g: { h: 4 } });
+      });
+
+      it('replaces the whole field for top-level keys', function () {
+        doc.update({ a: { b: 5 } });
+        db.flush();
+        expect(doc.data.a).to.deep.equal({ b: 5 });
+      });
+
+      it('accepts alternating field paths and values', function () {
+        doc.update('a.b', 10, new Firestore.FieldPath('d', 'e.f'), 20, 'a.c', Firestore.FieldValue.delete());
+        db.flush();
+        expect(doc.data.a).to.deep.equal({ b: 10 });
+        expect(doc.data.d).to.deep.equal({ e: 3, 'e.f': 20 });
+      });
+
+      it('accepts a precondition after the field paths and values', function () {
+        var promise = doc.update('a.b', 2, { lastUpdateTime: Timestamp.fromMillis(0) });
+        db.flush();
+        return expect(promise).to.be.rejectedWith(/does not match the required base version/);
+      });
+
+      it('does not create maps to delete a missing field', function () {
+        doc.update('x.y', Firestore.FieldValue.delete());
+        db.flush();
+        expect(doc.data).to.not.have.property('x');
+      });
+
+      it('rejects a field path under a field that is not a map', function () {
+        var promise = doc.update('f.g', 1);
+        db.flush();
+        return promise.then(function () {
+          throw new Error('update should have failed');
+        }, function (err) {
+          expect(err.code).to.equal(3);
+          expect(err.message).to.equal('Cannot update field "f.g" because "f" is not a map.');
+          expect(doc.data.f).to.equal('text');
+        });
+      });
+
+      it('throws on invalid field paths and empty updates', function () {
+        expect(function () {
+          doc.update('a..b', 1);
+        }).to.throw('Value for argument "fieldPath" is not a valid field path.');
+        expect(function () {
+          doc.update({});
+        }).to.throw('At least one field must be updated.');
+      });
+
+      it('rejects fields that are specified multiple times', function () {
+        var err;
+        try {
+          doc.update({ 'a': 1, 'a.b': 2 });
+        } catch (e) {
+          err = e;
+        }
+        expect(err.code).to.equal(3);
+        expect(err.message).to.equal('Value for argument "dataOrField" is not a valid update map. ' +
+          'Field "a" was specified multiple times.');
+        expect(function () {
+          doc.update('b.c', 1, new Firestore.FieldPath('b', 'c'), 2);
+        }).to.throw('Field "b.c" was specified multiple times.');
+        expect(function () {
+          doc.update({ 'ab': 1, 'a.b': 2, 'a.bc': 3 });
+        }).to.not.throw();
+      });
+    });
+  });
+
+  describe('data validation', function () {
+    function nested(depth) {
+      var data = { value: 1 };
+      for (var i = 0; i < depth; i++) {
+        data = { child: data };
+      }
+      return data;
+    }
+
+    it('rejects undefined values', function () {
+      expect(function () {
+        doc.set({ a: { b: undefined } });
+      }).to.throw('Value for argument "data" is not a valid Firestore document. Cannot use "undefined" as a ' +
+        'Firestore value (found in field "a.b"). If you want to ignore undefined values, enable ' +
+        '`ignoreUndefinedProperties`.');
+      expect(function () {
+        doc.update({ 'a.b': undefined });
+      }).to.throw('(found in field "a.b")');
+    });
+
+    it('skips undefined values with ignoreUndefinedProperties', function () {
+      db.settings({ ignoreUndefinedProperties: true });
+      doc.set({ a: 1, b: undefined, c: [1, undefined] });
+      db.flush();
+      expect(doc.data).to.deep.equal({ a: 1, c: [1] });
+      expect(function () {
+        doc.set(undefined);
+      }).to.throw('"undefined" values are only ignored inside of objects.');
+    });
+
+    it('rejects objects nested deeper than 20 levels', function () {
+      expect(function () {
+        doc.set(nested(20));
+      }).to.not.throw();
+      expect(function () {
+        doc.set(nested(21));
+      }).to.throw(/Input object is deeper than 20 levels \(found in field "child(\.child){20}\.value"\)\.$/);
+    });
+
+    it('rejects reserved field names', function () {
+      expect(function () {
+        doc.set({ a: { __name__: 1 } });
+      }).to.throw('Document fields cannot begin and end with "__" (found in field "a.__name__").');
+      expect(function () {
+        doc.update({ 'a.__b__.c': 1 });
+      }).to.throw('(found in field "a.__b__")');
+    });
+
+    it('rejects nested arrays and field values inside of arrays', function () {
+      expect(function () {
+        doc.set({ a: [1, [2]] });
+      }).to.throw('Nested arrays are not supported (found in field "a.1").');
+      expect(function () {
+        doc.set({ a: [{ b: [] }] });
+      }).to.not.throw();
+      expect(function () {
+        doc.set({ a: [Firestore.FieldValue.serverTimestamp()] });
+      }).to.throw('FieldValue.serverTimestamp() cannot be used inside of an array (found in field "a.0").');
+    });
+
+    it('rejects documents larger than 1 MiB', function () {
+      var promise = doc.set({ text: new Array(1048577).join('a') });
+      db.flush();
+      return promise.then(function () {
+        throw new Error('Expected the write to fail');
+      }, function (err) {
+        expect(err.code).to.equal(3);
+        expect(err.message).to.equal('Document \'doc\' cannot be written because its size (1,048,634 bytes) ' +
+          'exceeds the maximum allowed size of 1,048,576 bytes.');
+        expect(doc.data).to.deep.equal({ title: 'title' });
+      });
+    });
   });
 
   describe('#delete', function () {
@@ -555,6 +979,36 @@ describe('MockFirestoreDocument', function () {
       db.flush();
       expect(result).to.eventually.equal(null);
     });
+
+    it('rejects with FAILED_PRECONDITION when the doc must exist but does not', function () {
+      var promise = db.doc('missing').delete({ exists: true });
+      db.flush();
+      return promise.then(function () {
+        throw new Error('delete should have failed');
+      }, function (err) {
+        expect(err.code).to.equal(9);
+        expect(err.message).to.equal('No document to update: missing');
+      });
+    });
+
+    it('deletes the doc when the lastUpdateTime precondition holds', function () {
+      var promise = doc.delete({ lastUpdateTime: doc._updateTime });
+      db.flush();
+      return promise.then(function () {
+        expect(doc.data).to.equal(null);
+      });
+    });
+
+    it('keeps the doc when the lastUpdateTime precondition fails', function () {
+      var promise = doc.delete({ lastUpdateTime: new Timestamp(1, 0) });
+      db.flush();
+      return promise.then(function () {
+        throw new Error('delete should have failed');
+      }, function (err) {
+        expect(err.code).to.equal(9);
+        expect(doc.data).not.to.equal(null);
+      });
+    });
   });
 
   describe('#getCollections', function () {
@@ -761,8 +1215,8 @@ describe('MockFirestoreDocument', function () {
       doc.update({newTitle: 'A new title'}, {setMerge: true});
       doc.flush();
       expect(callCount).to.equal(2);
-      doc.update({newTitle: 'A newer title'}, {setMerge: true});
       unsubscribe();
+      doc.update({newTitle: 'A newer title'}, {setMerge: true});
       doc.flush();
       expect(callCount).to.equal(2);
       done();
@@ -774,5 +1228,52 @@ describe('MockFirestoreDocument', function () {
         done();
       });
     });
+
+    it('raises a snapshot with pending writes for local writes', function () {
+      var snapshots = [];
+      doc.onSnapshot(function (snap) {
+        snapshots.push(snap);
+      });
+      doc.update({ title: 'new title' });
+      doc.flush();
+      expect(_.map(snapshots, 'metadata.hasPendingWrites')).to.deep.equal([false, true]);
+      expect(snapshots[1].get('title')).to.equal('new title');
+    });
+
+    it('raises a metadata-only snapshot when writes are acknowledged with includeMetadataChanges', function () {
+      var snapshots = [];
+      doc.onSnapshot({ includeMetadataChanges: true }, function (snap) {
+        snapshots.push(snap);
+      });
+      doc.update({ title: 'new title' });
+      doc.flush();
+      expect(_.map(snapshots, 'metadata.hasPendingWrites')).to.deep.equal([false, true, false]);
+      expect(snapshots[2].data()).to.deep.equal(snapshots[1].data());
+      expect(snapshots[2].metadata.fromCache).to.equal(false);
+
+      db.doc('other').set({ value: 1 });
+      doc.flush();
+      expect(snapshots.length).to.equal(3);
+    });
+
+    it('raises the pending snapshot when the write is made and acknowledges it on flush', function () {
+      var snapshots = [];
+      doc.onSnapshot({ includeMetadataChanges: true }, function (snap) {
+        snapshots.push(snap);
+      });
+      doc.set({ title: 'new title' });
+      expect(_.map(snapshots, 'metadata.hasPendingWrites')).to.deep.equal([false, true]);
+      expect(snapshots[1].data()).to.deep.equal({ title: 'new title' });
+      doc.flush();
+      expect(_.map(snapshots, 'metadata.hasPendingWrites')).to.deep.equal([false, true, false]);
+    });
+
+    it('accepts an observer', function () {
+      var next = sinon.spy();
+      var error = sinon.spy();
+      db.doc('doc').onSnapshot({ next: next, error: error });
+      expect(next.callCount).to.equal(1);
+      expect(error.callCount).to.equal(0);
+    });
   });
 });
@@ -0,0 +1,29 @@
+'use strict';
+
+var expect = require('chai').expect;
+var GeoPoint = require('../../src/firestore-geo-point');
+
+describe('GeoPoint', function () {
+  it('validates the coordinates', function () {
+    expect(function () {
+      return new GeoPoint(91, 0);
+    }).to.throw('Latitude must be a number between -90 and 90, but was: 91');
+    expect(function () {
+      return new GeoPoint(0, '1');
+    }).to.throw('Longitude must be a number between -180 and 180, but was: 1');
+  });
+
+  describe('#isEqual', function () {
+    it('compares the coordinates', function () {
+      expect(new GeoPoint(1, 2).isEqual(new GeoPoint(1, 2))).to.equal(true);
+      expect(new GeoPoint(1, 2).isEqual(new GeoPoint(2, 1))).to.equal(false);
+      expect(new GeoPoint(1, 2).isEqual({ latitude: 1, longitude: 2 })).to.equal(false);
+    });
+  });
+
+  describe('#toJSON', function () {
+    it('returns the coordinates', function () {
+      expect(new GeoPoint(1, 2).toJSON()).to.deep.equal({ latitude: 1, longitude: 2 });
+    });
+  });
+});
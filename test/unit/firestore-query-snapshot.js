@@ -86,5 +86,42 @@ describe('QuerySnapshot', function () {
       expect(docs.length).to.equal(2);
       expect(snapshot.size).to.equal(2);
     });
+
+    it('orders the snapshots by the given keys', function () {
+      var snapshot = new Snapshot(ref, {
+        '1': { foo: 'bar' },
+        'a': { foo: 'baz' }
+      }, ['a', '1']);
+      expect(snapshot.docs.map(function (doc) { return doc.id; })).to.deep.equal(['a', '1']);
+      expect(snapshot.docs[0].data()).to.deep.equal({ foo: 'baz' });
+    });
+  });
+
+  describe('#docChanges', function () {
+    it('reports every document as added by default', function () {
+      var snapshot = new Snapshot(ref, {
+        a: { foo: 'bar' },
+        b: { foo: 'baz' }
+      });
+      var changes = snapshot.docChanges();
+      expect(changes.length).to.equal(2);
+      expect(changes[1].type).to.equal('added');
+      expect(changes[1].doc).to.equal(snapshot.docs[1]);
+      expect(changes[1].oldIndex).to.equal(-1);
+      expect(changes[1].newIndex).to.equal(1);
+    });
+
+    it('uses the given changes', function () {
+      var snapshot = new Snapshot(ref, { a: { foo: 'bar' } }, ['a'], [
+        { type: 'removed', key: 'b', data: { foo: 'baz' }, oldIndex: 0, newIndex: -1 },
+        { type: 'modified', key: 'a', data: { foo: 'bar' }, oldIndex: 0, newIndex: 0 }
+      ]);
+      var changes = snapshot.docChanges();
+      expect(changes[0].type).to.equal('removed');
+      expect(changes[0].doc.id).to.equal('b');
+      expect(changes[0].doc.data()).to.deep.equal({ foo: 'baz' });
+      expect(changes[1].type).to.equal('modified');
+      expect(changes[1].doc).to.equal(snapshot.docs[0]);
+    });
   });
 });
@@ -0,0 +1,187 @@
+'use strict';
+
+var expect = require('chai').expect;
+var Rules = require('../../src/firestore-rules');
+var Firestore = require('../../').MockFirestore;
+var Timestamp = require('../../src/timestamp');
+
+describe('MockFirestoreRules', function () {
+
+  function rules(body) {
+    return new Rules('rules_version = \'2\';\n' +
+      'service cloud.firestore {\n' +
+      '  match /databases/{database}/documents {\n' + body + '\n  }\n}');
+  }
+
+  function context(overrides) {
+    var result = {
+      auth: null,
+      resource: null,
+      time: 1000,
+      getData: function () {
+        return null;
+      }
+    };
+    for (var key in overrides) result[key] = overrides[key];
+    return result;
+  }
+
+  describe('parsing', function () {
+    it('reports syntax errors with their position', function () {
+      expect(function () {
+        rules('match /users/{userId} {\n allow read: if ;\n}');
+      }).to.throw(/^Rules syntax error at line 5, column 17: Expected an expression but found ';'$/);
+    });
+
+    it('rejects unknown methods', function () {
+      expect(function () {
+        rules('match /users/{userId} { allow push; }');
+      }).to.throw(/Unknown method push/);
+    });
+
+    it('requires the cloud.firestore service', function () {
+      expect(function () {
+        new Rules('service firebase.storage { }');
+      }).to.throw(/Expected service cloud.firestore but found firebase.storage/);
+    });
+  });
+
+  describe('#allows', function () {
+    it('allows a method only when an allow statement for it is true', function () {
+      var r = rules('match /users/{userId} { allow get: if true; allow write: if false; }');
+      expect(r.allows('get', 'users/a', context())).to.equal(true);
+      expect(r.allows('list', 'users/a', context())).to.equal(false);
+      expect(r.allows('create', 'users/a', context())).to.equal(false);
+    });
+
+    it('denies paths without a matching block', function () {
+      var r = rules('match /users/{userId} { allow read; }');
+      expect(r.allows('get', 'posts/a', context())).to.equal(false);
+      expect(r.allows('get', 'users/a/posts/b', context())).to.equal(false);
+    });
+
+    it('binds wildcards, including recursive ones', function () {
+      var r = rules('match /users/{userId} { allow read: if userId == \'a\'; }\n' +
+        'match /{path=**}/posts/{postId} { allow read: if path == \'users/a\' && postId == \'b\'; }');
+      expect(r.allows('get', 'users/a', context())).to.equal(true);
+      expect(r.allows('get', 'users/b', context())).to.equal(false);
+      expect(r.allows('get', 'users/a/posts/b', context())).to.equal(true);
+      expect(r.allows('get', 'users/b/posts/b', context())).to.equal(false);
+    });
+
+    it('matches nested blocks', function () {
+      var r = rules('match /users/{userId} {\n' +
+        '  function isOwner() { return request.auth.uid == userId; }\n' +
+        '  match /private/{doc} { allow read: if isOwner(); }\n' +
+        '}');
+      expect(r.allows('get', 'users/a/private/b', context({ auth: { uid: 'a' } }))).to.equal(true);
+      expect(r.allows('get', 'users/a/private/b', context({ auth: { uid: 'b' } }))).to.equal(false);
+    });
+
+    it('evaluates functions with let bindings', function () {
+      var r = rules('function hasRole(role) {\n' +
+        '  let roles = request.auth.token.roles;\n' +
+        '  return role in roles;\n' +
+        '}\n' +
+        'match /admin/{doc} { allow read: if hasRole(\'admin\'); }');
+      var auth = { uid: 'a', token: { roles: ['admin'] } };
+      expect(r.allows('get', 'admin/a', context({ auth: auth }))).to.equal(true);
+      expect(r.allows('get', 'admin/a', context({ auth: { uid: 'a', token: { roles: [] } } }))).to.equal(false);
+    });
+
+    it('exposes the stored and the written data', function () {
+      var r = rules('match /posts/{postId} {\n' +
+        '  allow update: if request.resource.data.diff(resource.data).affectedKeys().hasOnly([\'title\'])\n' +
+        '    && request.resource.data.title.size() <= 5 && request.resource.id == postId;\n' +
+        '}');
+      var resource = { title: 'a', author: 'x' };
+      expect(r.allows('update', 'posts/p', context({
+        resource: resource,
+        requestResource: { title: 'b', author: 'x' }
+      }))).to.equal(true);
+      expect(r.allows('update', 'posts/p', context({
+        resource: resource,
+        requestResource: { title: 'b', author: 'y' }
+      }))).to.equal(false);
+      expect(r.allows('update', 'posts/p', context({
+        resource: resource,
+        requestResource: { title: 'bbbbbb', author: 'x' }
+      }))).to.equal(false);
+    });
+
+    it('reads other documents with get() and exists()', function () {
+      var r = rules('match /posts/{postId} {\n' +
+        '  allow delete: if get(/databases/$(database)/documents/users/$(request.auth.uid)).data.admin == true;\n' +
+        '  allow create: if exists(/databases/$(database)/documents/users/$(request.auth.uid));\n' +
+        '}');
+      var getData = function (path) {
+        return path === 'users/a' ? { admin: true } : null;
+      };
+      expect(r.allows('delete', 'posts/p', context({ auth: { uid: 'a' }, getData: getData }))).to.equal(true);
+      expect(r.allows('delete', 'posts/p', context({ auth: { uid: 'b' }, getData: getData }))).to.equal(null);
+      expect(r.allows('create', 'posts/p', context({ auth: { uid: 'b' }, getData: getData }))).to.equal(false);
+    });
+
+    it('compares request.time with stored timestamps', function () {
+      var r = rules('match /events/{id} { allow read: if resource.data.start < request.time; }');
+      expect(r.allows('get', 'events/a', context({ resource: { start: new Date(500) } }))).to.equal(true);
+      expect(r.allows('get', 'events/a', context({ resource: { start: Timestamp.fromMillis(2000) } }))).to.equal(false);
+    });
+
+    it('supports common functions', function () {
+      var r = rules('match /docs/{id} {\n' +
+        '  allow read: if id.matches(\'[a-z]+\') && id.upper() == \'ABC\' && int(\'3\') == 3\n' +
+        '    && math.abs(-2) == 2 && resource.data.get([\'a\', \'b\'], 0) == 1 && resource.data.get(\'c\', 0) == 0\n' +
+        '    && resource.data.tags.hasAny([\'x\']) && resource.data.tags.toSet().size() == 2\n' +
+        '    && resource.data.a is map && resource.data.tags is list;\n' +
+        '}');
+      expect(r.allows('get', 'docs/abc', context({ resource: { a: { b: 1 }, tags: ['x', 'y', 'x'] } }))).to.equal(true);
+      expect(r.allows('get', 'docs/ab1', context({ resource: { a: { b: 1 }, tags: ['x', 'y', 'x'] } }))).to.equal(false);
+    });
+
+    it('supports latlng, bytes and reference values', function () {
+      var r = rules('match /places/{id} {\n' +
+        '  allow read: if resource.data.loc is latlng && resource.data.loc.latitude() > 0\n' +
+        '    && resource.data.loc.distance(resource.data.loc) == 0 && resource.data.icon.size() == 3\n' +
+        '    && resource.data.owner is path\n' +
+        '    && resource.data.owner == /databases/$(database)/documents/users/$(request.auth.uid);\n' +
+        '}');
+      var db = new Firestore();
+      var resource = {
+        loc: new Firestore.GeoPoint(1, 2),
+        icon: Firestore.Bytes.fromBase64String('AAH/'),
+        owner: db.doc('users/a')
+      };
+      expect(r.allows('get', 'places/p', context({ auth: { uid: 'a' }, resource: resource }))).to.equal(true);
+      expect(r.allows('get', 'places/p', context({ auth: { uid: 'b' }, resource: resource }))).to.equal(false);
+    });
+
+    it('returns null when every allow statement fails to evaluate', function () {
+      var r = rules('match /users/{userId} { allow read: if resource.data.owner == request.auth.uid; }');
+      expect(r.allows('get', 'users/a', context())).to.equal(null);
+    });
+  });
+
+  describe('.authContext', function () {
+    it('builds request.auth from a user', function () {
+      var auth = Rules.authContext({
+        uid: 'a',
+        email: 'a@example.com',
+        emailVerified: true,
+        providerId: 'password',
+        customClaims: { admin: true }
+      });
+      expect(auth).to.deep.equal({
+        uid: 'a',
+        token: {
+          sub: 'a',
+          email: 'a@example.com',
+          email_verified: true,
+          admin: true,
+          firebase: { sign_in_provider: 'password', identities: {} }
+        }
+      });
+      expect(Rules.authContext(null)).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,27 @@
+'use strict';
+
+var expect = require('chai').expect;
+var VectorValue = require('../../src/firestore-vector-value');
+
+describe('VectorValue', function () {
+  it('copies its values', function () {
+    var values = [1, 2];
+    var vector = new VectorValue(values);
+    values.push(3);
+    vector.toArray().push(4);
+    expect(vector.toArray()).to.deep.equal([1, 2]);
+  });
+
+  it('only accepts numbers', function () {
+    expect(function () {
+      return new VectorValue(['a']);
+    }).to.throw('A vector must be an array of numbers');
+  });
+
+  describe('#isEqual', function () {
+    it('compares the values', function () {
+      expect(new VectorValue([1, 2]).isEqual(new VectorValue([1, 2]))).to.equal(true);
+      expect(new VectorValue([1, 2]).isEqual(new VectorValue([2, 1]))).to.equal(false);
+    });
+  });
+});
@@ -9,7 +9,10 @@ chai.use(require('sinon-chai'));
 
 var expect = chai.expect;
 var _ = require('../../src/lodash');
+var Authentication = require('../../').MockAuthentication;
 var Firestore = require('../../').MockFirestore;
+var User = require('../../src/user');
+var WriteResult = require('../../src/write-result');
 
 describe('MockFirestore', function () {
 
@@ -111,6 +114,97 @@ describe('MockFirestore', function () {
     });
   });
 
+  describe('#collectionGroup', function () {
+    beforeEach(function () {
+      db.autoFlush();
+      db.collection('posts').doc('p1').set({ title: 'root' });
+      db.collection('users').doc('u1').collection('posts').doc('p1').set({ title: 'first', likes: 3 });
+      db.collection('users').doc('u1').collection('posts').doc('p2').set({ title: 'second', likes: 1 });
+      db.collection('users').doc('u2').collection('posts').doc('p1').set({ title: 'third', likes: 2 });
+      db.collection('users').doc('u2').collection('comments').doc('c1').set({ title: 'comment', likes: 5 });
+      db.doc('groups/g1/users/u3/posts/p3').set({ title: 'deep', likes: 4 });
+    });
+
+    function paths(snap) {
+      return snap.docs.map(function (doc) { return doc.ref.path; });
+    }
+
+    it('returns documents of every collection with the id', function () {
+      return db.collectionGroup('posts').get().then(function (snap) {
+        expect(paths(snap)).to.deep.equal([
+          'groups/g1/users/u3/posts/p3',
+          'posts/p1',
+          'users/u1/posts/p1',
+          'users/u1/posts/p2',
+          'users/u2/posts/p1'
+        ]);
+      });
+    });
+
+    it('returns snapshots referencing the nested documents', function () {
+      return db.collectionGroup('posts').where('title', '==', 'third').get().then(function (snap) {
+        expect(snap.size).to.equal(1);
+        expect(snap.docs[0].id).to.equal('p1');
+        expect(snap.docs[0].ref).to.equal(db.collection('users').doc('u2').collection('posts').doc('p1'));
+        expect(snap.docs[0].data()).to.deep.equal({ title: 'third', likes: 2 });
+      });
+    });
+
+    it('supports where, orderBy and limit', function () {
+      return db.collectionGroup('posts').where('likes', '>', 1).orderBy('likes', 'desc').limit(2).get()
+        .then(function (snap) {
+          expect(paths(snap)).to.deep.equal(['groups/g1/users/u3/posts/p3', 'users/u1/posts/p1']);
+        });
+    });
+
+    it('supports cursors from nested documents', function () {
+      return db.collection('users').doc('u1').collection('posts').doc('p1').get().then(function (start) {
+        return db.collectionGroup('posts').orderBy('likes').startAfter(start).get();
+      }).then(function (snap) {
+        expect(paths(snap)).to.deep.equal(['groups/g1/users/u3/posts/p3']);
+      });
+    });
+
+    it('notifies listeners of changes in any matching collection', function () {
+      var snaps = [];
+      db.collectionGroup('comments').onSnapshot(function (snap) {
+        snaps.push(snap);
+      });
+      db.collection('users').doc('u1').collection('comments').doc('c2').set({ title: 'new' });
+
+      expect(snaps.length).to.equal(2);
+      expect(paths(snaps[1])).to.deep.equal(['users/u1/comments/c2', 'users/u2/comments/c1']);
+      expect(snaps[1].docChanges().map(function (change) {
+        return change.type + ' ' + change.doc.ref.path;
+      })).to.deep.equal(['added users/u1/comments/c2']);
+    });
+
+    it('finds subcollections seeded through the constructor', function () {
+      var seeded = new Firestore(null, {
+        users: {
+          u1: { name: 'a', posts: { p1: { title: 'seeded' } } },
+          u2: { name: 'b', address: { city: 'x' } }
+        }
+      });
+      seeded.autoFlush();
+      return seeded.collectionGroup('comments').get().then(function (snap) {
+        expect(snap.size).to.equal(0);
+        expect(seeded.children).to.deep.equal({});
+        return seeded.collectionGroup('posts').get();
+      }).then(function (snap) {
+        expect(paths(snap)).to.deep.equal(['users/u1/posts/p1']);
+        expect(snap.docs[0].data()).to.deep.equal({ title: 'seeded' });
+      });
+    });
+
+    it('throws for collection ids containing a slash', function () {
+      expect(function () {
+        db.collectionGroup('users/posts');
+      }).to.throw('Invalid collection ID \'users/posts\' passed to function collectionGroup(). ' +
+        'Collection IDs must not contain \'/\'.');
+    });
+  });
+
   describe('#runTransaction', function () {
     it('transaction updates data', function (done) {
       db.autoFlush();
@@ -146,6 +240,110 @@ describe('MockFirestore', function () {
         expect(transactionReturn).to.equal('cba');
       });
     });
+    it('requires reads to be executed before writes', function () {
+      db.autoFlush();
+
+      return expect(db.runTransaction(function(transaction) {
+        transaction.set(db.doc('doc'), { name: 'abc' });
+        return transaction.get(db.doc('other'));
+      })).to.be.rejectedWith('Firestore transactions require all reads to be executed before all writes.');
+    });
+
+    it('retries when a document read in the transaction changes before commit', function () {
+      db.autoFlush();
+      db.doc('counter').set({ value: 1 });
+
+      var attempts = 0;
+      return db.runTransaction(function(transaction) {
+        attempts++;
+        return transaction.get(db.doc('counter')).then(function(snap) {
+          if (attempts === 1) {
+            db.doc('counter').set({ value: 10 });
+          }
+          transaction.update(db.doc('counter'), { value: snap.get('value') + 1 });
+        });
+      }).then(function() {
+        expect(attempts).to.equal(2);
+        return db.doc('counter').get();
+      }).then(function(snap) {
+        expect(snap.get('value')).to.equal(11);
+      });
+    });
+
+    it('retries when query results read in the transaction change', function () {
+      db.autoFlush();
+      db.doc('items/a').set({ value: 1 });
+
+      var attempts = 0;
+      return db.runTransaction(function(transaction) {
+        attempts++;
+        return transaction.get(db.collection('items')).then(function() {
+          if (attempts === 1) {
+            db.doc('items/b').set({ value: 2 });
+          }
+        });
+      }).then(function() {
+        expect(attempts).to.equal(2);
+      });
+    });
+
+    it('fails with ABORTED after the maximum number of attempts', function () {
+      db.autoFlush();
+      db.doc('counter').set({ value: 1 });
+
+      var attempts = 0;
+      return db.runTransaction(function(transaction) {
+        attempts++;
+        return transaction.get(db.doc('counter')).then(function(snap) {
+          db.doc('counter').set({ value: snap.get('value') + 1 });
+          transaction.set(db.doc('counter'), { value: 0 });
+        });
+      }, { maxAttempts: 3 }).then(function() {
+        throw new Error('Expected the transaction to fail');
+      }, function(err) {
+        expect(err.code).to.equal(10);
+        expect(err.message).to.equal('Too much contention on these documents. Please try again.');
+        expect(attempts).to.equal(3);
+        return db.doc('counter').get();
+      }).then(function(snap) {
+        expect(snap.get('value')).to.equal(4);
+      });
+    });
+
+    it('can force a conflict', function () {
+      db.autoFlush();
+      db.forceTransactionConflict(2);
+
+      var attempts = 0;
+      return db.runTransaction(function(transaction) {
+        attempts++;
+        transaction.set(db.doc('doc'), { attempt: attempts });
+      }).then(function() {
+        expect(attempts).to.equal(3);
+        return db.doc('doc').get();
+      }).then(function(snap) {
+        expect(snap.get('attempt')).to.equal(3);
+      });
+    });
+
+    it('does not retry when the update function fails', function () {
+      db.autoFlush();
+      var err = new Error('Oh no!');
+      var attempts = 0;
+
+      return expect(db.runTransaction(function() {
+        attempts++;
+        throw err;
+      })).to.be.rejectedWith(err).then(function() {
+        expect(attempts).to.equal(1);
+      });
+    });
+
+    it('throws when maxAttempts is less than 1', function () {
+      expect(function() {
+        db.runTransaction(function() {}, { maxAttempts: 0 });
+      }).to.throw('Max attempts must be at least 1');
+    });
   });
 
   describe('#batch', function () {
@@ -153,6 +351,9 @@ describe('MockFirestore', function () {
       db.collection('collections').doc('a').set({
         name: 123
       });
+      db.doc('doc').set({
+        name: 'xyz'
+      });
       db.flush();
 
       Promise.all([
@@ -232,6 +433,131 @@ describe('MockFirestore', function () {
       return awaitChecks;
     });
 
+    it('resolves with a WriteResult for every write', function () {
+      db.doc('doc1').set({ value: 1 });
+      var promise = db.batch()
+        .set(db.doc('doc2'), { value: 2 })
+        .update(db.doc('doc1'), { value: 3 })
+        .delete(db.doc('doc3'))
+        .commit();
+      return promise.then(function (results) {
+        expect(results).to.have.length(3);
+        results.forEach(function (result) {
+          expect(result).to.be.an.instanceof(WriteResult);
+          expect(result.writeTime).to.deep.equal(results[0].writeTime);
+        });
+      });
+    });
+
+    it('applies writes to the same document in order', function () {
+      var doc = db.doc('doc');
+      var promise = db.batch()
+        .create(doc, { a: 1 })
+        .update(doc, { b: 2 })
+        .set(doc, { c: 3 }, { merge: true })
+        .commit();
+      return promise.then(function () {
+        expect(doc.data).to.deep.equal({ a: 1, b: 2, c: 3 });
+      });
+    });
+
+    it('applies nothing when an update targets a missing document', function () {
+      var promise = db.batch()
+        .set(db.doc('doc1'), { value: 1 })
+        .update(db.doc('missing'), { value: 2 })
+        .commit();
+      return promise.then(function () {
+        throw new Error('commit should have failed');
+      }, function (err) {
+        expect(err.code).to.equal(5);
+        expect(err.message).to.equal('No document to update: missing');
+        expect(db.doc('doc1').data).to.equal(null);
+        expect(db.doc('missing').data).to.equal(null);
+      });
+    });
+
+    it('applies nothing when a create targets an existing document', function () {
+      db.doc('doc1').set({ value: 1 });
+      var promise = db.batch()
+        .delete(db.doc('doc1'))
+        .set(db.doc('doc2'), { value: 2 })
+        .create(db.doc('doc2'), { value: 3 })
+        .commit();
+      return promise.then(function () {
+        throw new Error('commit should have failed');
+      }, function (err) {
+        expect(err.code).to.equal(6);
+        expect(db.doc('doc1').data).to.deep.equal({ value: 1 });
+        expect(db.doc('doc2').data).to.equal(null);
+      });
+    });
+
+    it('notifies listeners once with all writes applied', function () {
+      db.collection('col').onSnapshot(spy);
+      db.batch()
+        .set(db.doc('col/a'), { value: 1 })
+        .set(db.doc('col/b'), { value: 2 })
+        .commit();
+      expect(spy.callCount).to.equal(2);
+      expect(spy.secondCall.args[0].size).to.equal(2);
+    });
+
+    it('applies nothing when a precondition fails', function () {
+      db.doc('doc1').set({ value: 1 });
+      db.flush();
+      var updateTime = db.doc('doc1')._updateTime;
+      db.doc('doc1').set({ value: 2 });
+      db.flush();
+      var promise = db.batch()
+        .set(db.doc('doc2'), { value: 2 })
+        .delete(db.doc('doc1'), { lastUpdateTime: updateTime })
+        .commit();
+      return promise.then(function () {
+        throw new Error('commit should have failed');
+      }, function (err) {
+        expect(err.code).to.equal(9);
+        expect(db.doc('doc1').data).to.deep.equal({ value: 2 });
+        expect(db.doc('doc2').data).to.equal(null);
+      });
+    });
+
+    it('gives every written document the commit time as update time', function () {
+      var promise = db.batch()
+        .set(db.doc('doc1'), { value: 1 })
+        .set(db.doc('doc2'), { value: 2 })
+        .commit();
+      return promise.then(function (results) {
+        expect(db.doc('doc1')._updateTime).to.equal(results[0].writeTime);
+        expect(db.doc('doc2')._updateTime).to.equal(results[1].writeTime);
+      });
+    });
+
+    it('rejects batches with more than 500 writes', function () {
+      var batch = db.batch();
+      for (var i = 0; i < 501; i++) {
+        batch.set(db.doc('col/doc' + i), { value: i });
+      }
+      return batch.commit().then(function () {
+        throw new Error('commit should have failed');
+      }, function (err) {
+        expect(err.code).to.equal(3);
+        expect(err.message).to.equal('maximum 500 writes allowed per request');
+        expect(db.doc('col/doc0').data).to.equal(null);
+      });
+    });
+
+    it('cannot be used after commit', function () {
+      var batch = db.batch();
+      batch.set(db.doc('doc'), { value: 1 });
+      batch.commit();
+      expect(function () {
+        batch.set(db.doc('doc'), { value: 2 });
+      }).to.throw('A write batch can no longer be used after commit() has been called.');
+      expect(function () {
+        batch.commit();
+      }).to.throw('A write batch can no longer be used after commit() has been called.');
+    });
+
     context('when "batch.commit" is not called', function () {
       afterEach(function () {
         db.doc('col/batch-foo').delete();
@@ -261,6 +587,249 @@ describe('MockFirestore', function () {
     });
   });
 
+  describe('#settings', function () {
+    it('validates the settings', function () {
+      expect(function () {
+        db.settings({ ignoreUndefinedProperties: 'yes' });
+      }).to.throw('Value for argument "settings.ignoreUndefinedProperties" is not a valid boolean.');
+    });
+
+    it('applies ignoreUndefinedProperties to added documents and batches', function () {
+      db.autoFlush();
+      expect(function () {
+        db.collection('items').add({ a: undefined });
+      }).to.throw('Cannot use "undefined" as a Firestore value');
+      expect(function () {
+        db.batch().update(db.doc('doc'), { a: undefined });
+      }).to.throw('Cannot use "undefined" as a Firestore value');
+      db.settings({ ignoreUndefinedProperties: true });
+      var batch = db.batch();
+      batch.set(db.doc('doc'), { a: 1, b: undefined });
+      return batch.commit().then(function () {
+        expect(db.doc('doc').data).to.deep.equal({ a: 1 });
+      });
+    });
+  });
+
+  describe('data converters', function () {
+    var converter;
+    beforeEach(function () {
+      db.autoFlush();
+      converter = {
+        toFirestore: sinon.spy(function (name) {
+          return { name: name };
+        }),
+        fromFirestore: function (snapshot) {
+          return snapshot.get('name');
+        }
+      };
+    });
+
+    it('converts the data written by batches', function () {
+      var batch = db.batch();
+      batch.set(db.doc('doc').withConverter(converter), 'set');
+      batch.set(db.doc('merged').withConverter(converter), 'merged', { merge: true });
+      batch.create(db.doc('created').withConverter(converter), 'created');
+      return batch.commit().then(function () {
+        expect(db.doc('doc').data).to.deep.equal({ name: 'set' });
+        expect(db.doc('merged').data).to.deep.equal({ name: 'merged' });
+        expect(db.doc('created').data).to.deep.equal({ name: 'created' });
+        expect(converter.toFirestore).to.have.been.calledWith('merged', { merge: true });
+      });
+    });
+
+    it('converts the data read and written by transactions', function () {
+      var ref = db.doc('doc').withConverter(converter);
+      ref.withConverter(null).set({ name: 'before' });
+      return db.runTransaction(function (transaction) {
+        return transaction.get(ref).then(function (snap) {
+          expect(snap.data()).to.equal('before');
+          transaction.set(ref, 'after');
+        });
+      }).then(function () {
+        expect(db.doc('doc').data).to.deep.equal({ name: 'after' });
+      });
+    });
+  });
+
+  describe('field path updates', function () {
+    beforeEach(function () {
+      db.autoFlush();
+      db.doc('doc').set({ a: { b: 1, c: 2 }, d: 'text' });
+    });
+
+    it('applies field paths in batches and transactions', function () {
+      var batch = db.batch();
+      batch.update(db.doc('doc'), 'a.b', 3, new Firestore.FieldPath('a', 'c'), 4);
+      return batch.commit().then(function () {
+        expect(db.doc('doc').data.a).to.deep.equal({ b: 3, c: 4 });
+        return db.runTransaction(function (transaction) {
+          return transaction.get(db.doc('doc')).then(function () {
+            transaction.update(db.doc('doc'), { 'a.b': 5 });
+          });
+        });
+      }).then(function () {
+        expect(db.doc('doc').data.a).to.deep.equal({ b: 5, c: 4 });
+      });
+    });
+
+    it('fails the batch for a field path under a field that is not a map', function () {
+      var batch = db.batch();
+      batch.update(db.doc('doc'), 'a.b', 3);
+      batch.update(db.doc('doc'), 'd.e', 1);
+      return batch.commit().then(function () {
+        throw new Error('commit should have failed');
+      }, function (err) {
+        expect(err.message).to.equal('Cannot update field "d.e" because "d" is not a map.');
+        expect(db.doc('doc').data.a.b).to.equal(1);
+      });
+    });
+  });
+
+  describe('set with mergeFields', function () {
+    beforeEach(function () {
+      db.autoFlush();
+      db.doc('doc').set({ a: 1, b: { c: 2, d: 3 } });
+    });
+
+    it('writes only the listed fields in batches and transactions', function () {
+      var batch = db.batch();
+      batch.set(db.doc('doc'), { a: 10, b: { c: 20, d: 30 } }, { mergeFields: ['b.c'] });
+      return batch.commit().then(function () {
+        expect(db.doc('doc').data).to.deep.equal({ a: 1, b: { c: 20, d: 3 } });
+        return db.runTransaction(function (transaction) {
+          transaction.set(db.doc('doc'), { a: 100, b: {} }, { mergeFields: ['a'] });
+          return Promise.resolve();
+        });
+      }).then(function () {
+        expect(db.doc('doc').data).to.deep.equal({ a: 100, b: { c: 20, d: 3 } });
+      });
+    });
+  });
+
+  describe('#disableNetwork', function () {
+    beforeEach(function () {
+      db.autoFlush();
+      db.doc('collection/a').set({ value: 1 });
+      db.disableNetwork();
+    });
+
+    it('applies writes locally and settles them when the network is enabled', function () {
+      var settled = sinon.spy();
+      var write = db.doc('collection/a').update({ value: 2 }).then(settled);
+      return db.doc('collection/a').get().then(function (snap) {
+        expect(snap.get('value')).to.equal(2);
+        expect(snap.metadata.fromCache).to.equal(true);
+        expect(snap.metadata.hasPendingWrites).to.equal(true);
+        expect(settled.callCount).to.equal(0);
+        return db.enableNetwork();
+      }).then(function () {
+        return write;
+      }).then(function () {
+        expect(settled.callCount).to.equal(1);
+        return db.doc('collection/a').get();
+      }).then(function (snap) {
+        expect(snap.metadata.fromCache).to.equal(false);
+        expect(snap.metadata.hasPendingWrites).to.equal(false);
+      });
+    });
+
+    it('acknowledges writes in order', function () {
+      var order = [];
+      db.doc('collection/b').set({ value: 1 }).then(function () {
+        order.push('set');
+      });
+      var batch = db.batch();
+      batch.delete(db.doc('collection/b'));
+      batch.commit().then(function () {
+        order.push('commit');
+      });
+      return db.enableNetwork().then(function () {
+        expect(order).to.deep.equal(['set', 'commit']);
+        expect(db.doc('collection/b').data).to.equal(null);
+      });
+    });
+
+    it('fails reads from the server with unavailable', function () {
+      return Promise.all([
+        db.doc('collection/a').get({ source: 'server' }),
+        db.doc('collection/missing').get({ source: 'server' }),
+        db.collection('collection').get({ source: 'server' })
+      ].map(function (promise) {
+        return promise.then(function () {
+          throw new Error('Expected the read to fail');
+        }, function (err) {
+          expect(err.code).to.equal(14);
+          return err.message;
+        });
+      })).then(function (messages) {
+        expect(messages[0]).to.match(/^Failed to get document from server\. \(However, this document does exist/);
+        expect(messages[1]).to.equal('Failed to get document because the client is offline.');
+        expect(messages[2]).to.match(/^Failed to get documents from server\./);
+      });
+    });
+
+    it('fails aggregations with unavailable', function () {
+      var query = db.collection('collection');
+      return Promise.all([
+        query.count().get(),
+        Firestore.getCountFromServer(query),
+        Firestore.getAggregateFromServer(query, { total: Firestore.AggregateField.sum('value') })
+      ].map(function (promise) {
+        return promise.then(function () {
+          throw new Error('Expected the aggregation to fail');
+        }, function (err) {
+          expect(err.code).to.equal(14);
+          expect(err.message).to.equal('Failed to get aggregate result because the client is offline.');
+        });
+      }));
+    });
+
+    it('serves queries from the local data', function () {
+      db.doc('collection/b').set({ value: 2 });
+      return db.collection('collection').get().then(function (snap) {
+        expect(snap.size).to.equal(2);
+        expect(snap.metadata.fromCache).to.equal(true);
+        expect(snap.metadata.hasPendingWrites).to.equal(true);
+        expect(_.map(snap.docs, 'metadata.hasPendingWrites')).to.deep.equal([false, true]);
+      });
+    });
+
+    it('keeps listeners pending until the writes are acknowledged', function () {
+      var snapshots = [];
+      db.doc('collection/a').onSnapshot({ includeMetadataChanges: true }, function (snap) {
+        snapshots.push(snap.metadata);
+      });
+      db.doc('collection/a').update({ value: 2 });
+      return db.enableNetwork().then(function () {
+        expect(_.map(snapshots, function (metadata) {
+          return [metadata.hasPendingWrites, metadata.fromCache];
+        })).to.deep.equal([[false, true], [true, true], [false, false]]);
+      });
+    });
+
+    it('rejects transactions', function () {
+      return expect(db.runTransaction(function () {
+        return Promise.resolve();
+      })).to.be.rejectedWith('Transaction failed because the client is offline.');
+    });
+  });
+
+  describe('get options', function () {
+    it('reads from the local data with source cache', function () {
+      db.autoFlush();
+      return db.doc('doc').get({ source: 'cache' }).then(function (snap) {
+        expect(snap.metadata.fromCache).to.equal(true);
+      });
+    });
+
+    it('rejects an unknown source', function () {
+      expect(function () {
+        db.doc('doc').get({ source: 'network' });
+      }).to.throw('Invalid value "network" provided for "source": must be one of "default", "server" or "cache".');
+    });
+  });
+
   describe('#getAll', function() {
     it('gets the value of all passed documents', function() {
       var doc1 = db.doc('doc1');
@@ -282,4 +851,165 @@ describe('MockFirestore', function () {
       });
     });
   });
+
+  describe('#setRules', function () {
+    var auth;
+    var RULES = [
+      'rules_version = \'2\';',
+      'service cloud.firestore {',
+      '  match /databases/{database}/documents {',
+      '    match /users/{userId} {',
+      '      allow read: if request.auth != null;',
+      '      allow create: if request.auth.uid == userId && request.resource.data.keys().hasOnly([\'name\']);',
+      '      allow update: if request.auth.uid == userId && resource.data.name != \'locked\';',
+      '      allow delete: if request.auth.token.admin == true;',
+      '    }',
+      '    match /posts/{postId} {',
+      '      allow list: if resource.data.public == true;',
+      '      allow create: if request.auth != null;',
+      '    }',
+      '    match /profiles/{userId} {',
+      '      allow create: if existsAfter(/databases/$(database)/documents/users/$(userId));',
+      '    }',
+      '  }',
+      '}'
+    ].join('\n');
+
+    beforeEach(function () {
+      auth = new Authentication();
+      auth.autoFlush();
+      db.autoFlush();
+      db.setRules(RULES);
+      db.setAuth(auth);
+    });
+
+    function signIn(data) {
+      auth.changeAuthState(new User(auth, data));
+    }
+
+    function expectDenied(promise) {
+      return promise.then(function () {
+        throw new Error('operation should have been denied');
+      }, function (err) {
+        expect(err.code).to.equal(7);
+        expect(err.message).to.equal('Missing or insufficient permissions.');
+      });
+    }
+
+    it('denies reads the rules do not allow', function () {
+      return expectDenied(db.doc('users/a').get());
+    });
+
+    it('takes request.auth from the current user', function () {
+      signIn({ uid: 'a' });
+      return db.doc('users/a').get().then(function (snap) {
+        expect(snap.exists).to.equal(false);
+      });
+    });
+
+    it('evaluates set as create or update depending on the stored document', function () {
+      signIn({ uid: 'a' });
+      return db.doc('users/a').set({ name: 'locked' }).then(function () {
+        return expectDenied(db.doc('users/a').set({ name: 'unlocked' }));
+      }).then(function () {
+        return expectDenied(db.doc('users/b').set({ name: 'b' }));
+      }).then(function () {
+        return expectDenied(db.doc('users/a').update({ name: 'unlocked' }));
+      }).then(function () {
+        expect(db.doc('users/a').data).to.deep.equal({ name: 'locked' });
+      });
+    });
+
+    it('checks custom claims on delete', function () {
+      signIn({ uid: 'a' });
+      return db.doc('users/a').set({ name: 'a' }).then(function () {
+        return expectDenied(db.doc('users/a').delete());
+      }).then(function () {
+        signIn({ uid: 'b', customClaims: { admin: true } });
+        return db.doc('users/a').delete();
+      }).then(function () {
+        expect(db.doc('users/a').data).to.equal(null);
+      });
+    });
+
+    it('checks documents added to a collection', function () {
+      return expectDenied(db.collection('posts').add({ title: 'a' })).then(function () {
+        expect(db.collection('posts').data).to.equal(null);
+        signIn({ uid: 'a' });
+        return db.collection('posts').add({ title: 'a' });
+      });
+    });
+
+    it('checks queries against their filters rather than their results', function () {
+      db.setRules(null);
+      db.doc('posts/a').set({ public: true, n: 1 });
+      db.doc('posts/b').set({ public: false, n: 2 });
+      db.setRules(RULES);
+      return db.collection('posts').where('public', '==', true).get().then(function (snap) {
+        expect(snap.size).to.equal(1);
+        return db.collection('posts').where('public', '==', true).where('n', '>', 5).count().get();
+      }).then(function (snap) {
+        expect(snap.data().count).to.equal(0);
+      });
+    });
+
+    it('denies queries whose filters do not prove the rules', function () {
+      db.setRules(null);
+      db.doc('posts/a').set({ public: true, n: 1 });
+      db.doc('posts/b').set({ public: false, n: 2 });
+      db.setRules(RULES);
+      return expectDenied(db.collection('posts').get()).then(function () {
+        return expectDenied(db.collection('posts').count().get());
+      }).then(function () {
+        // the only result is readable, but the query could return others
+        return expectDenied(db.collection('posts').orderBy('n').limit(1).get());
+      }).then(function () {
+        return expectDenied(db.collection('posts').where('n', '>', 5).get());
+      }).then(function () {
+        return expectDenied(db.collection('posts').where('public', '==', false).get());
+      });
+    });
+
+    it('reports denied listeners to their error callback', function () {
+      var onNext = sinon.spy();
+      var onError = sinon.spy();
+      db.doc('users/a').onSnapshot(onNext, onError);
+      expect(onNext.callCount).to.equal(0);
+      expect(onError.callCount).to.equal(1);
+      expect(onError.firstCall.args[0].code).to.equal(7);
+    });
+
+    it('checks every write of a batch and applies none when one is denied', function () {
+      signIn({ uid: 'a' });
+      return expectDenied(db.batch()
+        .set(db.doc('users/a'), { name: 'a' })
+        .set(db.doc('users/b'), { name: 'b' })
+        .commit()).then(function () {
+        expect(db.doc('users/a').data).to.equal(null);
+      });
+    });
+
+    it('lets getAfter() see the other writes of a batch', function () {
+      signIn({ uid: 'a' });
+      return expectDenied(db.doc('profiles/a').set({ bio: 'a' })).then(function () {
+        return db.batch()
+          .set(db.doc('users/a'), { name: 'a' })
+          .set(db.doc('profiles/a'), { bio: 'a' })
+          .commit();
+      }).then(function () {
+        expect(db.doc('profiles/a').data).to.deep.equal({ bio: 'a' });
+      });
+    });
+
+    it('stops enforcing rules when set to null', function () {
+      db.setRules(null);
+      return db.doc('users/a').get();
+    });
+
+    it('throws on invalid rules', function () {
+      expect(function () {
+        db.setRules('service cloud.firestore { match /users/{id} { allow read: if }; }');
+      }).to.throw(/^Rules syntax error/);
+    });
+  });
 });
@@ -16,6 +16,15 @@ describe('MockQuery', function () {
     query = new Query(ref);
   });
 
+  // the keys of the query results, in the order forEach() visits them
+  function keys(query) {
+    var result = [];
+    query.slice().snap().forEach(function(snap) {
+      result.push(snap.key);
+    });
+    return result;
+  }
+
   describe('#ref', function() {
 
     it('returns the ref used to create the query', function() {
@@ -114,9 +123,11 @@ describe('MockQuery', function () {
         ref.startAt(3, 'num_3').limitToLast(2).on('value', spy);
         ref.flush();
         expect(spy).callCount(1);
-        ref.child('num_3').set({foo: 'bar'});
+        expect(_.keys(spy.lastCall.args[0].val())).eql(['char_b', 'char_c']);
+        ref.child('char_c/aLetter').set('z');
         ref.flush();
         expect(spy).callCount(2);
+        expect(spy.lastCall.args[0].val().char_c).eql({aLetter: 'z'});
       });
 
       it('should not update on change outside range', function() {
@@ -305,7 +316,9 @@ describe('MockQuery', function () {
 
     it('should be relevant to endAt()'); //todo not implemented
 
-    it('should be relevant to startAt()'); //todo not implemented
+    it('should be relevant to startAt()', function() {
+      expect(_.keys(ref.startAt(2).limitToFirst(2).getData())).eql(['num_2', 'num_3']);
+    });
   });
 
   describe('limitToLast', function() {
@@ -331,9 +344,112 @@ describe('MockQuery', function () {
       expect(spy).callCount(0);
     });
 
-    it('should be relevant to endAt()'); //todo not implemented
+    it('should be relevant to endAt()', function() {
+      expect(_.keys(ref.endAt(2).limitToLast(2).getData())).eql(['num_1_b', 'num_2']);
+    });
+
+    it('should be relevant to startAt()', function() {
+      expect(_.keys(ref.startAt('b').limitToLast(3).getData())).eql(['char_b', 'char_c']);
+      expect(_.keys(ref.startAt(2).limitToLast(3).getData())).eql(['char_a_2', 'char_b', 'char_c']);
+    });
+  });
+
+  describe('orderByChild', function() {
+    var scores;
+    beforeEach(function() {
+      scores = new Firebase().child('scores');
+      scores.set({
+        a: {meta: {score: 3}},
+        b: {meta: {score: 1}},
+        c: {meta: {score: 'x'}},
+        d: {other: true},
+        e: {meta: {score: true}},
+        f: {meta: {score: 1}},
+        g: {meta: {score: {nested: 1}}}
+      });
+      scores.flush();
+    });
+
+    it('orders by the value of a nested child, then by key', function() {
+      expect(keys(scores.orderByChild('meta/score'))).eql(['d', 'e', 'b', 'f', 'a', 'c', 'g']);
+    });
+
+    it('bounds by the child value and key', function() {
+      expect(keys(scores.orderByChild('meta/score').startAt(1).endAt('x'))).eql(['b', 'f', 'a', 'c']);
+      expect(keys(scores.orderByChild('meta/score').startAt(1, 'f'))).eql(['f', 'a', 'c', 'g']);
+      expect(keys(scores.orderByChild('meta/score').equalTo(1))).eql(['b', 'f']);
+      expect(keys(scores.orderByChild('meta/score').equalTo(null))).eql(['d']);
+    });
+
+    it('applies limits in child order', function() {
+      expect(keys(scores.orderByChild('meta/score').limitToFirst(2))).eql(['d', 'e']);
+      expect(keys(scores.orderByChild('meta/score').startAt(1).limitToFirst(3))).eql(['b', 'f', 'a']);
+      expect(keys(scores.orderByChild('meta/score').endAt(3).limitToLast(2))).eql(['f', 'a']);
+    });
+
+    it('notifies value listeners in child order', function() {
+      var spy = sinon.spy();
+      scores.orderByChild('meta/score').limitToFirst(2).on('value', spy);
+      scores.flush();
+      scores.child('a/meta/score').set(false);
+      scores.flush();
+      expect(spy).callCount(2);
+      expect(_.keys(spy.secondCall.args[0].val())).eql(['d', 'a']);
+    });
+
+    it('rejects the special ordering paths', function() {
+      expect(function() {
+        scores.orderByChild('$key');
+      }).to.throw('Query.orderByChild: "$key" is invalid.  Use Query.orderByKey() instead.');
+      expect(function() {
+        scores.orderByChild('');
+      }).to.throw('Query.orderByChild failed: First argument was an invalid path');
+    });
+
+    it('cannot be combined with another orderBy call', function() {
+      expect(function() {
+        scores.orderByChild('meta/score').orderByChild('other');
+      }).to.throw('Query.orderByChild: You can\'t combine multiple orderBy calls.');
+      expect(function() {
+        scores.orderByKey().limitToFirst(1).orderByValue();
+      }).to.throw('Query.orderByValue: You can\'t combine multiple orderBy calls.');
+    });
+  });
+
+  describe('orderByKey', function() {
+    var list;
+    beforeEach(function() {
+      list = new Firebase().child('list');
+      list.set({b: 1, '10': 2, '2': 3, a: 4, '-1': 5});
+      list.flush();
+    });
+
+    it('orders integer keys numerically before other keys', function() {
+      expect(keys(list.orderByKey())).eql(['-1', '2', '10', 'a', 'b']);
+    });
+
+    it('bounds by key', function() {
+      expect(keys(list.orderByKey().startAt('10').endAt('a'))).eql(['10', 'a']);
+      expect(keys(list.orderByKey().equalTo('b'))).eql(['b']);
+    });
 
-    it('should be relevant to startAt()'); //todo not implemented
+    it('only accepts a single string boundary', function() {
+      expect(function() {
+        list.orderByKey().startAt('a', 'b');
+      }).to.throw('Query: When ordering by key, you may only pass one argument to startAt(), endAt(), or equalTo().');
+      expect(function() {
+        list.endAt(1).orderByKey();
+      }).to.throw('Query: When ordering by key, the argument passed to startAt(), endAt(),or equalTo() must be a string.');
+    });
+  });
+
+  describe('orderByValue', function() {
+    it('orders by the value of each child, then by key', function() {
+      var list = new Firebase().child('list');
+      list.set({b: 1, '10': 2, '2': 2, a: 'z', c: false});
+      list.flush();
+      expect(keys(list.orderByValue().startAt(1).limitToFirst(3))).eql(['b', '2', '10']);
+    });
   });
 
   describe('endAt', function() {
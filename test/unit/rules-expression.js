@@ -0,0 +1,100 @@
+'use strict';
+
+var expect = require('chai').expect;
+var _ = require('../../src/lodash');
+var expression = require('../../src/rules-expression');
+
+describe('RulesExpression', function () {
+
+  var env = {
+    lookup: function (name) {
+      if (name === 'missing') throw expression.evaluationError('Unknown variable ' + name);
+      return { one: 1, two: 2, list: [1, 2], map: { a: 1 } }[name];
+    },
+    member: function (object, name) {
+      return object[name];
+    },
+    index: function (object, key) {
+      return object[key];
+    },
+    call: function (name, args) {
+      return name + '(' + args.join(',') + ')';
+    },
+    method: function (object, name, args) {
+      return object[name].apply(object, args);
+    },
+    path: function (segments) {
+      return segments.join('/');
+    },
+    equals: _.isEqual,
+    compare: function (a, b) {
+      return a < b ? -1 : a > b ? 1 : 0;
+    },
+    contains: function (collection, value) {
+      return Array.isArray(collection) ? collection.indexOf(value) !== -1 : _.has(collection, value);
+    },
+    isType: function (value, typeName) {
+      return typeof value === typeName;
+    }
+  };
+
+  function evaluate(source, options) {
+    return expression.evaluate(expression.parseExpression(source, options), env);
+  }
+
+  describe('#parseExpression', function () {
+    it('respects operator precedence', function () {
+      expect(evaluate('1 + 2 * 3 == 7 && !false')).to.equal(true);
+      expect(evaluate('(1 + 2) * 3')).to.equal(9);
+      expect(evaluate('two > one ? \'yes\' : \'no\'')).to.equal('yes');
+    });
+
+    it('parses members, indexes, calls and literals', function () {
+      expect(evaluate('map.a + list[1]')).to.equal(3);
+      expect(evaluate('f(1, "a")')).to.equal('f(1,a)');
+      expect(evaluate('[1, 2].concat([3])')).to.deep.equal([1, 2, 3]);
+      expect(evaluate('{\'a\': 1, \'b\': [true, null]}')).to.deep.equal({ a: 1, b: [true, null] });
+      expect(evaluate('\'a\' in map && 2 in list && one is number')).to.equal(true);
+    });
+
+    it('parses paths when enabled', function () {
+      expect(evaluate('/databases/(default)/documents/users/$(one + 1)', { paths: true }))
+        .to.equal('databases/(default)/documents/users/2');
+    });
+
+    it('parses regular expressions when enabled', function () {
+      expect(evaluate('\'abc\'.match(/^A/i) != null', { regex: true })).to.equal(true);
+    });
+
+    it('reports the position of syntax errors', function () {
+      expect(function () {
+        expression.parseExpression('1 +\n  * 2');
+      }).to.throw('Rules syntax error at line 2, column 3: Expected an expression but found \'*\'');
+      expect(function () {
+        expression.parseExpression('\'abc');
+      }).to.throw('Rules syntax error at line 1, column 5: Unterminated string');
+    });
+  });
+
+  describe('#evaluate', function () {
+    it('lets the other operand of a logical operator decide on errors', function () {
+      expect(evaluate('missing || true')).to.equal(true);
+      expect(evaluate('missing && false')).to.equal(false);
+      expect(function () {
+        evaluate('missing || false');
+      }).to.throw('Unknown variable missing');
+    });
+
+    it('throws evaluation errors for invalid operands', function () {
+      try {
+        evaluate('1 + \'a\'');
+        throw new Error('should have thrown');
+      } catch (err) {
+        expect(expression.isEvaluationError(err)).to.equal(true);
+      }
+      expect(function () {
+        evaluate('!1');
+      }).to.throw('Expected a boolean but found 1');
+    });
+  });
+});
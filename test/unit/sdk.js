@@ -71,6 +71,19 @@ describe('MockFirebaseSdk', function () {
       });
     });
 
+    describe('#goOffline', function() {
+      it('disconnects every database, including the ones created later', function () {
+        var first = firebase.database().ref('a');
+        firebase.database().goOffline();
+        var second = firebase.database().ref('b');
+        expect(first.child('.info/connected').getData()).to.equal(false);
+        expect(second.child('.info/connected').getData()).to.equal(false);
+        firebase.database().goOnline();
+        expect(first.child('.info/connected').getData()).to.equal(true);
+        expect(second.child('.info/connected').getData()).to.equal(true);
+      });
+    });
+
     it('ServerValue', function () {
       expect(firebase.database.ServerValue).to.be.an('object');
     });
@@ -114,6 +127,21 @@ describe('MockFirebaseSdk', function () {
     it('FieldPath.documentId', function () {
       expect(firebase.firestore.FieldPath.documentId).to.be.a('function');
     });
+
+    it('GeoPoint, Blob, Bytes and VectorValue', function () {
+      expect(new firebase.firestore.GeoPoint(1, 2).latitude).to.equal(1);
+      expect(firebase.firestore.Blob.fromBase64String).to.be.a('function');
+      expect(firebase.firestore.Bytes).to.equal(firebase.firestore.Blob);
+      expect(firebase.firestore.FieldValue.vector([1])).to.be.an.instanceof(firebase.firestore.VectorValue);
+    });
+
+    it('AggregateField', function () {
+      expect(firebase.firestore.AggregateField.count).to.be.a('function');
+      expect(firebase.firestore.AggregateField.sum).to.be.a('function');
+      expect(firebase.firestore.AggregateField.average).to.be.a('function');
+      expect(firebase.firestore.getAggregateFromServer).to.be.a('function');
+      expect(firebase.firestore.getCountFromServer).to.be.a('function');
+    });
   });
 
   describe('#auth', function() {
@@ -42,4 +42,18 @@ describe('Timestamp', function () {
       expect(date.toISOString()).to.equal('2009-02-13T23:31:30.123Z');
     });
   });
+  describe('#toMillis', function () {
+    it('should convert to milliseconds', function () {
+      var ts = new Timestamp(1234567890, 123000000);
+      expect(ts.toMillis()).to.equal(1234567890123);
+    });
+  });
+  describe('#isEqual', function () {
+    it('should compare seconds and nanoseconds', function () {
+      var ts = new Timestamp(1234567890, 123456789);
+      expect(ts.isEqual(new Timestamp(1234567890, 123456789))).to.equal(true);
+      expect(ts.isEqual(new Timestamp(1234567890, 123456000))).to.equal(false);
+      expect(ts.isEqual(ts.toDate())).to.equal(false);
+    });
+  });
 });
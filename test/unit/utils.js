@@ -9,6 +9,9 @@ var updateToRtdbObject = require('../../src/utils').updateToRtdbObject;
 var updateToFirestoreObject = require('../../src/utils').updateToFirestoreObject;
 var Timestamp = require('../../src/timestamp');
 var priorityComparator = require('../../src/utils').priorityComparator;
+var firestoreDocumentSize = require('../../src/utils').firestoreDocumentSize;
+var registerServerValue = require('../../src/utils').registerServerValue;
+var resolveServerValues = require('../../src/utils').resolveServerValues;
 
 describe('utils', function () {
   describe('removeEmptyRtdbProperties', function () {
@@ -108,6 +111,39 @@ describe('utils', function () {
     it('should return null, when all properties are null ', function () {
       expect(removeEmptyFirestoreProperties({a: {b: null}}, serverTime)).to.eql({a: {b: null}});
     });
+    it('should remove undefined values from objects and arrays', function () {
+      expect(removeEmptyFirestoreProperties({a: undefined, b: [1, undefined, {c: undefined}]}, null, serverTime))
+        .to.eql({b: [1, {}]});
+    });
+  });
+
+  describe('firestoreDocumentSize', function () {
+    it('adds up the sizes of the document name, fields and values', function () {
+      // the example from https://firebase.google.com/docs/firestore/storage-size
+      var data = {
+        type: 'Personal',
+        done: false,
+        priority: 1,
+        description: 'Learn Cloud Firestore'
+      };
+      expect(firestoreDocumentSize('users/jeff/tasks/my_task_id', data)).to.equal(147);
+    });
+  });
+
+  describe('registerServerValue', function () {
+    it('resolves server values of the registered type', function () {
+      var resolver = sinon.stub().returns('resolved');
+      registerServerValue('custom', resolver);
+      expect(resolveServerValues({ a: { '.sv': { custom: 2 } } }, { a: 1 })).to.deep.equal({ a: 'resolved' });
+      expect(resolver).to.have.been.calledWith(2, 1);
+    });
+
+    it('registers the built-in server values', function () {
+      expect(resolveServerValues({ '.sv': { increment: 2 } }, 1)).to.equal(3);
+      expect(function () {
+        resolveServerValues({ '.sv': 'unknown' }, null);
+      }).to.throw('Unsupported server value: "unknown"');
+    });
   });
 
   describe('updateToRtdbObject', function () {